@@ -42,9 +42,149 @@ export const config = {
     rate: 24000,
   },
   
-  // 临时文件目录
-  tempDir: path.join(__dirname, 'temp'),
-  outputDir: path.join(__dirname, 'output'),
+  // 每个标记点识别的音频范围（秒）：默认标记点前 5 分钟到后 3 分钟；
+  // 自动模式（window: "auto"）在更大的范围内识别，再按话题边界截取，autoMax* 为查找的最大范围
+  markerWindow: {
+    before: parseFloat(process.env.MARKER_WINDOW_BEFORE_SECONDS || '300'),
+    after: parseFloat(process.env.MARKER_WINDOW_AFTER_SECONDS || '180'),
+    autoMaxBefore: parseFloat(process.env.MARKER_WINDOW_AUTO_MAX_BEFORE_SECONDS || '600'),
+    autoMaxAfter: parseFloat(process.env.MARKER_WINDOW_AUTO_MAX_AFTER_SECONDS || '300'),
+  },
+
+  // 任务的标记点不少于 minMarkers 个时先识别整节课，各标记点从中截取转写文本（避免重叠的范围重复识别）；
+  // 标记点较少时只识别各自的范围更省，设为 0 时总是识别整节课
+  lessonTranscript: {
+    minMarkers: parseInt(process.env.LESSON_TRANSCRIPT_MIN_MARKERS || '2', 10),
+  },
+
+  // 服务商结果缓存：相同输入（音频片段、提示词、朗读文本等）直接使用保存的结果，不重复调用付费接口
+  // 缓存目录默认为数据目录下的 cache；有效期和容量上限为 0 表示不限制
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    dir: process.env.CACHE_DIR || '',
+    ttlMs: Math.round(parseFloat(process.env.CACHE_TTL_DAYS || '30') * 24 * 3600 * 1000),
+    maxBytes: Math.round(parseFloat(process.env.CACHE_MAX_MB || '2048') * 1024 * 1024),
+  },
+
+  // 任务队列：同时处理的任务数、最多排队的任务数、每个任务同时处理的标记点数
+  // （标记点和幻灯片并发处理，实际的请求数受 providerLimits 限制）、普通用户可以设置的最高优先级（管理员不限）
+  queue: {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY || '2', 10),
+    maxLength: parseInt(process.env.QUEUE_MAX_LENGTH || '100', 10),
+    markerConcurrency: parseInt(process.env.MARKER_CONCURRENCY || '3', 10),
+    maxUserPriority: parseInt(process.env.USER_MAX_PRIORITY || '0', 10),
+  },
+
+  // 优雅退出：收到 SIGTERM/SIGINT 后等待当前步骤完成的最长时间；
+  // 重启后被中断的任务是否自动重新排队，以及同一任务最多自动恢复的次数（超过后标记为失败）
+  shutdown: {
+    timeoutMs: Math.round(parseFloat(process.env.SHUTDOWN_TIMEOUT_SECONDS || '25') * 1000),
+    requeueInterrupted: process.env.REQUEUE_INTERRUPTED_TASKS !== 'false',
+    maxRestarts: parseInt(process.env.INTERRUPTED_TASK_MAX_RESTARTS || '3', 10),
+  },
+
+  // 各服务商的全局并发上限（所有任务共享），避免触发限流；ffmpeg 为同时运行的音视频处理进程数（受 CPU 核数限制）
+  providerLimits: {
+    asr: parseInt(process.env.ASR_CONCURRENCY || '3', 10),
+    llm: parseInt(process.env.LLM_CONCURRENCY || '4', 10),
+    image: parseInt(process.env.IMAGE_CONCURRENCY || '2', 10),
+    tts: parseInt(process.env.TTS_CONCURRENCY || '4', 10),
+    ffmpeg: parseInt(process.env.FFMPEG_CONCURRENCY || '2', 10),
+  },
+  
+  // 音频上传：文件大小上限、分片上传的单片大小上限
+  upload: {
+    maxFileSize: 500 * 1024 * 1024, // 500MB
+    maxChunkSize: parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE || String(10 * 1024 * 1024), 10),
+  },
+
+  // 服务器端音频来源：允许直接读取的目录（多个用逗号分隔，如 NAS 挂载点）；
+  // 允许下载的主机（含子域名，为空时允许任意公网主机，本机、内网和链路本地地址只能通过该列表放行）；
+  // 下载的空闲超时（长时间没有收到数据）和总超时
+  source: {
+    allowedRoots: (process.env.SOURCE_ALLOWED_ROOTS || '')
+      .split(',')
+      .map(root => root.trim())
+      .filter(Boolean)
+      .map(root => path.resolve(root)),
+    allowedHosts: (process.env.SOURCE_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean),
+    downloadIdleTimeoutMs: Math.round(parseFloat(process.env.SOURCE_DOWNLOAD_IDLE_TIMEOUT_SECONDS || '60') * 1000),
+    downloadTimeoutMs: Math.round(parseFloat(process.env.SOURCE_DOWNLOAD_TIMEOUT_MINUTES || '30') * 60 * 1000),
+  },
+
+  // 任务回调：签名密钥、最多投递次数、单次超时、重试间隔基数（第 n 次重试等待 base * 4^(n-1)）
+  webhook: {
+    secret: process.env.WEBHOOK_SECRET || '',
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '1000', 10),
+  },
+
+  // 对外访问地址，用于生成回调中的完整文件链接（如 https://xiaojixing.example.com）
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
+
+  // 磁盘清理：任务文件保留天数、输出和临时目录的总容量上限（0 表示不限制）、
+  // 未完成分片上传的保留时长、清理间隔
+  retention: {
+    maxAgeDays: parseFloat(process.env.RETENTION_MAX_AGE_DAYS || '0'),
+    maxBytes: Math.round(parseFloat(process.env.STORAGE_MAX_GB || '0') * 1024 * 1024 * 1024),
+    partialUploadMaxAgeHours: parseFloat(process.env.PARTIAL_UPLOAD_MAX_AGE_HOURS || '24'),
+    intervalMinutes: parseFloat(process.env.JANITOR_INTERVAL_MINUTES || '60'),
+  },
+
+  // 用户账号：启动时自动创建的管理员、是否允许自助注册、登录有效期
+  auth: {
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+    allowRegistration: process.env.ALLOW_REGISTRATION === 'true',
+    sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS || String(7 * 24)),
+  },
+
+  // 用户配额（0 表示不限制，管理员不受限制）：每分钟请求数、每天标记点数、每天音频分钟数、同时处理的任务数
+  quota: {
+    requestsPerMinute: parseInt(process.env.QUOTA_REQUESTS_PER_MINUTE || '10', 10),
+    markersPerDay: parseInt(process.env.QUOTA_MARKERS_PER_DAY || '20', 10),
+    audioMinutesPerDay: parseFloat(process.env.QUOTA_AUDIO_MINUTES_PER_DAY || '160'),
+    concurrentTasks: parseInt(process.env.QUOTA_CONCURRENT_TASKS || '2', 10),
+  },
+
+  // 用量计费单价（0 表示不计费）：LLM 每千输入/输出 token、ASR 每分钟音频、TTS 每千字符、每张图片、ffmpeg 每 CPU 小时
+  pricing: {
+    currency: process.env.PRICE_CURRENCY || 'CNY',
+    llmPromptPer1kTokens: parseFloat(process.env.PRICE_LLM_PROMPT_PER_1K_TOKENS || '0'),
+    llmCompletionPer1kTokens: parseFloat(process.env.PRICE_LLM_COMPLETION_PER_1K_TOKENS || '0'),
+    asrPerMinute: parseFloat(process.env.PRICE_ASR_PER_MINUTE || '0'),
+    ttsPer1kCharacters: parseFloat(process.env.PRICE_TTS_PER_1K_CHARACTERS || '0'),
+    imagePerImage: parseFloat(process.env.PRICE_IMAGE || '0'),
+    ffmpegPerCpuHour: parseFloat(process.env.PRICE_FFMPEG_PER_CPU_HOUR || '0'),
+  },
+
+  // 输出文件访问：签名密钥（不配置时自动生成并保存在数据目录）和签名链接有效期
+  files: {
+    urlSecret: process.env.FILE_URL_SECRET || '',
+    urlTtlSeconds: Math.round(parseFloat(process.env.FILE_URL_TTL_HOURS || '24') * 3600),
+  },
+
+  // 日志：输出级别（debug、info、warn、error）和格式（json，或便于本地阅读的 text）
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json',
+  },
+
+  // Prometheus 指标：配置后 /metrics 需要携带 Authorization: Bearer <token>
+  metrics: {
+    token: process.env.METRICS_TOKEN || '',
+  },
+
+  // 临时文件目录和输出文件目录
+  tempDir: process.env.TEMP_DIR || path.join(__dirname, 'temp'),
+  outputDir: process.env.OUTPUT_DIR || path.join(__dirname, 'output'),
+
+  // 持久化数据目录（任务存储等）
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
 };
 
 // 获取 TAL API 密钥
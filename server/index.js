@@ -7,10 +7,112 @@ import cors from 'cors';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { config } from './config.js';
-import { processTimeMarker, processMultipleMarkers } from './services/processor.js';
+import {
+  processTimeMarker,
+  processMultipleMarkers,
+  regenerateSlide,
+  detectReviewMarkers,
+  resolveMarkerWindow,
+  TaskInterruptedError,
+} from './services/processor.js';
 import { checkFFmpeg } from './services/videoSynth.js';
+import { getAudioDuration } from './services/asr.js';
+import {
+  loadTasks,
+  getTask,
+  listTasks,
+  saveTask,
+  saveTaskLater,
+  deleteTask,
+  flushTasks,
+  recoverOutputDirs,
+  findTaskByOutputId,
+  readOutputOwner,
+} from './services/taskStore.js';
+import {
+  emitTaskEvent,
+  subscribeTaskEvents,
+  markerUpdateEventType,
+  TERMINAL_EVENTS,
+} from './services/taskEvents.js';
+import {
+  enqueueJob,
+  removeJob,
+  isQueueFull,
+  getQueuePosition,
+  getQueueStats,
+  pauseQueue,
+  waitForRunningJobs,
+} from './services/jobQueue.js';
+import { getProviderLimitStats } from './services/limiter.js';
+import {
+  parseCallbackUrl,
+  sendTaskWebhook,
+  summarizeMarkerResult,
+  resumePendingWebhooks,
+  getTaskDeliveries,
+} from './services/webhooks.js';
+import {
+  removeTaskAudio,
+  removeTaskFiles,
+  touchTask,
+  trackActiveOutput,
+  getStorageUsage,
+  runJanitor,
+  cleanupOrphanedTemp,
+  startJanitor,
+} from './services/janitor.js';
+import { signResultUrls, verifyFileSignature, resolveOutputFile } from './services/fileAccess.js';
+import { validateRequest, getOpenApiSpec, findUndocumentedRoutes } from './services/validation.js';
+import { renderMetrics } from './services/metrics.js';
+import { logger, runWithLogContext, readTaskLogs, removeTaskLogs } from './services/logger.js';
+import { runDiagnostics, getDiagnosticsStatus } from './services/diagnostics.js';
+import { listRecords, findRecord, updateRecordState, deleteRecord } from './services/records.js';
+import { summarizeTaskUsage, getUsageReport, recordVideoCompleted, flushUsage } from './services/usage.js';
+import {
+  loadUsers,
+  listUsers,
+  createUser,
+  login,
+  logout,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  toUserResponse,
+  authenticate,
+  requireUser,
+  requireAdmin,
+  canAccessTask,
+  getRequestCredential,
+} from './services/auth.js';
+import {
+  checkRateLimit,
+  checkTaskQuota,
+  recordUsage,
+  estimateAudioSeconds,
+  trackSyncRequest,
+  getQuota,
+} from './services/quota.js';
+import {
+  createUpload,
+  getUpload,
+  getUploadPath,
+  appendChunk,
+  completeUpload,
+  removeUpload,
+  parseChecksum,
+  verifyChecksum,
+  verifyUploadChecksum,
+} from './services/uploads.js';
+import {
+  resolveSourcePath,
+  parseSourceUrl,
+  downloadAudio,
+  AUDIO_EXTENSION_PATTERN,
+} from './services/audioSource.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,10 +120,29 @@ const __dirname = path.dirname(__filename);
 const app = express();
 
 // 中间件
-app.use(cors());
+app.use(cors({
+  // 分片上传的客户端需要读取这些响应头
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length'],
+}));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// 鉴权：除健康检查、接口文档、登录注册和输出文件（由签名链接校验）外，所有接口都需要登录
+const PUBLIC_API_PATHS = [/^\/health$/, /^\/openapi\.json$/, /^\/auth\/(login|register)$/, /^\/files\//];
+app.use('/api', authenticate, (req, res, next) => {
+  if (PUBLIC_API_PATHS.some(pattern => pattern.test(req.path))) return next();
+  requireUser(req, res, next);
+});
+app.use('/api/admin', requireAdmin);
+app.use('/api/diagnostics', requireAdmin);
+
+// 服务退出期间不再接受新的处理请求，查询类请求照常响应
+app.use('/api', (req, res, next) => {
+  if (!shuttingDown || ['GET', 'HEAD'].includes(req.method)) return next();
+  res.set('Retry-After', String(SHUTDOWN_RETRY_AFTER_SECONDS));
+  res.status(503).json({ error: '服务正在重启，请稍后再试' });
+});
+
 // 文件上传配置
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -41,11 +162,11 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage,
   limits: {
-    fileSize: 500 * 1024 * 1024, // 500MB
+    fileSize: config.upload.maxFileSize,
   },
   fileFilter: (req, file, cb) => {
     const allowedMimes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/m4a', 'audio/mp4', 'audio/x-m4a'];
-    if (allowedMimes.includes(file.mimetype) || file.originalname.match(/\.(mp3|wav|m4a)$/i)) {
+    if (allowedMimes.includes(file.mimetype) || AUDIO_EXTENSION_PATTERN.test(file.originalname)) {
       cb(null, true);
     } else {
       cb(new Error('只支持音频文件（MP3, WAV, M4A）'));
@@ -53,15 +174,104 @@ const upload = multer({
   }
 });
 
-// 处理任务存储（简单的内存存储，生产环境应使用数据库）
-const tasks = new Map();
+// 正在运行的任务的取消控制器（taskId -> AbortController）
+const taskControllers = new Map();
+
+// 服务退出时触发：正在处理的任务完成当前步骤后停止（原因为 TaskInterruptedError）
+const shutdownController = new AbortController();
+let shuttingDown = false;
+
+// 服务退出期间拒绝请求时建议客户端重试的间隔
+const SHUTDOWN_RETRY_AFTER_SECONDS = 30;
+// 等待超时后强制中断正在执行的步骤，再等待任务保存中断状态的时间
+const SHUTDOWN_ABORT_GRACE_MS = 5000;
+
+// 正在重新生成幻灯片的标记点输出目录，同一标记点同时只允许一个请求
+const regeneratingOutputs = new Set();
+
+// 没有传 markers 和 autoMarkers 时默认处理 5 分钟处
+const DEFAULT_MARKERS = [300];
+// 自动选择标记点（识别整节课并分析）占任务总进度的百分比
+const AUTO_MARKERS_PROGRESS = 10;
+
+// 加载用户和持久化的任务
+await loadUsers();
+restoreTasks();
+
+/**
+ * 启动时恢复任务：加载存储、处理上次未完成的任务、扫描输出目录
+ */
+function restoreTasks() {
+  const count = loadTasks();
+
+  // 上次退出时被中断的任务（优雅退出时为 interrupted，进程异常退出时仍为 processing）
+  for (const task of listTasks()) {
+    if (['processing', 'interrupted'].includes(task.status)) {
+      recoverInterruptedTask(task);
+    }
+  }
+
+  // 清理上次进程遗留的临时文件（需在任务重新开始前执行）
+  cleanupOrphanedTemp();
+
+  // 排队中的任务尚未开始，上传的音频仍在，重新加入队列
+  const queued = listTasks()
+    .filter(task => task.status === 'queued')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  for (const task of queued) {
+    // 恢复的任务可能只差后续步骤，不再需要音频；URL 来源的音频在开始处理时才下载
+    if (task.resumedAt || task.source?.type === 'url' || (task.audioFile && fs.existsSync(task.audioFile))) {
+      queueTask(task);
+    } else {
+      task.status = 'failed';
+      task.error = '音频文件已丢失';
+      saveTask(task);
+    }
+  }
+
+  const recovered = recoverOutputDirs();
+  logger.info('已加载任务', { count, recovered });
+
+  const pendingWebhooks = resumePendingWebhooks();
+  if (pendingWebhooks > 0) {
+    logger.info('继续投递未完成的回调', { count: pendingWebhooks });
+  }
+
+  runJanitor();
+  startJanitor();
+}
+
+/**
+ * 处理上次退出时被中断的任务：重新排队，从已保存的步骤继续；
+ * 未开启自动恢复或中断次数过多时标记为失败，可以通过恢复接口手动继续
+ */
+function recoverInterruptedTask(task) {
+  const reason = task.status === 'interrupted' ? '服务重启，任务中断' : '服务异常退出，任务中断';
+  task.restarts = (task.restarts || 0) + 1;
+
+  const { requeueInterrupted, maxRestarts } = config.shutdown;
+  if (requeueInterrupted && task.restarts <= maxRestarts) {
+    task.status = 'queued';
+    task.message = `${reason}，重新排队中...`;
+    task.resumedAt = new Date().toISOString();
+    logger.info('中断的任务重新排队', { taskId: task.id, restarts: task.restarts });
+  } else {
+    const error = requeueInterrupted ? `${reason}（已中断 ${task.restarts} 次，不再自动恢复）` : reason;
+    task.status = 'failed';
+    task.error = error;
+    task.message = error;
+    logger.warn('中断的任务标记为失败', { taskId: task.id, restarts: task.restarts });
+    sendTaskWebhook(task, 'task.failed', { status: task.status, error });
+  }
+  saveTask(task);
+}
 
 // ==================== API 路由 ====================
 
 /**
  * 健康检查
  */
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validateRequest, (req, res) => {
   res.json({
     status: 'ok',
     ffmpeg: checkFFmpeg(),
@@ -69,17 +279,43 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+/**
+ * 接口文档（OpenAPI 3），请求校验和前端类型（src/services/api.types.ts）都以它为准
+ * GET /api/openapi.json
+ */
+app.get('/api/openapi.json', validateRequest, (req, res) => {
+  res.json(getOpenApiSpec());
+});
+
+/**
+ * Prometheus 指标（处理步骤耗时、服务商请求数和失败数、队列长度、任务数、磁盘占用）
+ * GET /metrics
+ * 配置了 METRICS_TOKEN 时需要携带 Authorization: Bearer <METRICS_TOKEN>
+ */
+app.get('/metrics', validateRequest, (req, res) => {
+  if (config.metrics.token && !isMetricsTokenValid(req.get('Authorization'))) {
+    return res.status(401).json({ error: 'METRICS_TOKEN 不正确' });
+  }
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+function isMetricsTokenValid(authorization = '') {
+  const expected = Buffer.from(`Bearer ${config.metrics.token}`);
+  const actual = Buffer.from(authorization);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
 /**
  * 检查服务配置状态
  */
-app.get('/api/config/status', (req, res) => {
+app.get('/api/config/status', validateRequest, (req, res) => {
   res.json({
     talApi: {
       configured: !!(config.talApi.appId && config.talApi.appKey),
       baseUrl: config.talApi.baseUrl,
     },
     volcengineAsr: {
-      configured: !!(config.volcengineAsr.appId && config.volcengineAsr.token),
+      configured: !!(config.volcengineAsr.appId && config.volcengineAsr.accessToken),
     },
     volcengineTts: {
       configured: !!(config.volcengineTts.appId && config.volcengineTts.token),
@@ -88,90 +324,673 @@ app.get('/api/config/status', (req, res) => {
   });
 });
 
+/**
+ * 服务商自检（管理员）
+ * POST /api/diagnostics/run
+ * 对每个已配置的服务商发起一次最小的真实调用（ASR、LLM、TTS、图片生成），并检查 ffmpeg/ffprobe 编码，
+ * 返回各项的状态（ok、error、skipped）、耗时和错误信息
+ */
+app.post('/api/diagnostics/run', validateRequest, async (req, res) => {
+  res.json(await runDiagnostics());
+});
+
+/**
+ * 最近一次自检结果（管理员）
+ * GET /api/diagnostics
+ */
+app.get('/api/diagnostics', validateRequest, (req, res) => {
+  res.json(getDiagnosticsStatus());
+});
+
+/**
+ * 登录
+ * POST /api/auth/login
+ * Body: JSON { username, password }
+ * 返回 { token, expiresAt, user }，之后的请求携带 Authorization: Bearer <token>
+ */
+app.post('/api/auth/login', validateRequest, async (req, res) => {
+  const { username, password } = req.body || {};
+  const session = await login(username, password);
+
+  if (!session) {
+    return res.status(401).json({ error: '用户名或密码错误' });
+  }
+  res.json(session);
+});
+
+/**
+ * 注册（需要 ALLOW_REGISTRATION=true）
+ * POST /api/auth/register
+ * Body: JSON { username, password }
+ * 注册成功后直接登录，返回内容与登录相同
+ */
+app.post('/api/auth/register', validateRequest, async (req, res) => {
+  if (!config.auth.allowRegistration) {
+    return res.status(403).json({ error: '未开放注册，请联系管理员创建账号' });
+  }
+
+  const { username, password } = req.body || {};
+  try {
+    await createUser({ username, password });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(201).json(await login(username, password));
+});
+
+/**
+ * 退出登录（使当前令牌失效）
+ * POST /api/auth/logout
+ */
+app.post('/api/auth/logout', validateRequest, (req, res) => {
+  logout(getRequestCredential(req));
+  res.status(204).end();
+});
+
+/**
+ * 当前用户
+ * GET /api/auth/me
+ */
+app.get('/api/auth/me', validateRequest, (req, res) => {
+  res.json(toUserResponse(req.user));
+});
+
+/**
+ * 当前用户的 API Key 列表
+ * GET /api/auth/api-keys
+ */
+app.get('/api/auth/api-keys', validateRequest, (req, res) => {
+  res.json(listApiKeys(req.user));
+});
+
+/**
+ * 创建 API Key（供脚本调用，请求头 Authorization: Bearer <key> 或 X-API-Key: <key>）
+ * POST /api/auth/api-keys
+ * Body: JSON { name: 可选，备注 }
+ * 返回的 key 只显示这一次
+ */
+app.post('/api/auth/api-keys', validateRequest, (req, res) => {
+  res.status(201).json(createApiKey(req.user, req.body?.name));
+});
+
+/**
+ * 删除 API Key
+ * DELETE /api/auth/api-keys/:keyId
+ */
+app.delete('/api/auth/api-keys/:keyId', validateRequest, (req, res) => {
+  if (!revokeApiKey(req.user, req.params.keyId)) {
+    return res.status(404).json({ error: 'API Key 不存在' });
+  }
+  res.status(204).end();
+});
+
+/**
+ * 用户列表（管理员）
+ * GET /api/admin/users
+ */
+app.get('/api/admin/users', validateRequest, (req, res) => {
+  res.json(listUsers().map(toUserResponse));
+});
+
+/**
+ * 创建用户（管理员）
+ * POST /api/admin/users
+ * Body: JSON { username, password, role: 可选，user 或 admin，默认 user }
+ */
+app.post('/api/admin/users', validateRequest, async (req, res) => {
+  const { username, password, role } = req.body || {};
+  try {
+    const user = await createUser({ username, password, role });
+    res.status(201).json(toUserResponse(user));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * 上传音频文件并处理
  * POST /api/process
  * Body: multipart/form-data
  *   - audio: 音频文件
- *   - markers: JSON 字符串，时间标记数组，如 "[600, 1200, 1800]"
+ *   - markers: JSON 字符串，时间标记数组，如 "[600, 1200, 1800]"；
+ *     单个标记点可以写成 { "time": 600, "window": { "before": 60, "after": 30 } } 或 { "time": 600, "window": "auto" }
+ *   - window: 可选，所有标记点的截取范围 { before, after }（秒）或 "auto"（按话题边界截取）
+ *   - autoMarkers: 可选，不传 markers 时自动选择标记点，JSON 字符串，如 "{\"count\": 3, \"confirm\": true}"
+ *   - priority: 可选，优先级（数值越大越先处理，默认 0）
+ *   - noCache: 可选，"true" 时不使用缓存的服务商结果，全部重新请求
+ *
+ * 或 Body: JSON（音频已在服务器可访问的位置，无需上传）
+ *   - source: { path: 允许目录内的绝对路径 } 或 { url: http(s) 地址，由服务器下载 }
+ *   - markers: 时间标记数组，如 [600, 1200, 1800]
+ *   - priority: 可选，优先级
  */
-app.post('/api/process', upload.single('audio'), async (req, res) => {
-  const taskId = Date.now().toString(36) + Math.random().toString(36).substring(2);
+app.post('/api/process', rateLimited, upload.single('audio'), validateRequest, async (req, res) => {
+  const taskId = generateTaskId();
   
   try {
+    // 请求校验已保证 multipart 请求带有音频文件、JSON 请求带有 source
     if (!req.file) {
-      return res.status(400).json({ error: '请上传音频文件' });
+      return createSourceTask(req, res, taskId);
     }
 
-    // 解析时间标记
-    let markers = [];
-    if (req.body.markers) {
-      try {
-        markers = JSON.parse(req.body.markers);
-        if (!Array.isArray(markers)) {
-          markers = [markers];
-        }
-      } catch {
-        markers = [300]; // 默认5分钟处
-      }
-    } else {
-      markers = [300]; // 默认5分钟处
+    let options;
+    try {
+      options = parseTaskOptions(req.body, req.user);
+    } catch (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const usage = checkNewTaskQuota(req, res, options, req.file.path);
+    if (!usage) {
+      fs.unlinkSync(req.file.path);
+      return;
+    }
+
+    if (isQueueFull()) {
+      fs.unlinkSync(req.file.path);
+      return res.status(503).json({ error: '任务队列已满，请稍后再试' });
     }
 
-    console.log(`\n收到处理请求 ${taskId}`);
-    console.log('音频文件:', req.file.path);
-    console.log('时间标记:', markers);
-
-    // 创建任务
-    const task = {
-      id: taskId,
-      status: 'processing',
-      progress: 0,
-      message: '准备处理...',
-      audioFile: req.file.path,
-      markers,
-      results: [],
-      createdAt: new Date().toISOString(),
-    };
-    tasks.set(taskId, task);
+    const task = createTask(taskId, req.file.path, { ...options, userId: req.user.id });
+    recordUsage(req.user, usage);
 
     // 立即返回任务 ID
-    res.json({
-      taskId,
-      status: 'processing',
-      message: '任务已创建，正在处理中',
+    res.json(toCreatedResponse(task));
+
+  } catch (error) {
+    logger.error('处理请求失败', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * 创建分片上传（可续传，tus 风格）
+ * POST /api/uploads
+ * Body: JSON { filename: 原始文件名, size: 文件总字节数 }
+ *
+ * 完整流程：
+ *   1. POST   /api/uploads                      创建上传，返回 uploadId
+ *   2. PATCH  /api/uploads/:uploadId            按顺序上传分片
+ *   3. HEAD   /api/uploads/:uploadId            断线后查询已上传的字节数，从该偏移继续
+ *   4. POST   /api/uploads/:uploadId/finalize   上传完成，创建处理任务
+ *      DELETE /api/uploads/:uploadId            放弃上传
+ */
+app.post('/api/uploads', validateRequest, (req, res) => {
+  const { filename, size } = req.body;
+
+  if (!AUDIO_EXTENSION_PATTERN.test(filename)) {
+    return res.status(400).json({ error: '只支持音频文件（MP3, WAV, M4A）' });
+  }
+  if (size > config.upload.maxFileSize) {
+    return res.status(413).json({ error: '文件太大，最大支持 500MB' });
+  }
+
+  // 今日配额已用完时不必再上传；并发数在完成上传、创建任务时才检查
+  const quotaError = checkTaskQuota(req.user, { markers: 1, audioSeconds: 1 }, { newTask: false });
+  if (quotaError) {
+    return sendQuotaError(res, quotaError);
+  }
+
+  const created = createUpload({ filename, size, userId: req.user.id });
+  logger.info('创建分片上传', { uploadId: created.id, filename, size });
+
+  res.status(201)
+    .location(`/api/uploads/${created.id}`)
+    .json({
+      uploadId: created.id,
+      offset: created.offset,
+      size: created.size,
+      chunkSize: config.upload.maxChunkSize,
     });
+});
+
+/**
+ * 查询上传进度
+ * HEAD /api/uploads/:uploadId
+ * 响应头 Upload-Offset 为已接收的字节数，Upload-Length 为文件总字节数
+ */
+app.head('/api/uploads/:uploadId', validateRequest, (req, res) => {
+  const found = findUserUpload(req);
+
+  if (!found) {
+    return res.status(404).end();
+  }
 
-    // 异步处理
-    processAudioInBackground(taskId, req.file.path, markers);
+  res.set({
+    'Upload-Offset': String(found.offset),
+    'Upload-Length': String(found.size),
+    'Cache-Control': 'no-store',
+  });
+  res.status(200).end();
+});
+
+/**
+ * 上传分片
+ * PATCH /api/uploads/:uploadId
+ * Headers:
+ *   - Content-Type: application/offset+octet-stream
+ *   - Upload-Offset: 本分片在文件中的起始字节，必须等于服务端已接收的字节数
+ *   - Upload-Checksum: 可选，分片摘要，格式 "sha256 <base64>"，不一致时返回 460 且不写入
+ * 成功返回 204，响应头 Upload-Offset 为新的偏移
+ */
+app.patch(
+  '/api/uploads/:uploadId',
+  express.raw({ type: 'application/offset+octet-stream', limit: config.upload.maxChunkSize }),
+  validateRequest,
+  (req, res) => {
+    const offset = Number(req.get('Upload-Offset'));
+    const found = findUserUpload(req);
+    if (!found) {
+      return res.status(404).json({ error: '上传不存在或已过期' });
+    }
+
+    // 偏移不一致（例如上一个分片实际已写入），告诉客户端从哪里继续
+    if (offset !== found.offset) {
+      res.set('Upload-Offset', String(found.offset));
+      return res.status(409).json({ error: '上传偏移不一致', offset: found.offset });
+    }
 
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (offset + chunk.length > found.size) {
+      return res.status(400).json({ error: '分片超出文件大小' });
+    }
+
+    const checksumHeader = req.get('Upload-Checksum');
+    if (checksumHeader) {
+      const checksum = parseChecksum(checksumHeader);
+      if (!checksum) {
+        return res.status(400).json({ error: '无效的 Upload-Checksum' });
+      }
+      if (!verifyChecksum(chunk, checksum)) {
+        return res.status(460).json({ error: '分片校验失败，请重新上传该分片' });
+      }
+    }
+
+    appendChunk(found, chunk);
+
+    res.set('Upload-Offset', String(found.offset));
+    res.status(204).end();
+  }
+);
+
+/**
+ * 完成上传并创建处理任务
+ * POST /api/uploads/:uploadId/finalize
+ * Body: JSON
+ *   - markers: 时间标记数组，如 [600, 1200, 1800]
+ *   - priority: 可选，优先级
+ *   - checksum: 可选，整个文件的摘要，格式 "sha256 <base64>"
+ * 返回内容与 POST /api/process 相同；队列已满时返回 503，已上传的文件保留，可稍后重试
+ */
+app.post('/api/uploads/:uploadId/finalize', rateLimited, validateRequest, async (req, res) => {
+  try {
+    const found = findUserUpload(req);
+    if (!found) {
+      return res.status(404).json({ error: '上传不存在或已过期' });
+    }
+
+    if (found.offset !== found.size) {
+      return res.status(409).json({
+        error: `文件尚未上传完成（${found.offset}/${found.size} 字节）`,
+        offset: found.offset,
+      });
+    }
+
+    if (req.body?.checksum) {
+      const checksum = parseChecksum(req.body.checksum);
+      if (!checksum) {
+        return res.status(400).json({ error: '无效的 checksum' });
+      }
+      if (!(await verifyUploadChecksum(found, checksum))) {
+        removeUpload(found.id);
+        return res.status(460).json({ error: '文件校验失败，请重新上传' });
+      }
+    }
+
+    let options;
+    try {
+      options = parseTaskOptions(req.body, req.user);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // 超出配额时保留已上传的文件，可稍后重试
+    const usage = checkNewTaskQuota(req, res, options, getUploadPath(found));
+    if (!usage) return;
+
+    if (isQueueFull()) {
+      return res.status(503).json({ error: '任务队列已满，请稍后再试' });
+    }
+
+    const audioFile = completeUpload(found);
+    const task = createTask(generateTaskId(), audioFile, { ...options, userId: req.user.id });
+    recordUsage(req.user, usage);
+
+    res.json(toCreatedResponse(task));
   } catch (error) {
-    console.error('处理请求失败:', error);
+    logger.error('完成上传失败', { uploadId: req.params.uploadId, error });
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * 放弃上传
+ * DELETE /api/uploads/:uploadId
+ */
+app.delete('/api/uploads/:uploadId', validateRequest, (req, res) => {
+  if (!findUserUpload(req)) {
+    return res.status(404).json({ error: '上传不存在或已过期' });
+  }
+  removeUpload(req.params.uploadId);
+  res.status(204).end();
+});
+
+/**
+ * 获取当前用户的上传，不存在或属于其他用户时返回 null
+ */
+function findUserUpload(req) {
+  const found = getUpload(req.params.uploadId);
+  return found && found.userId === req.user.id ? found : null;
+}
+
+/**
+ * 根据 JSON 请求中的 source 创建任务
+ * source.path 直接读取原文件；source.url 在任务开始处理时下载到临时目录
+ */
+function createSourceTask(req, res, taskId) {
+  const { source } = req.body;
+  let audioFile;
+  let options;
+
+  try {
+    options = parseTaskOptions(req.body, req.user);
+    if (source.path !== undefined) {
+      audioFile = resolveSourcePath(source.path);
+      options.source = { type: 'path', path: audioFile };
+    } else if (source.url !== undefined) {
+      const url = parseSourceUrl(source.url);
+      const ext = path.extname(url.pathname).match(AUDIO_EXTENSION_PATTERN)?.[0].toLowerCase() || '.mp3';
+      audioFile = path.join(config.tempDir, 'uploads', `audio-${taskId}${ext}`);
+      options.source = { type: 'url', url: url.href };
+    } else {
+      throw new Error('source 需要提供 path 或 url');
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // URL 来源尚未下载，按完整截取范围估算音频时长
+  const usage = checkNewTaskQuota(req, res, options, options.source.type === 'path' ? audioFile : undefined);
+  if (!usage) return;
+
+  if (isQueueFull()) {
+    return res.status(503).json({ error: '任务队列已满，请稍后再试' });
+  }
+
+  const task = createTask(taskId, audioFile, { ...options, userId: req.user.id });
+  recordUsage(req.user, usage);
+  res.json(toCreatedResponse(task));
+}
+
+/**
+ * 中间件：处理类接口的每分钟请求数限制
+ */
+function rateLimited(req, res, next) {
+  const quotaError = checkRateLimit(req.user);
+  if (quotaError) {
+    return sendQuotaError(res, quotaError);
+  }
+  next();
+}
+
+/**
+ * 超出配额时返回 429，Retry-After 为建议的重试秒数
+ */
+function sendQuotaError(res, quotaError) {
+  res.set('Retry-After', String(quotaError.retryAfter));
+  res.status(429).json(quotaError);
+}
+
+/**
+ * 计算新任务的用量并检查配额，超出时直接返回 429
+ * @param {object} options - markers（标记时间点）、windows（各标记点的截取范围）、autoMarkers（自动选择标记点）
+ * @param {string} [audioFile] - 音频文件，用于按实际时长计算（不传时按完整截取范围估算）
+ * @returns {object|null} - 用量（任务创建后传给 recordUsage），超出配额时返回 null
+ */
+function checkNewTaskQuota(req, res, { markers, windows, autoMarkers }, audioFile) {
+  let audioDuration;
+  if (audioFile) {
+    try {
+      audioDuration = getAudioDuration(audioFile) || undefined;
+    } catch {
+      // 无法读取时长时按完整截取范围估算
+    }
+  }
+
+  // 自动选择标记点需要识别整节课，时长未知时按默认截取范围估算
+  const usage = autoMarkers
+    ? {
+      markers: autoMarkers.count,
+      audioSeconds: audioDuration ?? autoMarkers.count * (config.markerWindow.before + config.markerWindow.after),
+    }
+    : { markers: markers.length, audioSeconds: estimateAudioSeconds(markers, audioDuration, windows) };
+  const quotaError = checkTaskQuota(req.user, usage);
+  if (quotaError) {
+    sendQuotaError(res, quotaError);
+    return null;
+  }
+  return usage;
+}
+
+/**
+ * 生成任务 ID
+ */
+function generateTaskId() {
+  return Date.now().toString(36) + Math.random().toString(36).substring(2);
+}
+
+/**
+ * 创建任务的通用参数（markers、windows、autoMarkers、priority、noCache、callbackUrl）
+ * 类型、取值范围和默认值已由请求校验处理；markers 和 autoMarkers 都不传时默认 [300]（5 分钟处）
+ * 同时传 markers 和 autoMarkers、普通用户的 priority 超过 USER_MAX_PRIORITY、
+ * 或未配置 WEBHOOK_SECRET 时传 callbackUrl 抛出错误
+ * @param {object} body - 请求体
+ * @param {object} user - 当前用户
+ */
+function parseTaskOptions(body, user) {
+  if (body.markers && body.autoMarkers) {
+    throw new Error('markers 和 autoMarkers 不能同时使用');
+  }
+  // 共享部署中普通用户不能把自己的任务排到其他用户前面
+  if (user.role !== 'admin' && body.priority > config.queue.maxUserPriority) {
+    throw new Error(`priority 不能大于 ${config.queue.maxUserPriority}（更高的优先级只有管理员可以设置）`);
+  }
+  // 自动选择标记点的任务在识别整节课后才确定标记点
+  const { markers, windows } = body.autoMarkers
+    ? { markers: [], windows: [] }
+    : parseMarkers(body.markers || DEFAULT_MARKERS, body.window);
+  return {
+    markers,
+    windows,
+    autoMarkers: body.autoMarkers,
+    priority: body.priority,
+    noCache: body.noCache,
+    callbackUrl: parseCallbackUrl(body.callbackUrl),
+  };
+}
+
+/**
+ * 拆分请求中的标记点：标记点可以是时间或 { time, window }，
+ * 拆分为标记时间和各标记点的截取范围（标记点的设置覆盖请求的 window）
+ * @returns {{markers: number[], windows: object[]}}
+ */
+function parseMarkers(markers, window) {
+  return {
+    markers: markers.map(marker => typeof marker === 'number' ? marker : marker.time),
+    windows: markers.map(marker => resolveMarkerWindow(window, marker.window)),
+  };
+}
+
+/**
+ * 创建任务并加入队列
+ * @param {string} taskId - 任务 ID
+ * @param {string} audioFile - 音频文件路径
+ * @param {object} options - markers、windows、autoMarkers、priority、noCache、callbackUrl、userId（所属用户），以及 source（音频来源，
+ *   { type: 'path', path } 或 { type: 'url', url }，上传的文件不传）
+ */
+function createTask(taskId, audioFile, options) {
+  const { markers, windows, autoMarkers, priority, noCache, source, callbackUrl, userId } = options;
+  logger.info('收到处理请求', { taskId, audioFile, markers, userId });
+
+  const task = {
+    id: taskId,
+    userId,
+    status: 'queued',
+    progress: 0,
+    message: '排队中...',
+    audioFile,
+    markers,
+    windows,
+    autoMarkers,
+    priority,
+    noCache,
+    source,
+    callbackUrl,
+    results: [],
+    createdAt: new Date().toISOString(),
+  };
+  saveTask(task);
+
+  // 加入队列，有空闲槽位时开始处理
+  queueTask(task);
+  return task;
+}
+
+/**
+ * 任务创建后的返回内容
+ */
+function toCreatedResponse(task) {
+  return {
+    taskId: task.id,
+    status: task.status,
+    queuePosition: getQueuePosition(task.id),
+    message: task.status === 'queued' ? '任务已创建，正在排队' : '任务已创建，正在处理中',
+  };
+}
+
+/**
+ * 把任务加入处理队列
+ */
+function queueTask(task) {
+  enqueueJob(
+    task.id,
+    // 处理期间的日志都带上任务 ID；noCache 的任务不读取缓存的服务商结果（见 services/cache.js）
+    () => runWithLogContext({ taskId: task.id, noCache: task.noCache }, () => processAudioInBackground(task.id, task.audioFile)),
+    { priority: task.priority }
+  );
+}
+
 /**
  * 后台处理音频
+ * 自动选择标记点的任务先识别整节课选出标记点；需要确认时停在 awaiting_confirmation，确认后重新排队处理
  */
-async function processAudioInBackground(taskId, audioFilePath, markers) {
-  const task = tasks.get(taskId);
+async function processAudioInBackground(taskId, audioFilePath) {
+  const task = getTask(taskId);
   if (!task) return;
 
+  const controller = new AbortController();
+  taskControllers.set(taskId, controller);
+
+  task.status = 'processing';
+  task.message = '准备处理...';
+  task.startedAt = new Date().toISOString();
+  saveTask(task);
+  emitTaskEvent(taskId, 'progress', { progress: task.progress, message: task.message });
+
+  const reportProgress = (progress, message) => {
+    task.progress = progress;
+    task.message = message;
+    saveTaskLater(task);
+    emitTaskEvent(taskId, 'progress', { progress, message });
+  };
+
   try {
+    // 来自 URL 的音频在开始处理时下载（恢复任务时已下载的文件直接复用）
+    if (task.source?.type === 'url' && !fs.existsSync(audioFilePath)) {
+      await downloadAudio(task.source.url, audioFilePath, {
+        signal: controller.signal,
+        onProgress: (downloaded, total) => {
+          task.message = total
+            ? `正在下载音频 ${Math.round((downloaded / total) * 100)}%`
+            : `正在下载音频 ${(downloaded / 1024 / 1024).toFixed(1)}MB`;
+          saveTaskLater(task);
+          emitTaskEvent(taskId, 'progress', { progress: task.progress, message: task.message });
+        },
+      });
+    }
+
+    // 自动选择标记点占总进度的前 10%
+    const progressBase = task.autoMarkers ? AUTO_MARKERS_PROGRESS : 0;
+    if (task.autoMarkers && task.markers.length === 0) {
+      const proposed = await runWithLogContext({ step: 'detect', outputId: taskId }, () => detectReviewMarkers(audioFilePath, {
+        count: task.autoMarkers.count,
+        outputDir: path.join(config.outputDir, taskId),
+        signal: controller.signal,
+        stopSignal: shutdownController.signal,
+        onProgress: (progress, message) => reportProgress(Math.round(progress * progressBase / 100), message),
+      }));
+      task.proposedMarkers = proposed;
+
+      if (task.autoMarkers.confirm) {
+        task.status = 'awaiting_confirmation';
+        task.message = `已选出 ${proposed.length} 个需要复习的片段，等待确认`;
+        saveTask(task);
+        emitTaskEvent(taskId, 'markers-proposed', { task: toTaskResponse(task) });
+        sendTaskWebhook(task, 'task.markers_proposed', { status: task.status, proposedMarkers: proposed });
+        return;
+      }
+      Object.assign(task, parseMarkers(proposed.map(({ time, window }) => ({ time, window }))));
+      saveTask(task);
+    }
+
+    // 每个标记点使用固定的输出目录，恢复任务时复用其中已完成的步骤
+    const outputIds = task.markers.map((_, i) => task.results[i]?.taskId || `${taskId}-${i + 1}`);
+
     const results = await processMultipleMarkers(
       audioFilePath,
-      markers,
-      (progress, message) => {
-        task.progress = progress;
-        task.message = message;
-      },
+      task.markers,
+      (progress, message) => reportProgress(Math.round(progressBase + progress * (100 - progressBase) / 100), message),
       (index, data) => {
+        const type = markerUpdateEventType(data);
+        emitTaskEvent(taskId, type, { index, ...signResultUrls(data, task.userId) });
+
         // 更新单个任务状态
         if (!task.results[index]) {
           task.results[index] = {};
         }
-        Object.assign(task.results[index], data);
+        if (type === 'slide-ready') {
+          // 单页完成只记录数量，不覆盖当前步骤（各页并发生成，完成顺序与页码无关）
+          task.results[index].slidesReady = data.slidesReady;
+        } else {
+          Object.assign(task.results[index], data);
+        }
+        saveTaskLater(task);
+
+        if (type === 'marker-completed') {
+          recordVideoCompleted(task.userId);
+        }
+        if (type === 'marker-completed' || type === 'marker-failed') {
+          sendTaskWebhook(task, type.replace('-', '.'), summarizeMarkerResult(signResultUrls(data, task.userId), index));
+        }
+      },
+      {
+        signal: controller.signal,
+        stopSignal: shutdownController.signal,
+        outputIds,
+        windows: task.windows,
+        lessonOutputId: taskId,
+        userId: task.userId,
       }
     );
 
@@ -180,54 +999,441 @@ async function processAudioInBackground(taskId, audioFilePath, markers) {
     task.message = '处理完成';
     task.results = results;
     task.completedAt = new Date().toISOString();
+    saveTask(task);
+    emitTaskEvent(taskId, 'task-completed', { task: toTaskResponse(task) });
+    sendTaskWebhook(task, 'task.completed', {
+      status: task.status,
+      results: results.map((result, index) => summarizeMarkerResult(signResultUrls(result, task.userId), index)),
+    });
 
-    console.log(`任务 ${taskId} 处理完成`);
-  } catch (error) {
-    console.error(`任务 ${taskId} 处理失败:`, error);
-    task.status = 'failed';
-    task.error = error.message;
-  }
+    logger.info('任务处理完成', { failedMarkers: results.filter(result => !result.success).length });
 
-  // 清理上传的临时文件
-  try {
-    if (fs.existsSync(audioFilePath)) {
-      fs.unlinkSync(audioFilePath);
+    // 有标记点失败时保留音频，供恢复任务时重新识别
+    if (!isResumable(task)) {
+      removeTaskAudio(task);
+    }
+  } catch (error) {
+    if (error instanceof TaskInterruptedError || controller.signal.reason instanceof TaskInterruptedError) {
+      // 服务退出：保留音频和已完成的步骤，重启后继续（不发送回调，任务尚未结束）
+      logger.info('任务已中断');
+      task.status = 'interrupted';
+      task.message = '服务重启，任务已中断';
+      task.interruptedAt = new Date().toISOString();
+      saveTask(task);
+      emitTaskEvent(taskId, 'task-interrupted', { task: toTaskResponse(task) });
+    } else if (controller.signal.aborted) {
+      logger.info('任务已取消');
+      task.status = 'cancelled';
+      task.message = '任务已取消';
+      task.cancelledAt = new Date().toISOString();
+      saveTask(task);
+      emitTaskEvent(taskId, 'task-cancelled', { task: toTaskResponse(task) });
+      sendTaskWebhook(task, 'task.cancelled', { status: task.status });
+      removeTaskAudio(task);
+    } else {
+      logger.error('任务处理失败', { error });
+      task.status = 'failed';
+      task.error = error.message;
+      saveTask(task);
+      emitTaskEvent(taskId, 'task-failed', { error: error.message, task: toTaskResponse(task) });
+      sendTaskWebhook(task, 'task.failed', { status: task.status, error: error.message });
     }
-  } catch (e) {
-    console.warn('清理临时文件失败:', e);
+  } finally {
+    taskControllers.delete(taskId);
   }
 }
 
 /**
- * 获取任务状态
- * GET /api/tasks/:taskId
+ * 任务是否可以恢复：整体失败，或完成但有标记点失败（文件已被清理的除外）
  */
-app.get('/api/tasks/:taskId', (req, res) => {
-  const task = tasks.get(req.params.taskId);
-  
-  if (!task) {
-    return res.status(404).json({ error: '任务不存在' });
+function isResumable(task) {
+  if (task.expiredAt) return false;
+  if (task.status === 'failed') return true;
+  return task.status === 'completed' && task.results.some(result => result?.success === false);
+}
+
+/**
+ * 获取当前用户可访问的任务；不存在或无权访问时返回 404（不暴露其他用户的任务是否存在）
+ */
+function findUserTask(req, res) {
+  const task = getTask(req.params.taskId);
+  if (!task || !canAccessTask(req.user, task)) {
+    res.status(404).json({ error: '任务不存在' });
+    return undefined;
   }
+  return task;
+}
 
-  res.json({
+/**
+ * 任务对外返回的字段
+ */
+function toTaskResponse(task) {
+  return {
     id: task.id,
+    userId: task.userId,
     status: task.status,
     progress: task.progress,
     message: task.message,
-    results: task.results,
+    results: task.results.map(result => signResultUrls(result, task.userId)),
     error: task.error,
+    queuePosition: task.status === 'queued' ? getQueuePosition(task.id) : undefined,
+    priority: task.priority,
+    source: task.source,
+    callbackUrl: task.callbackUrl,
     createdAt: task.createdAt,
+    startedAt: task.startedAt,
     completedAt: task.completedAt,
+    cancelledAt: task.cancelledAt,
+    resumedAt: task.resumedAt,
+    interruptedAt: task.interruptedAt,
+    restarts: task.restarts,
+    expiredAt: task.expiredAt,
+    autoMarkers: task.autoMarkers,
+    proposedMarkers: task.proposedMarkers,
+    usage: summarizeTaskUsage(task),
+  };
+}
+
+/**
+ * 获取任务状态
+ * GET /api/tasks/:taskId
+ */
+app.get('/api/tasks/:taskId', validateRequest, (req, res) => {
+  const task = findUserTask(req, res);
+  if (!task) return;
+
+  res.json(toTaskResponse(task));
+});
+
+/**
+ * 订阅任务进度（Server-Sent Events）
+ * GET /api/tasks/:taskId/events
+ * 连接建立后先推送一次 snapshot，之后推送 progress、marker-started、step-changed、
+ * slide-ready、marker-completed、marker-failed、task-completed、task-failed、task-cancelled 事件
+ */
+app.get('/api/tasks/:taskId/events', validateRequest, (req, res) => {
+  const taskId = req.params.taskId;
+  const task = findUserTask(req, res);
+  if (!task) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // 禁用 nginx 缓冲
+  });
+
+  let eventId = 0;
+  const send = (type, data) => {
+    res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', { task: toTaskResponse(task) });
+
+  // 任务已结束，推送结束事件后直接关闭
+  if (['completed', 'failed', 'cancelled'].includes(task.status)) {
+    send(`task-${task.status}`, {
+      error: task.error,
+      task: toTaskResponse(task),
+    });
+    return res.end();
+  }
+
+  // 定期发送注释行，防止代理因空闲断开连接
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const unsubscribe = subscribeTaskEvents(taskId, (type, data) => {
+    send(type, data);
+    // 任务因服务退出中断时也关闭连接，客户端改用轮询等待服务恢复
+    if (TERMINAL_EVENTS.includes(type) || type === 'task-interrupted') {
+      cleanup();
+      res.end();
+    }
   });
+
+  req.on('close', cleanup);
+});
+
+/**
+ * 取消正在处理的任务
+ * POST /api/tasks/:taskId/cancel
+ * 中断进行中的 ASR/LLM/图片/TTS 请求和 ffmpeg 进程，清理临时文件，任务最终进入 cancelled 状态
+ */
+app.post('/api/tasks/:taskId/cancel', validateRequest, (req, res) => {
+  const task = findUserTask(req, res);
+  if (!task) return;
+
+  // 还在排队的任务直接出队，等待确认标记点的任务直接取消
+  if ((task.status === 'queued' && removeJob(task.id)) || task.status === 'awaiting_confirmation') {
+    task.status = 'cancelled';
+    task.message = '任务已取消';
+    task.cancelledAt = new Date().toISOString();
+    saveTask(task);
+    emitTaskEvent(task.id, 'task-cancelled', { task: toTaskResponse(task) });
+    sendTaskWebhook(task, 'task.cancelled', { status: task.status });
+    removeTaskAudio(task);
+    return res.json({ id: task.id, status: task.status, message: task.message });
+  }
+
+  const controller = taskControllers.get(task.id);
+  if (!controller) {
+    return res.status(409).json({ error: `任务当前状态为 ${task.status}，无法取消` });
+  }
+
+  controller.abort();
+  task.message = '正在取消...';
+  saveTask(task);
+
+  res.json({ id: task.id, status: task.status, message: task.message });
 });
 
 /**
- * 获取所有任务
+ * 恢复失败的任务
+ * POST /api/tasks/:taskId/resume
+ * 重新加入队列，各标记点跳过已完成的步骤（识别、分析、脚本、幻灯片素材、视频），
+ * 从第一个失败或缺失的步骤继续
+ */
+app.post('/api/tasks/:taskId/resume', rateLimited, validateRequest, (req, res) => {
+  const task = findUserTask(req, res);
+  if (!task) return;
+
+  if (!isResumable(task)) {
+    return res.status(409).json({ error: `任务当前状态为 ${task.status}，无需恢复` });
+  }
+
+  // 恢复的标记点在创建时已计入每日用量，只检查并发数
+  const quotaError = checkTaskQuota(req.user, {});
+  if (quotaError) {
+    return sendQuotaError(res, quotaError);
+  }
+
+  if (isQueueFull()) {
+    return res.status(503).json({ error: '任务队列已满，请稍后再试' });
+  }
+
+  // 失败的标记点只保留输出目录和时间点，已完成的保持不变
+  task.results = task.results.map(result => result?.success === false
+    ? { markerTime: result.markerTime, taskId: result.taskId }
+    : result);
+  task.status = 'queued';
+  task.progress = 0;
+  task.message = '排队中...';
+  task.error = undefined;
+  task.resumedAt = new Date().toISOString();
+  saveTask(task);
+
+  queueTask(task);
+
+  res.json({
+    id: task.id,
+    status: task.status,
+    queuePosition: getQueuePosition(task.id),
+    message: task.status === 'queued' ? '任务已重新排队' : '任务已恢复处理',
+  });
+});
+
+/**
+ * 确认自动选择的标记点，任务重新排队处理
+ * POST /api/tasks/:taskId/markers
+ * Body: JSON
+ *   - markers: 可选，要处理的标记点（格式与创建任务相同），不传时处理建议的全部标记点
+ *   - window: 可选，markers 的截取范围
+ */
+app.post('/api/tasks/:taskId/markers', rateLimited, validateRequest, (req, res) => {
+  const task = findUserTask(req, res);
+  if (!task) return;
+
+  if (task.status !== 'awaiting_confirmation') {
+    return res.status(409).json({ error: `任务当前状态为 ${task.status}，无需确认标记点` });
+  }
+
+  const { markers, windows } = req.body.markers
+    ? parseMarkers(req.body.markers, req.body.window)
+    : parseMarkers(task.proposedMarkers.map(({ time, window }) => ({ time, window })));
+
+  // 创建任务时已按 autoMarkers.count 计入标记点数，只计入超出的部分
+  const extraMarkers = Math.max(0, markers.length - task.autoMarkers.count);
+  const quotaError = checkTaskQuota(req.user, { markers: extraMarkers });
+  if (quotaError) {
+    return sendQuotaError(res, quotaError);
+  }
+
+  if (isQueueFull()) {
+    return res.status(503).json({ error: '任务队列已满，请稍后再试' });
+  }
+
+  task.markers = markers;
+  task.windows = windows;
+  task.status = 'queued';
+  task.message = '排队中...';
+  saveTask(task);
+  recordUsage(req.user, { markers: extraMarkers });
+
+  queueTask(task);
+
+  res.json({
+    id: task.id,
+    status: task.status,
+    queuePosition: getQueuePosition(task.id),
+    message: '标记点已确认，任务已重新排队',
+  });
+});
+
+/**
+ * 重新生成单页幻灯片
+ * POST /api/tasks/:taskId/slides/:index/regenerate
+ * Body: JSON
+ *   - markerIndex: 可选，标记点序号（从 0 开始，默认 0）
+ *   - image: 是否重新生成图片
+ *   - audio: 是否重新生成语音
+ *   - imagePrompt: 可选，新的图片描述（会重新生成图片）
+ *   - script: 可选，新的讲解词（会重新生成语音和字幕）
+ * 只重新生成该页的 slide_N.jpg / slide_N_audio.mp3，然后用现有素材重新合成视频，返回更新后的结果
+ */
+app.post('/api/tasks/:taskId/slides/:index/regenerate', rateLimited, validateRequest, async (req, res) => {
+  const task = findUserTask(req, res);
+  if (!task) return;
+
+  const { markerIndex, image, audio, imagePrompt, script } = req.body;
+  const slideIndex = req.params.index;
+
+  if (!image && !audio && imagePrompt === undefined && script === undefined) {
+    return res.status(400).json({ error: '请指定要重新生成的内容（image 或 audio）' });
+  }
+
+  if (['queued', 'processing'].includes(task.status)) {
+    return res.status(409).json({ error: '任务仍在处理中，请完成后再试' });
+  }
+  if (task.expiredAt) {
+    return res.status(410).json({ error: '任务文件已被清理' });
+  }
+
+  const markerResult = task.results[markerIndex];
+  if (!markerResult?.success) {
+    return res.status(409).json({ error: '该标记点尚未处理完成' });
+  }
+  if (slideIndex > (markerResult.slides?.length || 0)) {
+    return res.status(404).json({ error: `幻灯片 ${req.params.index} 不存在` });
+  }
+
+  const outputId = markerResult.taskId;
+  if (regeneratingOutputs.has(outputId)) {
+    return res.status(409).json({ error: '该标记点正在重新生成，请稍后再试' });
+  }
+  regeneratingOutputs.add(outputId);
+
+  // 客户端断开连接时取消处理
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    // 重新生成总是重新请求服务商（相同的提示词也生成新的图片），新结果替换缓存
+    const logContext = { taskId: task.id, markerIndex, outputId, step: 'regenerate', slideIndex, noCache: true };
+    const result = await runWithLogContext(logContext, () => regenerateSlide(outputId, slideIndex, {
+      image,
+      audio,
+      imagePrompt,
+      script,
+      signal: controller.signal,
+    }));
+
+    task.results[markerIndex] = { ...markerResult, ...result };
+    saveTask(task);
+
+    res.json(signResultUrls(task.results[markerIndex], task.userId));
+  } catch (error) {
+    logger.error('重新生成幻灯片失败', { taskId: task.id, markerIndex, outputId, slideIndex, error });
+    if (!controller.signal.aborted) {
+      res.status(500).json({ error: error.message });
+    }
+  } finally {
+    regeneratingOutputs.delete(outputId);
+  }
+});
+
+/**
+ * 获取任务的回调投递记录
+ * GET /api/tasks/:taskId/webhooks
+ */
+app.get('/api/tasks/:taskId/webhooks', validateRequest, (req, res) => {
+  const task = findUserTask(req, res);
+  if (!task) return;
+
+  res.json({
+    callbackUrl: task.callbackUrl || null,
+    deliveries: getTaskDeliveries(task),
+  });
+});
+
+/**
+ * 获取任务的处理日志（按时间顺序）
+ * GET /api/tasks/:taskId/logs
+ * Query:
+ *   - level: 最低级别（info、warn、error，默认 info）
+ *   - markerIndex: 只返回该标记点的日志（从 0 开始）
+ *   - limit: 最多返回最近的多少条（默认 500）
+ */
+app.get('/api/tasks/:taskId/logs', validateRequest, (req, res) => {
+  const task = findUserTask(req, res);
+  if (!task) return;
+
+  const { level, markerIndex, limit } = req.query;
+  res.json({ logs: readTaskLogs(task.id, { level, markerIndex, limit }) });
+});
+
+/**
+ * 获取队列和服务商并发状态
+ * GET /api/queue
+ */
+app.get('/api/queue', validateRequest, (req, res) => {
+  res.json({
+    ...getQueueStats(),
+    providers: getProviderLimitStats(),
+  });
+});
+
+/**
+ * 当前用户的配额和用量
+ * GET /api/quota
+ * limits 为各项上限（0 表示不限制），used 为已用量，remaining 为剩余量（不限制时为 null），
+ * resetsAt 为每日配额重置时间
+ */
+app.get('/api/quota', validateRequest, (req, res) => {
+  res.json(getQuota(req.user));
+});
+
+/**
+ * 磁盘占用统计
+ * GET /api/admin/storage
+ * 返回输出/临时目录总占用、清理配置，以及每个任务的占用（按大小从大到小）
+ */
+app.get('/api/admin/storage', validateRequest, (req, res) => {
+  res.json(getStorageUsage());
+});
+
+/**
+ * 立即执行一次磁盘清理
+ * POST /api/admin/storage/cleanup
+ */
+app.post('/api/admin/storage/cleanup', validateRequest, (req, res) => {
+  res.json(runJanitor());
+});
+
+/**
+ * 获取当前用户的任务（管理员返回所有用户的任务）
  * GET /api/tasks
  */
-app.get('/api/tasks', (req, res) => {
-  const taskList = Array.from(tasks.values()).map(task => ({
+app.get('/api/tasks', validateRequest, (req, res) => {
+  const taskList = listTasks().filter(task => canAccessTask(req.user, task)).map(task => ({
     id: task.id,
+    userId: task.userId,
     status: task.status,
     progress: task.progress,
     message: task.message,
@@ -238,18 +1444,122 @@ app.get('/api/tasks', (req, res) => {
   res.json(taskList.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
 });
 
+/**
+ * 查找当前用户可以访问的记录，不存在时返回 404
+ * @returns {{task: object, record: object}|undefined}
+ */
+function findUserRecord(req, res) {
+  const found = findRecord(req.params.recordId);
+  if (!found || !canAccessTask(req.user, found.task)) {
+    res.status(404).json({ error: '记录不存在' });
+    return undefined;
+  }
+  return found;
+}
+
+/**
+ * 学习记录列表（每个处理成功的标记点一条），按创建时间从新到旧分页
+ * GET /api/records?subject=&q=&status=&favorite=&from=&to=&page=&pageSize=
+ * 返回当前用户的记录；管理员可以用 userId 查看其他用户的记录
+ */
+app.get('/api/records', validateRequest, (req, res) => {
+  const userId = req.user.role === 'admin' && req.query.userId ? req.query.userId : req.user.id;
+  const result = listRecords(task => task.userId === userId, req.query);
+  res.json({
+    ...result,
+    records: result.records.map(record => signResultUrls(record, record.userId)),
+  });
+});
+
+/**
+ * 获取单条记录
+ * GET /api/records/:recordId
+ */
+app.get('/api/records/:recordId', validateRequest, (req, res) => {
+  const found = findUserRecord(req, res);
+  if (!found) return;
+  res.json(signResultUrls(found.record, found.task.userId));
+});
+
+/**
+ * 修改记录的收藏、学习状态、观看进度
+ * PATCH /api/records/:recordId
+ */
+app.patch('/api/records/:recordId', validateRequest, (req, res) => {
+  const found = findUserRecord(req, res);
+  if (!found) return;
+
+  const record = updateRecordState(found.task, found.record.id, req.body);
+  res.json(signResultUrls(record, found.task.userId));
+});
+
+/**
+ * 删除记录及其输出文件（任务的其他记录不受影响）
+ * DELETE /api/records/:recordId
+ */
+app.delete('/api/records/:recordId', validateRequest, (req, res) => {
+  const found = findUserRecord(req, res);
+  if (!found) return;
+
+  deleteRecord(found.task, found.record.id);
+  res.json({ success: true });
+});
+
+/**
+ * 服务商用量和成本，按日期和用户汇总
+ * GET /api/usage?from=&to=&userId=
+ * 普通用户只能查看自己的用量；管理员默认查看所有用户，可以用 userId 筛选
+ */
+app.get('/api/usage', validateRequest, (req, res) => {
+  let userIds;
+  if (req.user.role !== 'admin') {
+    userIds = [req.user.id];
+  } else if (req.query.userId) {
+    userIds = [req.query.userId];
+  }
+
+  const report = getUsageReport({ userIds, from: req.query.from, to: req.query.to });
+  const usernames = new Map(listUsers().map(user => [user.id, user.username]));
+  const withUsername = item => ({ ...item, username: usernames.get(item.userId) });
+  res.json({
+    ...report,
+    days: report.days.map(withUsername),
+    users: report.users.map(withUsername),
+  });
+});
+
 /**
  * 获取文件（图片、音频、视频）
- * GET /api/files/:taskId/:filename
+ * GET /api/files/:taskId/:filename?exp=...&uid=...&sig=...
+ * 只接受任务接口返回的签名链接：签名有效、未过期，且签名中的用户是任务所属用户
+ * （没有任务记录的输出目录，如同步处理的结果，以目录中 owner.json 记录的用户为准）
  */
-app.get('/api/files/:taskId/:filename', (req, res) => {
+app.get('/api/files/:taskId/:filename', validateRequest, (req, res) => {
   const { taskId, filename } = req.params;
-  const filePath = path.join(config.outputDir, taskId, filename);
+  const filePath = resolveOutputFile(taskId, filename);
+
+  if (!filePath) {
+    return res.status(400).json({ error: '无效的文件路径' });
+  }
+
+  const access = verifyFileSignature(taskId, filename, req.query);
+  if (!access.ok) {
+    return res.status(403).json({ error: access.error });
+  }
+
+  const task = findTaskByOutputId(taskId);
+  const ownerId = task ? task.userId : readOutputOwner(taskId);
+  if (access.uid !== (ownerId || '')) {
+    return res.status(403).json({ error: '无权访问该文件' });
+  }
 
   if (!fs.existsSync(filePath)) {
     return res.status(404).json({ error: '文件不存在' });
   }
 
+  // 记录访问时间，磁盘不足时优先清理长期未访问的任务
+  if (task) touchTask(task);
+
   // 设置适当的 Content-Type
   const ext = path.extname(filename).toLowerCase();
   const mimeTypes = {
@@ -262,6 +1572,8 @@ app.get('/api/files/:taskId/:filename', (req, res) => {
   };
 
   res.setHeader('Content-Type', mimeTypes[ext] || 'application/octet-stream');
+  // 链接带签名且会过期，只允许浏览器私有缓存
+  res.setHeader('Cache-Control', 'private, max-age=3600');
   res.sendFile(filePath);
 });
 
@@ -270,39 +1582,56 @@ app.get('/api/files/:taskId/:filename', (req, res) => {
  * POST /api/process/sync
  * 适用于测试和小文件
  */
-app.post('/api/process/sync', upload.single('audio'), async (req, res) => {
+app.post('/api/process/sync', rateLimited, upload.single('audio'), validateRequest, async (req, res) => {
+  let releaseSync;
+  let releaseOutput;
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: '请上传音频文件' });
-    }
+    // 时间标记（默认 5 分钟处）已由请求校验转换为数字
+    const markerTime = req.body.marker;
+    const window = resolveMarkerWindow(req.body.window);
 
-    // 解析时间标记
-    let markerTime = 300; // 默认5分钟
-    if (req.body.marker) {
-      markerTime = parseInt(req.body.marker, 10);
+    const usage = checkNewTaskQuota(req, res, { markers: [markerTime], windows: [window] }, req.file.path);
+    if (!usage) {
+      fs.unlinkSync(req.file.path);
+      return;
     }
+    recordUsage(req.user, usage);
+    releaseSync = trackSyncRequest(req.user);
 
-    console.log('同步处理请求');
-    console.log('音频文件:', req.file.path);
-    console.log('时间标记:', markerTime);
+    // 客户端断开连接时取消处理
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
 
-    const result = await processTimeMarker(
-      req.file.path,
-      markerTime,
-      (progress, message) => {
-        console.log(`进度: ${progress.toFixed(1)}% - ${message}`);
-      },
-      null
-    );
+    // 同步请求不保存任务记录，日志只输出到控制台，以输出 ID 关联
+    const outputId = `${generateTaskId()}-1`;
+    // 输出目录没有任务引用，处理期间不能被磁盘清理删除
+    releaseOutput = trackActiveOutput(outputId);
+    // 同步请求没有任务，用量只按用户计入每日统计
+    const result = await runWithLogContext({ markerIndex: 0, outputId, userId: req.user.id, noCache: req.body.noCache }, () => {
+      logger.info('收到同步处理请求', { audioFile: req.file.path, marker: markerTime, userId: req.user.id });
+      return processTimeMarker(
+        req.file.path,
+        markerTime,
+        (progress, message) => {
+          logger.debug('同步处理进度', { progress: Number(progress.toFixed(1)), message });
+        },
+        null,
+        { signal: controller.signal, outputId, userId: req.user.id, window }
+      );
+    });
+
+    recordVideoCompleted(req.user.id);
 
     // 清理临时文件
     if (fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
 
-    res.json(result);
+    res.json(signResultUrls(result, req.user.id));
   } catch (error) {
-    console.error('同步处理失败:', error);
+    logger.error('同步处理失败', { error });
     
     // 清理临时文件
     if (req.file && fs.existsSync(req.file.path)) {
@@ -310,6 +1639,9 @@ app.post('/api/process/sync', upload.single('audio'), async (req, res) => {
     }
     
     res.status(500).json({ error: error.message });
+  } finally {
+    releaseSync?.();
+    releaseOutput?.();
   }
 });
 
@@ -317,55 +1649,105 @@ app.post('/api/process/sync', upload.single('audio'), async (req, res) => {
  * 删除任务
  * DELETE /api/tasks/:taskId
  */
-app.delete('/api/tasks/:taskId', (req, res) => {
+app.delete('/api/tasks/:taskId', validateRequest, (req, res) => {
   const taskId = req.params.taskId;
-  const task = tasks.get(taskId);
-  
-  if (!task) {
-    return res.status(404).json({ error: '任务不存在' });
-  }
+  const task = findUserTask(req, res);
+  if (!task) return;
 
-  // 删除输出文件
-  const outputDir = path.join(config.outputDir, taskId);
-  if (fs.existsSync(outputDir)) {
-    fs.rmSync(outputDir, { recursive: true, force: true });
-  }
+  // 仍在排队或处理的任务先中断，避免继续写入文件
+  removeJob(taskId);
+  taskControllers.get(taskId)?.abort();
+
+  // 删除输出文件（每个标记点对应一个输出目录）和音频
+  removeTaskFiles(task);
+  removeTaskLogs(taskId);
 
-  tasks.delete(taskId);
+  deleteTask(taskId);
   res.json({ success: true });
 });
 
-// 静态文件服务（输出目录）
-app.use('/output', express.static(config.outputDir));
-
 // 错误处理
 app.use((error, req, res, next) => {
-  console.error('服务器错误:', error);
-  
+  logger.error('服务器错误', { method: req.method, path: req.path, error });
+
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: '文件太大，最大支持 500MB' });
     }
     return res.status(400).json({ error: error.message });
   }
+
+  // 请求体超过上限（例如上传分片过大）
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `请求体太大，最大 ${error.limit} 字节` });
+  }
   
   res.status(500).json({ error: error.message || '服务器内部错误' });
 });
 
+/**
+ * 优雅退出：
+ * 1. 停止接受新连接和新的处理请求，队列不再启动新任务
+ * 2. 正在处理的任务完成当前步骤后停止，最多等待 config.shutdown.timeoutMs
+ * 3. 超时后中断仍在执行的步骤；中断的任务标记为 interrupted，重启后重新排队
+ * 再次收到退出信号时立即退出，处理中的任务重启后按异常退出处理
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn('再次收到退出信号，立即退出', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info('收到退出信号，等待正在处理的任务', {
+    signal,
+    runningTasks: taskControllers.size,
+    timeoutMs: config.shutdown.timeoutMs,
+  });
+
+  server.close();
+  pauseQueue();
+  shutdownController.abort(new TaskInterruptedError());
+
+  if (!await waitForRunningJobs(config.shutdown.timeoutMs)) {
+    logger.warn('等待超时，中断正在执行的步骤', { runningTasks: taskControllers.size });
+    for (const controller of taskControllers.values()) {
+      controller.abort(new TaskInterruptedError());
+    }
+    await waitForRunningJobs(SHUTDOWN_ABORT_GRACE_MS);
+  }
+
+  logger.info('服务已退出');
+  process.exit(0);
+}
+
+// 退出前把延迟保存的任务和用量统计写入磁盘
+process.on('exit', () => {
+  flushTasks();
+  flushUsage();
+});
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => shutdown(signal));
+});
+
+// 没有写进接口文档的路由不会校验请求，启动时提示
+const undocumentedRoutes = findUndocumentedRoutes(app);
+if (undocumentedRoutes.length > 0) {
+  logger.warn('以下接口未在 openapi.json 中定义，不会校验请求', { routes: undocumentedRoutes });
+}
+
 // 启动服务器
 const PORT = config.port;
-app.listen(PORT, () => {
-  console.log(`\n${'='.repeat(60)}`);
-  console.log('小迹星后端服务已启动');
-  console.log(`${'='.repeat(60)}`);
-  console.log(`地址: http://localhost:${PORT}`);
-  console.log(`健康检查: http://localhost:${PORT}/api/health`);
-  console.log(`配置状态: http://localhost:${PORT}/api/config/status`);
-  console.log(`\n环境检查:`);
-  console.log(`  - TAL API: ${config.talApi.appId ? '已配置' : '未配置'}`);
-  console.log(`  - 火山引擎 ASR: ${config.volcengineAsr.appId ? '已配置' : '未配置'}`);
-  console.log(`  - 火山引擎 TTS: ${config.volcengineTts.appId ? '已配置' : '未配置'}`);
-  console.log(`  - ffmpeg: ${checkFFmpeg() ? '已安装' : '未安装'}`);
-  console.log(`${'='.repeat(60)}\n`);
+const server = app.listen(PORT, () => {
+  logger.info('小迹星后端服务已启动', {
+    url: `http://localhost:${PORT}`,
+    health: `http://localhost:${PORT}/api/health`,
+    configStatus: `http://localhost:${PORT}/api/config/status`,
+    metrics: `http://localhost:${PORT}/metrics`,
+    // 环境检查
+    talApi: config.talApi.appId ? '已配置' : '未配置',
+    volcengineAsr: config.volcengineAsr.appId ? '已配置' : '未配置',
+    volcengineTts: config.volcengineTts.appId ? '已配置' : '未配置',
+    ffmpeg: checkFFmpeg() ? '已安装' : '未安装',
+  });
 });
 
@@ -0,0 +1,116 @@
+/**
+ * 根据 openapi.json 生成前端使用的 TypeScript 类型（src/services/api.types.ts）
+ *
+ * 用法：
+ *   node scripts/generate-api-types.js          生成类型文件
+ *   node scripts/generate-api-types.js --check  只检查类型文件是否与 openapi.json 一致，不一致时退出码为 1
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SPEC_PATH = path.join(__dirname, '..', 'openapi.json');
+const OUTPUT_PATH = path.join(__dirname, '..', '..', 'src', 'services', 'api.types.ts');
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+const spec = JSON.parse(fs.readFileSync(SPEC_PATH, 'utf-8'));
+
+function indent(level) {
+  return '  '.repeat(level);
+}
+
+function docComment(description, level) {
+  return description ? `${indent(level)}/** ${description} */\n` : '';
+}
+
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * schema 转换为 TypeScript 类型表达式
+ * @param {object} schema
+ * @param {number} level - 缩进层级（内联对象使用）
+ */
+function toType(schema, level) {
+  let type;
+  if (schema.$ref) {
+    type = schema.$ref.slice(SCHEMA_REF_PREFIX.length);
+  } else if (schema.allOf) {
+    type = schema.allOf.map(part => toType(part, level)).join(' & ');
+  } else if (schema.oneOf) {
+    type = schema.oneOf.map(part => toType(part, level)).join(' | ');
+  } else if (schema.enum) {
+    type = schema.enum.map(value => JSON.stringify(value).replace(/"/g, '\'')).join(' | ');
+  } else {
+    switch (schema.type) {
+      case 'integer':
+      case 'number':
+        type = 'number';
+        break;
+      case 'boolean':
+        type = 'boolean';
+        break;
+      case 'string':
+        type = schema.format === 'binary' ? 'Blob' : 'string';
+        break;
+      case 'array': {
+        const itemType = toType(schema.items || {}, level);
+        type = /[|&]/.test(itemType) ? `Array<${itemType}>` : `${itemType}[]`;
+        break;
+      }
+      case 'object':
+        type = schema.properties ? objectType(schema, level) : 'Record<string, unknown>';
+        break;
+      default:
+        type = 'unknown';
+    }
+  }
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function objectType(schema, level) {
+  const required = new Set(schema.required || []);
+  const lines = Object.entries(schema.properties).map(([name, property]) => {
+    const optional = required.has(name) ? '' : '?';
+    return `${docComment(property.description, level + 1)}${indent(level + 1)}${propertyName(name)}${optional}: ${toType(property, level + 1)}`;
+  });
+  return `{\n${lines.join('\n')}\n${indent(level)}}`;
+}
+
+/**
+ * 生成类型文件内容
+ * @returns {string}
+ */
+function generate() {
+  const declarations = Object.entries(spec.components.schemas).map(([name, schema]) => {
+    const doc = docComment(schema.description, 0);
+    if (schema.type === 'object' && schema.properties && !schema.nullable) {
+      return `${doc}export interface ${name} ${objectType(schema, 0)}`;
+    }
+    return `${doc}export type ${name} = ${toType(schema, 0)}`;
+  });
+
+  return [
+    '// 此文件由 server/scripts/generate-api-types.js 根据 server/openapi.json 生成，请勿手动修改',
+    '// 修改接口定义后运行 npm run api:types 重新生成',
+    '',
+    declarations.join('\n\n'),
+    '',
+  ].join('\n');
+}
+
+const content = generate();
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf-8') : '';
+  if (current !== content) {
+    console.error(`${path.relative(process.cwd(), OUTPUT_PATH)} 与 openapi.json 不一致，请运行 npm run api:types`);
+    process.exit(1);
+  }
+  console.log('API 类型与 openapi.json 一致');
+} else {
+  fs.writeFileSync(OUTPUT_PATH, content);
+  console.log(`已生成 ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
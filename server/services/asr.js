@@ -4,9 +4,16 @@
  */
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import { execSync, exec } from 'child_process';
+import { promisify } from 'util';
 import { randomUUID } from 'crypto';
 import { config } from '../config.js';
+import { withProviderLimit, withFfmpegLimit, settleAll } from './limiter.js';
+import { withCache } from './cache.js';
+import { logger } from './logger.js';
+import { recordProviderUsage, recordFfmpegUsage } from './usage.js';
+
+const execAsync = promisify(exec);
 
 /**
  * 检查 ffmpeg 是否可用
@@ -31,7 +38,7 @@ export function getAudioDuration(filePath) {
     );
     return parseFloat(output.trim());
   } catch (error) {
-    console.error('获取音频时长失败:', error);
+    logger.error('获取音频时长失败', { file: filePath, error: error.message });
     throw error;
   }
 }
@@ -42,16 +49,22 @@ export function getAudioDuration(filePath) {
  * @param {string} outputFile - 输出文件路径
  * @param {number} startTime - 开始时间（秒）
  * @param {number} duration - 时长（秒）
+ * @param {object} options - 选项（signal: 取消信号）
  */
-export function extractAudioSegment(inputFile, outputFile, startTime, duration) {
+export async function extractAudioSegment(inputFile, outputFile, startTime, duration, options = {}) {
+  const { signal } = options;
   try {
-    execSync(
-      `ffmpeg -i "${inputFile}" -ss ${startTime} -t ${duration} -acodec libmp3lame -ar 16000 -ac 1 "${outputFile}" -y`,
-      { stdio: 'ignore' }
-    );
+    // -benchmark 输出 CPU 时间，用于统计用量
+    const { stdout: output } = await withFfmpegLimit(() => execAsync(
+      `ffmpeg -benchmark -i "${inputFile}" -ss ${startTime} -t ${duration} -acodec libmp3lame -ar 16000 -ac 1 "${outputFile}" -y 2>&1`,
+      { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024, signal }
+    ), signal);
+    recordFfmpegUsage(output);
     return true;
   } catch (error) {
-    console.error('截取音频片段失败:', error);
+    if (!signal?.aborted) {
+      logger.error('截取音频片段失败', { file: inputFile, startTime, duration, error: error.message });
+    }
     throw error;
   }
 }
@@ -64,13 +77,24 @@ function fileToBase64(filePath) {
   return fileBuffer.toString('base64');
 }
 
+const ASR_MODEL = 'bigmodel';
+
 /**
- * 调用火山引擎 BigModel ASR API 识别单个音频片段
+ * 调用火山引擎 BigModel ASR API 识别单个音频片段，相同的音频内容直接使用缓存的结果
  * 参考 test-volcengine-asr.js 实现
  * @param {string} audioBase64 - base64 编码的音频数据
- * @returns {Promise<string>} - 识别结果文本
+ * @param {object} options - 选项（signal: 取消信号，audioSeconds: 音频时长，用于统计用量）
+ * @returns {Promise<{text: string, utterances: Array<{start: number, end: number, text: string}>}>}
+ *   - 识别结果文本和分句（时间为相对片段开头的秒数）
  */
-async function callASRAPI(audioBase64) {
+function callASRAPI(audioBase64, options = {}) {
+  return withCache('asr', { model: ASR_MODEL, audio: audioBase64 }, () => requestASR(audioBase64, options));
+}
+
+/**
+ * 请求 ASR API
+ */
+async function requestASR(audioBase64, options) {
   const { baseUrl, appId, accessToken, resourceId } = config.volcengineAsr;
   const requestId = randomUUID();
   
@@ -91,85 +115,104 @@ async function callASRAPI(audioBase64) {
       data: audioBase64,
     },
     request: {
-      model_name: 'bigmodel',
+      model_name: ASR_MODEL,
+      show_utterances: true,
     },
   };
 
   try {
-    const response = await fetch(baseUrl, {
+    const response = await withProviderLimit('asr', () => fetch(baseUrl, {
       method: 'POST',
       headers,
       body: JSON.stringify(body),
-    });
+      signal: options.signal,
+    }), options.signal);
 
     // 检查响应头中的状态码
     const statusCode = response.headers.get('X-Api-Status-Code');
     const message = response.headers.get('X-Api-Message');
     const logid = response.headers.get('X-Tt-Logid');
 
-    console.log(`ASR 请求 (reqId: ${requestId}): statusCode=${statusCode}, logid=${logid}`);
+    // 请求 ID 和 X-Tt-Logid 用于向火山引擎排查问题
+    const requestLog = { provider: 'asr', requestId, logid, apiStatusCode: statusCode };
+    logger.info('ASR 请求完成', { ...requestLog, httpStatus: response.status });
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error('ASR API 请求失败:', response.status, errorText);
+      logger.error('ASR API 请求失败', { ...requestLog, httpStatus: response.status, body: errorText });
       throw new Error(`ASR API error: ${response.status} - ${errorText}`);
     }
 
     const data = await response.json();
     
+    // 静音片段同样按音频时长计费
+    if (statusCode === '20000000' || statusCode === '20000003') {
+      recordProviderUsage({ asrSeconds: options.audioSeconds });
+    }
+
     // 检查状态码
     // 20000000 = 成功
     // 20000003 = 静音片段，无有效语音（这是正常情况，不应该报错）
     if (statusCode === '20000003') {
-      console.log('ASR: 该片段为静音，跳过');
-      return '';  // 静音片段返回空字符串
+      logger.info('ASR 片段为静音，跳过', requestLog);
+      return { text: '', utterances: [] };  // 静音片段返回空结果
     }
     
     if (statusCode !== '20000000') {
-      console.error('ASR API 返回错误:', statusCode, message);
+      logger.error('ASR API 返回错误', { ...requestLog, apiMessage: message });
       throw new Error(`ASR API error: ${statusCode} - ${message || 'Unknown error'}`);
     }
 
-    // 提取识别结果文本
-    const text = data.result?.text || '';
-    return text;
+    // 提取识别结果文本和分句
+    return {
+      text: data.result?.text || '',
+      utterances: (data.result?.utterances || [])
+        .filter(utterance => utterance.text)
+        .map(utterance => ({
+          start: utterance.start_time / 1000,
+          end: utterance.end_time / 1000,
+          text: utterance.text,
+        })),
+    };
   } catch (error) {
-    console.error('ASR API 调用失败:', error);
+    if (!options.signal?.aborted) {
+      logger.error('ASR API 调用失败', { provider: 'asr', requestId, error: error.message });
+    }
     throw error;
   }
 }
 
 /**
- * 识别音频文件
- * @param {string} audioFilePath - 音频文件路径
- * @param {number} startTime - 开始时间（秒）
- * @param {number} endTime - 结束时间（秒）
- * @param {function} onProgress - 进度回调
- * @returns {Promise<string>} - 完整识别结果
+ * 按 60 秒分段识别音频
+ * @returns {Promise<Array<{index: number, segmentStart: number, segmentLength: number, text: string, utterances: Array, success: boolean}>>}
+ *   - 按顺序排列的各片段结果
  */
-export async function transcribeAudio(audioFilePath, startTime, endTime, onProgress) {
+async function transcribeSegments(audioFilePath, startTime, endTime, onProgress, options = {}) {
+  const { signal } = options;
+
   if (!checkFFmpeg()) {
     throw new Error('ffmpeg 未安装，请先安装 ffmpeg');
   }
 
-  const tempDir = config.tempDir;
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
+  if (!fs.existsSync(config.tempDir)) {
+    fs.mkdirSync(config.tempDir, { recursive: true });
   }
+  // 每次识别使用独立的临时目录，同时识别的标记点、任务的片段文件不会互相覆盖
+  const tempDir = fs.mkdtempSync(path.join(config.tempDir, 'asr-'));
 
   const duration = endTime - startTime;
   const segmentDuration = 60; // 每段60秒
   const segmentCount = Math.ceil(duration / segmentDuration);
   const segmentResults = [];
 
-  console.log(`开始识别音频: ${startTime}s - ${endTime}s, 共 ${segmentCount} 个片段`);
+  logger.info('开始识别音频', { startTime, endTime, segmentCount });
 
   // 准备所有片段的任务
   const segmentTasks = [];
   for (let i = 0; i < segmentCount; i++) {
     const segmentStart = startTime + i * segmentDuration;
     const segmentLength = Math.min(segmentDuration, endTime - segmentStart);
-    const segmentFile = path.join(tempDir, `segment_${Date.now()}_${i}.mp3`);
+    const segmentFile = path.join(tempDir, `segment_${i}.mp3`);
 
     segmentTasks.push({
       index: i,
@@ -179,41 +222,50 @@ export async function transcribeAudio(audioFilePath, startTime, endTime, onProgr
     });
   }
 
-  // 并发处理片段，限制并发数为 3
-  const CONCURRENT_LIMIT = 3;
+  // 并发处理所有片段（截取和识别分别受 ffmpeg、ASR 的全局并发上限限制）
   let completedCount = 0;
-  const allResults = [];
   
   // 处理单个片段的任务
   const processSegment = async ({ index, segmentStart, segmentLength, segmentFile }) => {
     try {
+      signal?.throwIfAborted();
+
       // 截取音频片段
-      extractAudioSegment(audioFilePath, segmentFile, segmentStart, segmentLength);
+      await extractAudioSegment(audioFilePath, segmentFile, segmentStart, segmentLength, { signal });
 
       // 转换为 base64 并调用 API
       const audioBase64 = fileToBase64(segmentFile);
-      const text = await callASRAPI(audioBase64);
+      const { text, utterances } = await callASRAPI(audioBase64, { signal, audioSeconds: segmentLength });
       
       completedCount++;
       const progress = Math.round((completedCount / segmentCount) * 80);
       onProgress?.(progress, `正在处理片段 ${completedCount}/${segmentCount}...`);
       
-      console.log(`片段 ${index + 1}/${segmentCount} 识别完成: ${text.substring(0, 50)}...`);
+      logger.info('ASR 片段识别完成', { segment: index + 1, segmentCount, textPreview: text.substring(0, 50) });
       
       return {
         index,
+        segmentStart,
+        segmentLength,
         text: text || '',
+        utterances,
         success: true,
       };
     } catch (error) {
+      // 任务被取消，直接中断整个识别
+      if (signal?.aborted) throw error;
+
       completedCount++;
       const progress = Math.round((completedCount / segmentCount) * 80);
       onProgress?.(progress, `正在处理片段 ${completedCount}/${segmentCount}...`);
       
-      console.error(`片段 ${index + 1} 识别失败:`, error);
+      logger.error('ASR 片段识别失败', { segment: index + 1, segmentCount, error: error.message });
       return {
         index,
+        segmentStart,
+        segmentLength,
         text: `[片段 ${index + 1} 识别失败]`,
+        utterances: [],
         success: false,
       };
     } finally {
@@ -224,28 +276,65 @@ export async function transcribeAudio(audioFilePath, startTime, endTime, onProgr
     }
   };
 
-  // 控制并发执行
-  for (let i = 0; i < segmentTasks.length; i += CONCURRENT_LIMIT) {
-    const batch = segmentTasks.slice(i, i + CONCURRENT_LIMIT);
-    const batchResults = await Promise.all(batch.map(processSegment));
-    allResults.push(...batchResults);
+  // 结果按片段顺序排列；任务被取消时等待其余片段结束后再抛出，保证临时文件都已清理
+  let allResults;
+  try {
+    allResults = await settleAll(segmentTasks.map(processSegment));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
   }
 
-  // 按索引排序并合并结果
-  allResults.sort((a, b) => a.index - b.index);
-  const results = allResults.map(r => r.text);
-
   onProgress?.(100, '语音识别完成');
-  return results.join('\n');
+  return allResults;
+}
+
+/**
+ * 识别音频文件
+ * @param {string} audioFilePath - 音频文件路径
+ * @param {number} startTime - 开始时间（秒）
+ * @param {number} endTime - 结束时间（秒）
+ * @param {function} onProgress - 进度回调
+ * @param {object} options - 选项（signal: 取消信号）
+ * @returns {Promise<string>} - 完整识别结果
+ */
+export async function transcribeAudio(audioFilePath, startTime, endTime, onProgress, options = {}) {
+  const segments = await transcribeSegments(audioFilePath, startTime, endTime, onProgress, options);
+  return segments.map(segment => segment.text).join('\n');
+}
+
+/**
+ * 识别音频文件，返回带时间的分句
+ * 服务商没有返回分句的片段（或识别失败的片段）整段作为一句
+ * @param {string} audioFilePath - 音频文件路径
+ * @param {number} startTime - 开始时间（秒）
+ * @param {number} endTime - 结束时间（秒）
+ * @param {function} onProgress - 进度回调
+ * @param {object} options - 选项（signal: 取消信号）
+ * @returns {Promise<Array<{start: number, end: number, text: string}>>} - 时间为音频文件中的秒数
+ */
+export async function transcribeUtterances(audioFilePath, startTime, endTime, onProgress, options = {}) {
+  const segments = await transcribeSegments(audioFilePath, startTime, endTime, onProgress, options);
+  return segments.flatMap(({ segmentStart, segmentLength, text, utterances }) => {
+    if (utterances.length === 0) {
+      return text ? [{ start: segmentStart, end: segmentStart + segmentLength, text }] : [];
+    }
+    return utterances.map(utterance => ({
+      start: segmentStart + utterance.start,
+      end: segmentStart + utterance.end,
+      text: utterance.text,
+    }));
+  });
 }
 
 /**
  * 快速识别整个音频文件（适用于较短的音频）
  * @param {string} audioFilePath - 音频文件路径
+ * @param {object} options - 选项（signal: 取消信号，audioSeconds: 音频时长，用于统计用量）
  * @returns {Promise<string>} - 识别结果
  */
-export async function quickTranscribe(audioFilePath) {
+export async function quickTranscribe(audioFilePath, options = {}) {
   const audioBase64 = fileToBase64(audioFilePath);
-  return await callASRAPI(audioBase64);
+  const { text } = await callASRAPI(audioBase64, options);
+  return text;
 }
 
@@ -0,0 +1,213 @@
+/**
+ * 服务器端音频来源
+ * 支持直接读取允许目录（如 NAS 挂载点）下的文件，或由服务器下载 URL，无需经浏览器上传
+ */
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { config } from '../config.js';
+import { logger } from './logger.js';
+import { fetchPublic, isPrivateHost, urlHostname, BlockedAddressError } from './publicNetwork.js';
+
+export const AUDIO_EXTENSION_PATTERN = /\.(mp3|wav|m4a)$/i;
+
+// 下载时最多跟随的重定向次数
+const MAX_REDIRECTS = 5;
+
+const PRIVATE_HOST_ERROR = 'source.url 不能指向本机或内网地址';
+
+/**
+ * 校验并解析服务器本地路径，必须位于配置的允许目录内（符号链接按实际路径判断）
+ * @param {string} sourcePath - 文件路径
+ * @returns {string} - 解析后的真实路径
+ */
+export function resolveSourcePath(sourcePath) {
+  if (config.source.allowedRoots.length === 0) {
+    throw new Error('服务器未配置允许读取的目录（SOURCE_ALLOWED_ROOTS）');
+  }
+  if (typeof sourcePath !== 'string' || !path.isAbsolute(sourcePath)) {
+    throw new Error('source.path 必须是绝对路径');
+  }
+  if (!AUDIO_EXTENSION_PATTERN.test(sourcePath)) {
+    throw new Error('只支持音频文件（MP3, WAV, M4A）');
+  }
+
+  let realPath;
+  try {
+    realPath = fs.realpathSync(sourcePath);
+  } catch {
+    throw new Error('文件不存在');
+  }
+
+  const allowed = config.source.allowedRoots.some(root => {
+    const relative = path.relative(realpathOrSelf(root), realPath);
+    return relative && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+  });
+  if (!allowed) {
+    throw new Error('该路径不在允许读取的目录内');
+  }
+
+  if (!fs.statSync(realPath).isFile()) {
+    throw new Error('source.path 不是文件');
+  }
+
+  return realPath;
+}
+
+/**
+ * 获取真实路径（允许目录本身可能是符号链接），不存在时原样返回
+ */
+function realpathOrSelf(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch {
+    return filePath;
+  }
+}
+
+/**
+ * 主机是否在 SOURCE_ALLOWED_HOSTS 中（含子域名）
+ */
+function isAllowListedHost(hostname) {
+  return config.source.allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * 校验音频 URL：协议、主机允许列表，以及直接写 IP 或 localhost 时不能指向本机和内网
+ * 域名解析后的地址在建立连接时检查（见 publicNetwork.js）
+ * @param {string} sourceUrl
+ * @returns {URL}
+ */
+export function parseSourceUrl(sourceUrl) {
+  let url;
+  try {
+    url = new URL(sourceUrl);
+  } catch {
+    throw new Error('source.url 不是有效的 URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('source.url 只支持 http 和 https');
+  }
+
+  const hostname = urlHostname(url);
+  if (isAllowListedHost(hostname)) return url;
+  if (config.source.allowedHosts.length > 0) {
+    throw new Error('source.url 的主机不在允许下载的列表内（SOURCE_ALLOWED_HOSTS）');
+  }
+  if (isPrivateHost(url)) {
+    throw new Error(PRIVATE_HOST_ERROR);
+  }
+  return url;
+}
+
+/**
+ * 请求音频 URL，手动跟随重定向，每一跳都重新校验地址
+ * 允许列表中的主机（可以是内网主机）直接请求，其他主机只连接公网地址
+ * @returns {Promise<Response>}
+ */
+async function fetchSource(sourceUrl, signal) {
+  let url = parseSourceUrl(sourceUrl);
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = isAllowListedHost(urlHostname(url))
+        ? await fetch(url, { signal, redirect: 'manual' })
+        : await fetchPublic(url, { signal });
+    } catch (error) {
+      if (error instanceof BlockedAddressError) throw new Error(PRIVATE_HOST_ERROR);
+      throw error;
+    }
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error('下载音频失败：重定向次数过多');
+    }
+    url = parseSourceUrl(new URL(location, url).href);
+  }
+}
+
+/**
+ * 下载音频到本地文件（先写入 .download 临时文件，完成后重命名）
+ * 超过 config.source.downloadIdleTimeoutMs 没有收到数据、或总时长超过 downloadTimeoutMs 时失败
+ * @param {string} sourceUrl - 音频 URL
+ * @param {string} outputPath - 保存路径
+ * @param {object} options - 选项（signal: 取消信号，onProgress: (downloaded, total) 进度回调）
+ * @returns {Promise<string>} - 保存路径
+ */
+export async function downloadAudio(sourceUrl, outputPath, options = {}) {
+  const { onProgress } = options;
+  const { downloadIdleTimeoutMs, downloadTimeoutMs } = config.source;
+  const maxSize = config.upload.maxFileSize;
+
+  // 超时只中止下载，与任务的取消信号分开，失败原因为超时而不是取消
+  const timeout = new AbortController();
+  const totalTimer = setTimeout(
+    () => timeout.abort(new Error(`下载音频超时（超过 ${downloadTimeoutMs / 60000} 分钟）`)),
+    downloadTimeoutMs
+  );
+  let idleTimer;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(
+      () => timeout.abort(new Error(`下载音频超时（${downloadIdleTimeoutMs / 1000} 秒没有收到数据）`)),
+      downloadIdleTimeoutMs
+    );
+  };
+  const signal = options.signal ? AbortSignal.any([options.signal, timeout.signal]) : timeout.signal;
+
+  const tempPath = `${outputPath}.download`;
+  let downloaded = 0;
+
+  try {
+    resetIdleTimer();
+    const response = await fetchSource(sourceUrl, signal);
+    if (!response.ok || !response.body) {
+      throw new Error(`下载音频失败: HTTP ${response.status}`);
+    }
+
+    const total = parseInt(response.headers.get('content-length'), 10) || 0;
+    if (total > maxSize) {
+      throw new Error('音频文件太大，最大支持 500MB');
+    }
+
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    await pipeline(
+      Readable.fromWeb(response.body),
+      async function* (source) {
+        for await (const chunk of source) {
+          resetIdleTimer();
+          downloaded += chunk.length;
+          if (downloaded > maxSize) {
+            throw new Error('音频文件太大，最大支持 500MB');
+          }
+          onProgress?.(downloaded, total);
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(tempPath),
+      { signal }
+    );
+    fs.renameSync(tempPath, outputPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    if (timeout.signal.aborted && !options.signal?.aborted) {
+      throw timeout.signal.reason;
+    }
+    throw error;
+  } finally {
+    clearTimeout(totalTimer);
+    clearTimeout(idleTimer);
+  }
+
+  logger.info('音频下载完成', { url: sourceUrl, bytes: downloaded });
+  return outputPath;
+}
@@ -0,0 +1,320 @@
+/**
+ * 用户账号与鉴权
+ * - 用户名 + 密码登录，返回会话令牌（Bearer token）
+ * - API Key 供脚本调用，创建时只返回一次明文
+ * - 令牌和 API Key 只保存 SHA-256 摘要，密码使用 scrypt 加盐哈希
+ *
+ * 数据保存在 config.dataDir/users.json：{ users: [...], sessions: [...] }
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { config } from '../config.js';
+import { logger } from './logger.js';
+
+const USERS_FILE = 'users.json';
+const API_KEY_PREFIX = 'xjx_';
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+export const ROLES = ['user', 'admin'];
+
+const scrypt = promisify(crypto.scrypt);
+
+let users = [];
+let sessions = [];
+
+function usersPath() {
+  return path.join(config.dataDir, USERS_FILE);
+}
+
+function persist() {
+  if (!fs.existsSync(config.dataDir)) {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+  }
+  const tempPath = `${usersPath()}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ users, sessions }, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, usersPath());
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const expectedBuffer = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuffer.length);
+  return crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+/**
+ * 用户对外返回的字段（不含密码哈希和 API Key 摘要）
+ * @param {object} user
+ */
+export function toUserResponse(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+  };
+}
+
+/**
+ * 加载用户数据，并在配置了 ADMIN_PASSWORD 且管理员不存在时创建管理员
+ * @returns {Promise<number>} - 用户数量
+ */
+export async function loadUsers() {
+  users = [];
+  sessions = [];
+
+  if (fs.existsSync(usersPath())) {
+    try {
+      const data = JSON.parse(fs.readFileSync(usersPath(), 'utf-8'));
+      users = data.users || [];
+      sessions = data.sessions || [];
+    } catch (error) {
+      logger.error('读取用户数据失败', { error });
+    }
+  }
+
+  // 丢弃已过期的会话
+  const now = Date.now();
+  sessions = sessions.filter(session => new Date(session.expiresAt).getTime() > now);
+
+  const { adminUsername, adminPassword } = config.auth;
+  if (adminPassword && !findUserByName(adminUsername)) {
+    await createUser({ username: adminUsername, password: adminPassword, role: 'admin' });
+    logger.info('已创建管理员账号', { username: adminUsername });
+  } else if (users.length === 0) {
+    logger.warn('尚未创建任何用户，请配置 ADMIN_PASSWORD 后重启以创建管理员账号');
+  }
+
+  persist();
+  return users.length;
+}
+
+function findUserByName(username) {
+  const normalized = String(username).toLowerCase();
+  return users.find(user => user.username.toLowerCase() === normalized);
+}
+
+/**
+ * 获取用户
+ * @param {string} userId
+ */
+export function getUser(userId) {
+  return users.find(user => user.id === userId);
+}
+
+/**
+ * 获取所有用户
+ */
+export function listUsers() {
+  return [...users];
+}
+
+/**
+ * 创建用户
+ * @param {object} options - username、password、role（默认 user）
+ * @returns {Promise<object>} - 新用户
+ */
+export async function createUser({ username, password, role = 'user' }) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new Error('用户名只能包含字母、数字、_ . -，长度 3-32');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`密码至少 ${MIN_PASSWORD_LENGTH} 位`);
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`role 只能是 ${ROLES.join('、')}`);
+  }
+  if (findUserByName(username)) {
+    throw new Error('用户名已存在');
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    role,
+    passwordHash: await hashPassword(password),
+    apiKeys: [],
+    createdAt: new Date().toISOString(),
+  };
+  users.push(user);
+  persist();
+  return user;
+}
+
+/**
+ * 用户名密码登录
+ * @returns {Promise<{token: string, expiresAt: string, user: object}|null>} - 用户名或密码错误时返回 null
+ */
+export async function login(username, password) {
+  const user = typeof username === 'string' ? findUserByName(username) : undefined;
+  if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000).toISOString();
+  const now = Date.now();
+  sessions = sessions.filter(session => new Date(session.expiresAt).getTime() > now);
+  sessions.push({ tokenHash: sha256(token), userId: user.id, createdAt: new Date().toISOString(), expiresAt });
+  persist();
+
+  return { token, expiresAt, user: toUserResponse(user) };
+}
+
+/**
+ * 注销会话令牌
+ * @param {string} token
+ */
+export function logout(token) {
+  const tokenHash = sha256(token);
+  const count = sessions.length;
+  sessions = sessions.filter(session => session.tokenHash !== tokenHash);
+  if (sessions.length !== count) persist();
+}
+
+/**
+ * 创建 API Key
+ * @param {object} user
+ * @param {string} [name] - 备注
+ * @returns {{id: string, name: string, key: string, createdAt: string}} - key 只在创建时返回
+ */
+export function createApiKey(user, name) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 64) : 'API Key',
+    prefix: key.slice(0, API_KEY_PREFIX.length + 4),
+    keyHash: sha256(key),
+    createdAt: new Date().toISOString(),
+  };
+  user.apiKeys = [...(user.apiKeys || []), apiKey];
+  persist();
+  return { id: apiKey.id, name: apiKey.name, key, createdAt: apiKey.createdAt };
+}
+
+/**
+ * 列出用户的 API Key（不含密钥本身）
+ * @param {object} user
+ */
+export function listApiKeys(user) {
+  return (user.apiKeys || []).map(({ keyHash, ...apiKey }) => apiKey);
+}
+
+/**
+ * 删除 API Key
+ * @returns {boolean} - 是否存在并已删除
+ */
+export function revokeApiKey(user, keyId) {
+  const apiKeys = user.apiKeys || [];
+  if (!apiKeys.some(apiKey => apiKey.id === keyId)) return false;
+  user.apiKeys = apiKeys.filter(apiKey => apiKey.id !== keyId);
+  persist();
+  return true;
+}
+
+/**
+ * 根据令牌或 API Key 查找用户
+ * @param {string} credential
+ * @returns {object|undefined}
+ */
+function resolveCredential(credential) {
+  const credentialHash = sha256(credential);
+
+  if (credential.startsWith(API_KEY_PREFIX)) {
+    for (const user of users) {
+      const apiKey = (user.apiKeys || []).find(item => item.keyHash === credentialHash);
+      if (apiKey) {
+        // 最近使用时间随下一次写入一起保存，避免每个请求都写文件
+        apiKey.lastUsedAt = new Date().toISOString();
+        return user;
+      }
+    }
+    return undefined;
+  }
+
+  const session = sessions.find(item => item.tokenHash === credentialHash);
+  if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return undefined;
+  return getUser(session.userId);
+}
+
+/**
+ * 从请求中读取凭证：Authorization: Bearer <token 或 API Key>、X-API-Key 头，
+ * 或 access_token 参数（EventSource 无法设置请求头）
+ * @returns {string|undefined}
+ */
+export function getRequestCredential(req) {
+  const authorization = req.get('Authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key').trim();
+  }
+  if (typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return undefined;
+}
+
+/**
+ * Express 中间件：解析凭证并设置 req.user，未携带凭证时继续（由 requireUser 决定是否拒绝）
+ * 携带了无效或过期的凭证时返回 401
+ */
+export function authenticate(req, res, next) {
+  const credential = getRequestCredential(req);
+  if (!credential) return next();
+
+  const user = resolveCredential(credential);
+  if (!user) {
+    return res.status(401).json({ error: '登录已过期或凭证无效' });
+  }
+  req.user = user;
+  next();
+}
+
+/**
+ * Express 中间件：要求已登录
+ */
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: '请先登录' });
+  }
+  next();
+}
+
+/**
+ * Express 中间件：要求管理员
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: '请先登录' });
+  }
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: '需要管理员权限' });
+  }
+  next();
+}
+
+/**
+ * 用户能否访问任务：管理员可以访问所有任务，普通用户只能访问自己的
+ * @param {object} user
+ * @param {object} task
+ */
+export function canAccessTask(user, task) {
+  return user?.role === 'admin' || (!!task.userId && task.userId === user?.id);
+}
@@ -0,0 +1,203 @@
+/**
+ * 服务商结果缓存
+ * 以请求内容的哈希为键保存 ASR、LLM、图片生成、TTS 的成功结果，相同输入再次请求时直接返回，不再调用付费接口：
+ * - asr：音频片段内容 + 模型
+ * - llm：消息 + 模型（及 reasoning 选项）
+ * - image：完整提示词 + 模型
+ * - tts：文本 + 音色、语速等音频参数
+ *
+ * 每条结果保存为 config.cache.dir/<provider>/<哈希>.json，超过有效期（按写入时间）的结果视为未命中并删除；
+ * 总大小超过上限时按最近使用时间从旧到新淘汰（服务重启后按写入时间）
+ *
+ * 上下文（runWithLogContext）中 noCache 为 true 时不读取缓存，新结果仍写入缓存，替换旧的结果
+ * 调用方可以传入 parse，结果解析成功后才写入缓存，避免格式错误的结果在有效期内被反复使用
+ */
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { config } from '../config.js';
+import { createCounter, createGauge } from './metrics.js';
+import { logger, getLogContext } from './logger.js';
+
+// 缓存索引：文件路径 -> { size, createdAt, usedAt }，首次使用时扫描缓存目录建立
+let entries = null;
+let totalBytes = 0;
+
+const cacheRequests = createCounter({
+  name: 'xiaojixing_cache_requests_total',
+  help: '服务商结果缓存查询次数，result 为 hit、miss 或 bypass（请求设置了 noCache）',
+  labelNames: ['provider', 'result'],
+});
+
+createGauge({
+  name: 'xiaojixing_cache_size_bytes',
+  help: '服务商结果缓存占用（字节）',
+  collect: () => {
+    loadEntries();
+    return totalBytes;
+  },
+});
+
+createGauge({
+  name: 'xiaojixing_cache_entries',
+  help: '服务商结果缓存的条数',
+  collect: () => loadEntries().size,
+});
+
+function cacheDir() {
+  return config.cache.dir || path.join(config.dataDir, 'cache');
+}
+
+function isExpired(createdAt) {
+  return config.cache.ttlMs > 0 && Date.now() - createdAt > config.cache.ttlMs;
+}
+
+/**
+ * 删除一条缓存
+ */
+function removeEntry(filePath) {
+  const entry = entries.get(filePath);
+  if (entry) {
+    totalBytes -= entry.size;
+    entries.delete(filePath);
+  }
+  fs.rmSync(filePath, { force: true });
+}
+
+/**
+ * 扫描缓存目录建立索引，同时删除过期的结果
+ */
+function loadEntries() {
+  if (entries) return entries;
+  entries = new Map();
+  totalBytes = 0;
+
+  const dir = cacheDir();
+  if (!fs.existsSync(dir)) return entries;
+
+  for (const provider of fs.readdirSync(dir)) {
+    const providerDir = path.join(dir, provider);
+    if (!fs.statSync(providerDir).isDirectory()) continue;
+
+    for (const name of fs.readdirSync(providerDir)) {
+      const filePath = path.join(providerDir, name);
+      const stat = fs.statSync(filePath);
+      if (!name.endsWith('.json') || isExpired(stat.mtimeMs)) {
+        fs.rmSync(filePath, { force: true });
+        continue;
+      }
+      entries.set(filePath, { size: stat.size, createdAt: stat.mtimeMs, usedAt: stat.mtimeMs });
+      totalBytes += stat.size;
+    }
+  }
+  return entries;
+}
+
+/**
+ * 超过容量上限时淘汰最久未使用的结果
+ */
+function evict() {
+  const { maxBytes } = config.cache;
+  if (maxBytes <= 0 || totalBytes <= maxBytes) return;
+
+  const oldestFirst = [...entries].sort(([, a], [, b]) => a.usedAt - b.usedAt);
+  let removed = 0;
+  for (const [filePath] of oldestFirst) {
+    if (totalBytes <= maxBytes) break;
+    removeEntry(filePath);
+    removed++;
+  }
+  logger.info('缓存超过容量上限，已淘汰最久未使用的结果', { removed, totalBytes, maxBytes });
+}
+
+/**
+ * 读取缓存的结果
+ * @returns {*} - 未命中（不存在、已过期或无法读取）时返回 undefined
+ */
+function readEntry(filePath) {
+  const entry = loadEntries().get(filePath);
+  if (!entry) return undefined;
+
+  if (isExpired(entry.createdAt)) {
+    removeEntry(filePath);
+    return undefined;
+  }
+
+  try {
+    const { value } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    entry.usedAt = Date.now();
+    return value;
+  } catch (error) {
+    logger.warn('读取缓存失败，重新请求', { file: filePath, error: error.message });
+    removeEntry(filePath);
+    return undefined;
+  }
+}
+
+/**
+ * 保存结果（写入失败只记录日志，不影响请求）
+ */
+function writeEntry(filePath, value) {
+  loadEntries();
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const content = JSON.stringify({ createdAt: new Date().toISOString(), value });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+
+    const previous = entries.get(filePath);
+    if (previous) totalBytes -= previous.size;
+    const size = Buffer.byteLength(content);
+    entries.set(filePath, { size, createdAt: Date.now(), usedAt: Date.now() });
+    totalBytes += size;
+    evict();
+  } catch (error) {
+    logger.warn('写入缓存失败', { file: filePath, error: error.message });
+  }
+}
+
+/**
+ * 缓存文件路径：请求内容的 SHA-256
+ */
+function entryPath(provider, key) {
+  const hash = createHash('sha256').update(JSON.stringify(key)).digest('hex');
+  return path.join(cacheDir(), provider, `${hash}.json`);
+}
+
+/**
+ * 使用缓存执行服务商请求：命中时直接返回保存的结果，否则执行 fn 并保存其结果（fn 或 parse 抛出错误时不保存）
+ * @param {string} provider - 服务商（asr、llm、image、tts）
+ * @param {object} key - 决定结果的全部请求内容（不含密钥、请求 ID 等每次不同的字段）
+ * @param {function} fn - 请求函数，返回可以序列化为 JSON 的结果
+ * @param {function} [parse] - 解析 fn 的结果，返回值作为 withCache 的结果；
+ *   抛出错误时不保存（已缓存的结果解析失败时删除并重新请求）
+ * @returns {Promise<*>}
+ */
+export async function withCache(provider, key, fn, parse = value => value) {
+  if (!config.cache.enabled) return parse(await fn());
+
+  const filePath = entryPath(provider, key);
+  if (getLogContext().noCache) {
+    cacheRequests.inc({ provider, result: 'bypass' });
+  } else {
+    const cached = readEntry(filePath);
+    if (cached !== undefined) {
+      try {
+        const result = parse(cached);
+        cacheRequests.inc({ provider, result: 'hit' });
+        logger.info('使用缓存的服务商结果', { provider });
+        return result;
+      } catch (error) {
+        logger.warn('缓存的结果无法解析，重新请求', { provider, error: error.message });
+        removeEntry(filePath);
+      }
+    }
+    cacheRequests.inc({ provider, result: 'miss' });
+  }
+
+  const value = await fn();
+  const result = parse(value);
+  writeEntry(filePath, value);
+  return result;
+}
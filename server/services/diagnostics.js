@@ -0,0 +1,202 @@
+/**
+ * 服务商自检
+ * 对每个已配置的外部依赖发起一次最小的真实调用，报告耗时和错误：
+ * - asr：识别一段 1 秒的测试音频
+ * - llm：一句话提示词
+ * - tts：合成一句短语
+ * - image：生成一张简单图片
+ * - ffmpeg：编码 1 秒的测试视频（libx264 + aac，与视频合成相同）并用 ffprobe 读取时长
+ *
+ * 各项检查并行执行，互不影响；未配置的服务商标记为 skipped；不使用服务商结果缓存
+ * 最近一次结果保存在内存中，供管理页面查看
+ */
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { config } from '../config.js';
+import { quickTranscribe } from './asr.js';
+import { callLLM } from './llm.js';
+import { textToSpeechBase64 } from './tts.js';
+import { generateImage } from './imageGen.js';
+import { checkFFmpeg } from './videoSynth.js';
+import { logger, runWithLogContext } from './logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// 单项检查的超时时间（图片生成通常需要十几秒）
+const CHECK_TIMEOUT_MS = 60 * 1000;
+
+const LLM_PROMPT = '这是一次连通性测试，请只回复“OK”。';
+const TTS_TEXT = '你好，这是语音合成测试。';
+const IMAGE_PROMPT = 'A single red apple on a plain white background';
+
+let lastReport = null;
+let running = null;
+
+function isTalApiConfigured() {
+  return !!(config.talApi.appId && config.talApi.appKey);
+}
+
+/**
+ * 自检项：name、label（显示名称）、configured（未配置时跳过的原因）、run（返回 detail）
+ */
+const CHECKS = [
+  {
+    name: 'asr',
+    label: '语音识别（火山引擎 ASR）',
+    configured: () => (config.volcengineAsr.appId && config.volcengineAsr.accessToken)
+      ? null
+      : '未配置 VOLCENGINE_APP_ID / VOLCENGINE_ACCESS_TOKEN',
+    run: async ({ signal, workDir }) => {
+      if (!checkFFmpeg()) {
+        throw new Error('ffmpeg 未安装，无法生成测试音频');
+      }
+      const clipPath = path.join(workDir, 'asr_clip.mp3');
+      await execFileAsync('ffmpeg', [
+        '-f', 'lavfi', '-i', 'sine=frequency=440:duration=1',
+        '-ar', '16000', '-ac', '1', clipPath, '-y',
+      ], { signal });
+
+      const text = await quickTranscribe(clipPath, { signal });
+      // 测试音频没有语音，返回空文本（静音）也说明鉴权和接口正常
+      return { textLength: text.length };
+    },
+  },
+  {
+    name: 'llm',
+    label: '大语言模型（Doubao）',
+    configured: () => isTalApiConfigured() ? null : '未配置 VITE_TAL_MLOPS_APP_ID / VITE_TAL_MLOPS_APP_KEY',
+    run: async ({ signal }) => {
+      const content = await callLLM([{ role: 'user', content: LLM_PROMPT }], { signal });
+      if (!content) {
+        throw new Error('LLM 返回内容为空');
+      }
+      return { response: content.substring(0, 50) };
+    },
+  },
+  {
+    name: 'tts',
+    label: '语音合成（火山引擎 TTS）',
+    configured: () => (config.volcengineTts.appId && config.volcengineTts.token)
+      ? null
+      : '未配置 TTS_APP_ID / TTS_TOKEN（或 VOLCENGINE_APP_ID / VOLCENGINE_ACCESS_TOKEN）',
+    run: async ({ signal }) => {
+      const result = await textToSpeechBase64(TTS_TEXT, { signal });
+      return {
+        bytes: Buffer.from(result.base64, 'base64').length,
+        durationMs: result.duration ? Number(result.duration) : undefined,
+      };
+    },
+  },
+  {
+    name: 'image',
+    label: '图片生成（Gemini）',
+    configured: () => isTalApiConfigured() ? null : '未配置 VITE_TAL_MLOPS_APP_ID / VITE_TAL_MLOPS_APP_KEY',
+    run: async ({ signal }) => {
+      const image = await generateImage(IMAGE_PROMPT, { signal });
+      return { format: image.format, bytes: Buffer.from(image.base64, 'base64').length };
+    },
+  },
+  {
+    name: 'ffmpeg',
+    label: '视频编码（ffmpeg / ffprobe）',
+    configured: () => null,
+    run: async ({ signal, workDir }) => {
+      if (!checkFFmpeg()) {
+        throw new Error('ffmpeg 未安装');
+      }
+      const { stdout: versionOutput } = await execFileAsync('ffmpeg', ['-version'], { signal });
+
+      const videoPath = path.join(workDir, 'encode_test.mp4');
+      await execFileAsync('ffmpeg', [
+        '-f', 'lavfi', '-i', 'testsrc=size=320x240:rate=10:duration=1',
+        '-f', 'lavfi', '-i', 'sine=frequency=440:duration=1',
+        '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-shortest', videoPath, '-y',
+      ], { signal });
+
+      const { stdout } = await execFileAsync('ffprobe', [
+        '-v', 'error', '-show_entries', 'format=duration',
+        '-of', 'default=noprint_wrappers=1:nokey=1', videoPath,
+      ], { signal });
+      const duration = parseFloat(stdout.trim());
+      if (!(duration > 0)) {
+        throw new Error('ffprobe 无法读取测试视频时长');
+      }
+
+      return {
+        version: versionOutput.split('\n')[0].trim() || undefined,
+        duration,
+      };
+    },
+  },
+];
+
+/**
+ * 执行单项检查
+ * @returns {Promise<{name: string, label: string, status: 'ok'|'error'|'skipped', latencyMs?: number, message?: string, error?: string, detail?: object}>}
+ */
+async function runCheck(check, workDir) {
+  const base = { name: check.name, label: check.label };
+  const notConfigured = check.configured();
+  if (notConfigured) {
+    return { ...base, status: 'skipped', message: notConfigured };
+  }
+
+  const signal = AbortSignal.timeout(CHECK_TIMEOUT_MS);
+  const start = Date.now();
+  try {
+    // 自检必须真实调用服务商，不使用缓存的结果
+    const detail = await runWithLogContext({ step: 'diagnostics', noCache: true }, () => check.run({ signal, workDir }));
+    return { ...base, status: 'ok', latencyMs: Date.now() - start, detail };
+  } catch (error) {
+    const message = signal.aborted ? `超时（${CHECK_TIMEOUT_MS / 1000} 秒）` : error.message;
+    logger.warn('自检失败', { check: check.name, error: message });
+    return { ...base, status: 'error', latencyMs: Date.now() - start, error: message };
+  }
+}
+
+async function runAllChecks() {
+  const startedAt = new Date();
+  const workDir = path.join(config.tempDir, `diagnostics_${Date.now()}`);
+  fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    const checks = await Promise.all(CHECKS.map(check => runCheck(check, workDir)));
+    const report = {
+      ok: checks.every(check => check.status !== 'error'),
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      checks,
+    };
+    logger.info('服务商自检完成', {
+      ok: report.ok,
+      failed: checks.filter(check => check.status === 'error').map(check => check.name),
+    });
+    lastReport = report;
+    return report;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 执行自检；已有自检在进行时返回同一次的结果，避免重复调用付费接口
+ * @returns {Promise<object>} - { ok, startedAt, durationMs, checks }
+ */
+export function runDiagnostics() {
+  if (!running) {
+    running = runAllChecks().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+/**
+ * 最近一次自检结果和是否正在自检
+ * @returns {{lastRun: object|null, running: boolean}}
+ */
+export function getDiagnosticsStatus() {
+  return { lastRun: lastReport, running: !!running };
+}
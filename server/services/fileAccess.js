@@ -0,0 +1,136 @@
+/**
+ * 输出文件访问控制
+ * 结果中保存的是不带签名的 /api/files/<outputId>/<filename> 地址，
+ * 返回给客户端前签上过期时间和所属用户，GET /api/files 校验签名后才返回文件
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config.js';
+
+const FILE_URL_PATTERN = /^\/api\/files\/([^/?#]+)\/([^/?#]+)/;
+const SAFE_SEGMENT_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+const SECRET_FILE = 'file-url.key';
+
+let secret = null;
+
+/**
+ * 签名密钥：优先使用 FILE_URL_SECRET，否则首次使用时随机生成并保存到数据目录，重启后已签发的链接仍然有效
+ */
+function getSecret() {
+  if (secret) return secret;
+  if (config.files.urlSecret) {
+    secret = config.files.urlSecret;
+    return secret;
+  }
+
+  const secretPath = path.join(config.dataDir, SECRET_FILE);
+  if (fs.existsSync(secretPath)) {
+    secret = fs.readFileSync(secretPath, 'utf-8').trim();
+  } else {
+    secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(config.dataDir, { recursive: true });
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+function computeSignature(outputId, filename, exp, uid) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${outputId}/${filename}\n${exp}\n${uid}`)
+    .digest('base64url');
+}
+
+/**
+ * 生成带签名的文件地址
+ * @param {string} outputId - 输出目录 ID
+ * @param {string} filename - 文件名
+ * @param {string} [ownerId] - 任务所属用户 ID
+ * @returns {string}
+ */
+export function signFileUrl(outputId, filename, ownerId = '') {
+  const exp = Math.floor(Date.now() / 1000) + config.files.urlTtlSeconds;
+  const params = new URLSearchParams({ exp: String(exp) });
+  if (ownerId) params.set('uid', ownerId);
+  params.set('sig', computeSignature(outputId, filename, exp, ownerId));
+  return `/api/files/${encodeURIComponent(outputId)}/${encodeURIComponent(filename)}?${params}`;
+}
+
+/**
+ * 对 /api/files 地址重新签名，其他地址原样返回
+ */
+function signUrl(url, ownerId) {
+  const match = typeof url === 'string' && url.match(FILE_URL_PATTERN);
+  if (!match) return url;
+  return signFileUrl(decodeURIComponent(match[1]), decodeURIComponent(match[2]), ownerId);
+}
+
+/**
+ * 对处理结果（或单页 slide-ready 数据）中的 imageUrl、audioUrl、video.url 签名，返回副本
+ * @param {object} result
+ * @param {string} [ownerId] - 任务所属用户 ID
+ * @returns {object}
+ */
+export function signResultUrls(result, ownerId) {
+  if (!result || typeof result !== 'object') return result;
+
+  const signed = { ...result };
+  if (signed.imageUrl) signed.imageUrl = signUrl(signed.imageUrl, ownerId);
+  if (signed.audioUrl) signed.audioUrl = signUrl(signed.audioUrl, ownerId);
+  if (Array.isArray(signed.slides)) {
+    signed.slides = signed.slides.map(slide => ({
+      ...slide,
+      imageUrl: signUrl(slide.imageUrl, ownerId),
+      audioUrl: signUrl(slide.audioUrl, ownerId),
+    }));
+  }
+  if (signed.video?.url) {
+    signed.video = { ...signed.video, url: signUrl(signed.video.url, ownerId) };
+  }
+  return signed;
+}
+
+/**
+ * 校验文件地址的签名
+ * @param {string} outputId
+ * @param {string} filename
+ * @param {object} query - 请求参数（exp、uid、sig）
+ * @returns {{ok: true, uid: string} | {ok: false, error: string}}
+ */
+export function verifyFileSignature(outputId, filename, query) {
+  const { exp, sig } = query;
+  const uid = query.uid || '';
+  if (typeof exp !== 'string' || typeof sig !== 'string' || typeof uid !== 'string') {
+    return { ok: false, error: '缺少访问签名' };
+  }
+
+  const expected = Buffer.from(computeSignature(outputId, filename, exp, uid));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, error: '访问签名无效' };
+  }
+  if (!(Number(exp) * 1000 > Date.now())) {
+    return { ok: false, error: '链接已过期' };
+  }
+  return { ok: true, uid };
+}
+
+/**
+ * 解析输出文件路径，拒绝 ..、路径分隔符等可能越出输出目录的片段
+ * @param {string} outputId
+ * @param {string} filename
+ * @returns {string|null} - 文件绝对路径，片段不合法时返回 null
+ */
+export function resolveOutputFile(outputId, filename) {
+  if (!SAFE_SEGMENT_PATTERN.test(outputId) || !SAFE_SEGMENT_PATTERN.test(filename)) {
+    return null;
+  }
+
+  const root = path.resolve(config.outputDir);
+  const filePath = path.resolve(root, outputId, filename);
+  if (!filePath.startsWith(root + path.sep)) {
+    return null;
+  }
+  return filePath;
+}
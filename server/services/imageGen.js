@@ -5,13 +5,29 @@
 import fs from 'fs';
 import path from 'path';
 import { config, getTalApiKey } from '../config.js';
+import { withProviderLimit } from './limiter.js';
+import { withCache } from './cache.js';
+import { logger } from './logger.js';
+import { recordProviderUsage } from './usage.js';
+
+const IMAGE_MODEL = 'gemini-3-pro-image';
 
 /**
- * 调用 Gemini Image API 生成图片
+ * 调用 Gemini Image API 生成图片，相同的提示词和模型直接使用缓存的图片
  * @param {string} prompt - 图片描述提示词
+ * @param {object} options - 选项（signal: 取消信号）
  * @returns {Promise<{base64: string, format: string}>}
  */
-export async function generateImage(prompt) {
+export function generateImage(prompt, options = {}) {
+  // 增强提示词，确保生成高质量的教育插图
+  const enhancedPrompt = enhancePrompt(prompt);
+  return withCache('image', { model: IMAGE_MODEL, prompt: enhancedPrompt }, () => requestImage(prompt, enhancedPrompt, options));
+}
+
+/**
+ * 请求 Gemini Image API
+ */
+async function requestImage(prompt, enhancedPrompt, options) {
   const url = `${config.talApi.baseUrl}/v1/chat/completions`;
 
   const headers = {
@@ -19,11 +35,8 @@ export async function generateImage(prompt) {
     'api-key': getTalApiKey(),
   };
 
-  // 增强提示词，确保生成高质量的教育插图
-  const enhancedPrompt = enhancePrompt(prompt);
-
   const body = {
-    model: 'gemini-3-pro-image',
+    model: IMAGE_MODEL,
     messages: [
       {
         role: 'user',
@@ -34,17 +47,23 @@ export async function generateImage(prompt) {
   };
 
   try {
-    console.log('图片生成请求:', prompt.substring(0, 80) + '...');
-    
-    const response = await fetch(url, {
+    logger.debug('图片生成请求', { provider: 'image', promptPreview: prompt.substring(0, 80) });
+
+    const response = await withProviderLimit('image', () => fetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(body),
-    });
+      signal: options.signal,
+    }), options.signal);
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error('Gemini API 请求失败:', response.status, errorText);
+      logger.error('图片生成 API 请求失败', {
+        provider: 'image',
+        requestId: response.headers.get('x-request-id') || undefined,
+        httpStatus: response.status,
+        body: errorText,
+      });
       throw new Error(`Gemini API error: ${response.status}`);
     }
 
@@ -54,14 +73,21 @@ export async function generateImage(prompt) {
     const imageData = extractImageFromResponse(data);
     
     if (!imageData) {
-      console.error('Gemini 响应中没有图片数据:', JSON.stringify(data).substring(0, 500));
+      logger.error('图片生成响应中没有图片数据', {
+        provider: 'image',
+        requestId: data.id,
+        body: JSON.stringify(data).substring(0, 500),
+      });
       throw new Error('No image in response');
     }
     
-    console.log('图片生成成功');
+    logger.info('图片生成请求完成', { provider: 'image', requestId: data.id, format: imageData.format });
+    recordProviderUsage({ images: 1 });
     return imageData;
   } catch (error) {
-    console.error('图片生成失败:', error);
+    if (!options.signal?.aborted) {
+      logger.error('图片生成失败', { provider: 'image', error: error.message });
+    }
     throw error;
   }
 }
@@ -148,10 +174,11 @@ function extractBase64Data(url) {
  * 生成图片并保存到文件
  * @param {string} prompt - 图片描述
  * @param {string} outputPath - 输出文件路径
+ * @param {object} options - 选项（signal: 取消信号）
  * @returns {Promise<{filepath: string, format: string}>}
  */
-export async function generateImageToFile(prompt, outputPath) {
-  const imageData = await generateImage(prompt);
+export async function generateImageToFile(prompt, outputPath, options = {}) {
+  const imageData = await generateImage(prompt, options);
   
   // 确保输出目录存在
   const dir = path.dirname(outputPath);
@@ -204,7 +231,7 @@ export async function generateImagesBatch(prompts, onProgress) {
       const imageData = await generateImage(prompt);
       results.push(imageData);
     } catch (error) {
-      console.error(`图片 ${i + 1} 生成失败:`, error);
+      logger.error('批量生成图片失败，使用占位图', { image: i + 1, error: error.message });
       // 使用占位图
       results.push({
         base64: null,
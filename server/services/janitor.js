@@ -0,0 +1,353 @@
+/**
+ * 磁盘清理
+ * - 启动时清理上次进程遗留的临时文件
+ * - 定期删除超过保留期限的任务文件，总占用超过上限时按最近访问时间从旧到新淘汰
+ * - 没有任务引用的输出目录（同步处理接口生成的结果）按目录修改时间一起参与清理
+ * - 统计各任务的磁盘占用
+ *
+ * 被清理的任务保留记录（知识点、字幕等文本），输出文件删除后标记 expiredAt
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { listTasks, saveTask, saveTaskLater, getTaskOutputIds } from './taskStore.js';
+import { createGauge } from './metrics.js';
+import { logger } from './logger.js';
+
+const uploadsDir = path.join(config.tempDir, 'uploads');
+const partialDir = path.join(uploadsDir, 'partial');
+
+// 记录访问时间的最小间隔，避免每次读取文件都写存储
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// 这些状态的任务之后还会继续处理（等待确认标记点、重启后重新排队），音频和输出文件不参与清理
+const ACTIVE_STATUSES = ['queued', 'processing', 'awaiting_confirmation', 'interrupted'];
+
+// 磁盘占用指标需要遍历目录，抓取结果缓存一段时间
+const DISK_METRICS_MAX_AGE_MS = 60 * 1000;
+
+// 正在写入的无任务输出目录（同步处理接口），处理结束前不参与清理
+const activeOutputIds = new Set();
+
+/**
+ * 计算文件或目录占用的字节数
+ */
+function diskUsage(target) {
+  let stat;
+  try {
+    stat = fs.statSync(target);
+  } catch {
+    return 0;
+  }
+  if (!stat.isDirectory()) return stat.size;
+
+  return fs.readdirSync(target)
+    .reduce((sum, name) => sum + diskUsage(path.join(target, name)), 0);
+}
+
+createGauge({
+  name: 'xiaojixing_disk_usage_bytes',
+  help: '磁盘占用（字节），dir 为 output（输出目录）或 temp（临时目录），最多缓存 60 秒',
+  labelNames: ['dir'],
+  maxAgeMs: DISK_METRICS_MAX_AGE_MS,
+  collect: () => [
+    [{ dir: 'output' }, diskUsage(config.outputDir)],
+    [{ dir: 'temp' }, diskUsage(config.tempDir)],
+  ],
+});
+
+/**
+ * 任务的所有输出目录
+ */
+function getTaskOutputDirs(task) {
+  return [task.id, ...getTaskOutputIds(task)]
+    .map(outputId => path.join(config.outputDir, outputId));
+}
+
+/**
+ * 任务音频是否由服务端保存（上传或下载的）；source.path 指向的原始文件不属于服务端
+ */
+function ownsAudio(task) {
+  return task.source?.type !== 'path' && !!task.audioFile;
+}
+
+/**
+ * 删除任务的音频临时文件（上传或下载的；source.path 指向的原始文件不删除）
+ * @param {object} task
+ */
+export function removeTaskAudio(task) {
+  if (!ownsAudio(task)) return;
+  try {
+    if (fs.existsSync(task.audioFile)) {
+      fs.unlinkSync(task.audioFile);
+    }
+  } catch (e) {
+    logger.warn('清理临时文件失败', { taskId: task.id, error: e.message });
+  }
+}
+
+/**
+ * 删除任务的输出目录和音频文件
+ * @param {object} task
+ */
+export function removeTaskFiles(task) {
+  for (const outputDir of getTaskOutputDirs(task)) {
+    if (fs.existsSync(outputDir)) {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  }
+  removeTaskAudio(task);
+}
+
+/**
+ * 记录任务被访问（读取输出文件时调用），用于按最近访问时间淘汰
+ * @param {object} task
+ */
+export function touchTask(task) {
+  const last = task.lastAccessedAt ? new Date(task.lastAccessedAt).getTime() : 0;
+  if (Date.now() - last < TOUCH_INTERVAL_MS) return;
+  task.lastAccessedAt = new Date().toISOString();
+  saveTaskLater(task);
+}
+
+/**
+ * 标记没有任务的输出目录正在写入（同步处理接口使用），处理结束前不会被清理
+ * @param {string} outputId
+ * @returns {function} - 处理结束时调用
+ */
+export function trackActiveOutput(outputId) {
+  activeOutputIds.add(outputId);
+  return () => activeOutputIds.delete(outputId);
+}
+
+/**
+ * 没有任务引用的输出目录：不是任何任务 ID，也不以任务 ID 加 "-" 开头（标记点目录）
+ * 同步处理接口的结果在下次启动恢复为任务之前属于这一类
+ * @returns {Array<{id: string, dir: string, bytes: number, modifiedAt: string}>}
+ */
+function listUntrackedOutputs() {
+  if (!fs.existsSync(config.outputDir)) return [];
+
+  const taskIds = listTasks().map(task => task.id);
+  const belongsToTask = (name) => taskIds.some(id => name === id || name.startsWith(`${id}-`));
+
+  return fs.readdirSync(config.outputDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !activeOutputIds.has(entry.name) && !belongsToTask(entry.name))
+    .map(entry => {
+      const dir = path.join(config.outputDir, entry.name);
+      return { id: entry.name, dir, bytes: diskUsage(dir), modifiedAt: fs.statSync(dir).mtime.toISOString() };
+    });
+}
+
+/**
+ * 统计单个任务的磁盘占用
+ */
+function taskUsage(task) {
+  const outputBytes = getTaskOutputDirs(task).reduce((sum, dir) => sum + diskUsage(dir), 0);
+  const audioBytes = ownsAudio(task) ? diskUsage(task.audioFile) : 0;
+  return {
+    id: task.id,
+    status: task.status,
+    bytes: outputBytes + audioBytes,
+    outputBytes,
+    audioBytes,
+    createdAt: task.createdAt,
+    finishedAt: finishedAt(task),
+    lastAccessedAt: task.lastAccessedAt,
+    expiredAt: task.expiredAt,
+  };
+}
+
+/**
+ * 任务结束的时间（用于保留期限）
+ */
+function finishedAt(task) {
+  return task.completedAt || task.cancelledAt || task.startedAt || task.createdAt;
+}
+
+/**
+ * 任务最近访问时间（用于容量淘汰），从未访问过时按结束时间
+ */
+function lastUsedAt(task) {
+  return new Date(task.lastAccessedAt || finishedAt(task)).getTime();
+}
+
+/**
+ * 统计磁盘占用
+ * @returns {object} - 总量、各目录占用、清理配置、按占用从大到小排序的任务列表和没有任务引用的输出目录
+ */
+export function getStorageUsage() {
+  const tasks = listTasks().map(taskUsage).sort((a, b) => b.bytes - a.bytes);
+  const untrackedOutputs = listUntrackedOutputs()
+    .map(({ id, bytes, modifiedAt }) => ({ id, bytes, modifiedAt }))
+    .sort((a, b) => b.bytes - a.bytes);
+  const outputBytes = diskUsage(config.outputDir);
+  const tempBytes = diskUsage(config.tempDir);
+
+  return {
+    totalBytes: outputBytes + tempBytes,
+    outputBytes,
+    tempBytes,
+    partialUploadBytes: diskUsage(partialDir),
+    retention: {
+      maxAgeDays: config.retention.maxAgeDays,
+      maxBytes: config.retention.maxBytes,
+      intervalMinutes: config.retention.intervalMinutes,
+    },
+    tasks,
+    untrackedOutputs,
+  };
+}
+
+/**
+ * 清理任务文件并标记为已过期
+ */
+function expireTask(task, reason) {
+  removeTaskFiles(task);
+  task.expiredAt = new Date().toISOString();
+  task.expiredReason = reason;
+  saveTask(task);
+}
+
+/**
+ * 执行一次清理
+ * @returns {{expired: Array<{id: string, reason: string, bytes: number}>, partialUploadsRemoved: number, freedBytes: number}}
+ */
+export function runJanitor() {
+  const now = Date.now();
+  const expired = [];
+  const candidates = listTasks().filter(task => !ACTIVE_STATUSES.includes(task.status) && !task.expiredAt);
+  let untracked = listUntrackedOutputs();
+
+  const removeUntracked = (output, reason) => {
+    fs.rmSync(output.dir, { recursive: true, force: true });
+    expired.push({ id: output.id, reason, bytes: output.bytes });
+  };
+
+  // 1. 超过保留期限
+  if (config.retention.maxAgeDays > 0) {
+    const maxAgeMs = config.retention.maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const task of candidates) {
+      if (now - new Date(finishedAt(task)).getTime() > maxAgeMs) {
+        const { bytes } = taskUsage(task);
+        expireTask(task, 'max-age');
+        expired.push({ id: task.id, reason: 'max-age', bytes });
+      }
+    }
+
+    const isOld = (output) => now - new Date(output.modifiedAt).getTime() > maxAgeMs;
+    untracked.filter(isOld).forEach(output => removeUntracked(output, 'max-age'));
+    untracked = untracked.filter(output => !isOld(output));
+  }
+
+  // 2. 总占用超过上限，按最近访问时间（没有任务的输出目录按修改时间）从旧到新淘汰
+  if (config.retention.maxBytes > 0) {
+    let total = diskUsage(config.outputDir) + diskUsage(config.tempDir);
+    const lru = [
+      ...candidates
+        .filter(task => !task.expiredAt)
+        .map(task => ({ usedAt: lastUsedAt(task), task })),
+      ...untracked.map(output => ({ usedAt: new Date(output.modifiedAt).getTime(), output })),
+    ].sort((a, b) => a.usedAt - b.usedAt);
+
+    for (const { task, output } of lru) {
+      if (total <= config.retention.maxBytes) break;
+      if (output) {
+        removeUntracked(output, 'max-bytes');
+        total -= output.bytes;
+        continue;
+      }
+      const { bytes } = taskUsage(task);
+      expireTask(task, 'max-bytes');
+      expired.push({ id: task.id, reason: 'max-bytes', bytes });
+      total -= bytes;
+    }
+  }
+
+  // 3. 长时间未继续的分片上传
+  const partialUploadsRemoved = removeStalePartialUploads(config.retention.partialUploadMaxAgeHours * 60 * 60 * 1000);
+
+  const freedBytes = expired.reduce((sum, item) => sum + item.bytes, 0);
+  if (expired.length > 0 || partialUploadsRemoved > 0) {
+    logger.info('磁盘清理完成', { expiredTasks: expired.length, partialUploadsRemoved, freedBytes });
+  }
+
+  return { expired, partialUploadsRemoved, freedBytes };
+}
+
+/**
+ * 删除超过期限未更新的分片上传
+ * @returns {number} - 删除的上传数量
+ */
+function removeStalePartialUploads(maxAgeMs) {
+  if (!fs.existsSync(partialDir)) return 0;
+
+  const now = Date.now();
+  const stale = new Set();
+  for (const name of fs.readdirSync(partialDir)) {
+    const filePath = path.join(partialDir, name);
+    if (now - fs.statSync(filePath).mtimeMs > maxAgeMs) {
+      stale.add(name.split('.')[0]);
+    }
+  }
+  for (const uploadId of stale) {
+    for (const name of fs.readdirSync(partialDir).filter(n => n.startsWith(uploadId))) {
+      fs.rmSync(path.join(partialDir, name), { force: true });
+    }
+  }
+  return stale.size;
+}
+
+/**
+ * 启动时清理上次进程遗留的临时文件（此时没有任何任务在运行）
+ * - 处理中途退出留下的音频片段、视频片段等临时目录
+ * - 没有任务引用的上传音频和未完成的下载
+ * 未完成的分片上传保留，客户端可以继续上传
+ * @returns {number} - 释放的字节数
+ */
+export function cleanupOrphanedTemp() {
+  if (!fs.existsSync(config.tempDir)) return 0;
+
+  const referenced = new Set(listTasks().filter(ownsAudio).map(task => path.resolve(task.audioFile)));
+  let freed = 0;
+
+  const remove = (target) => {
+    freed += diskUsage(target);
+    fs.rmSync(target, { recursive: true, force: true });
+  };
+
+  for (const name of fs.readdirSync(config.tempDir)) {
+    const target = path.join(config.tempDir, name);
+    if (target !== uploadsDir) {
+      remove(target);
+    }
+  }
+
+  if (fs.existsSync(uploadsDir)) {
+    for (const name of fs.readdirSync(uploadsDir)) {
+      const target = path.join(uploadsDir, name);
+      if (target !== partialDir && !referenced.has(target)) {
+        remove(target);
+      }
+    }
+  }
+
+  if (freed > 0) {
+    logger.info('清理遗留临时文件', { freedBytes: freed });
+  }
+  return freed;
+}
+
+/**
+ * 启动定期清理
+ */
+export function startJanitor() {
+  if (config.retention.intervalMinutes <= 0) return;
+  setInterval(() => {
+    try {
+      runJanitor();
+    } catch (error) {
+      logger.error('磁盘清理失败', { error });
+    }
+  }, config.retention.intervalMinutes * 60 * 1000).unref();
+}
@@ -0,0 +1,143 @@
+/**
+ * 任务队列
+ * 限制同时处理的任务数量，按优先级（高优先）+ 先进先出顺序调度
+ */
+import { config } from '../config.js';
+import { createGauge } from './metrics.js';
+import { logger } from './logger.js';
+
+// 等待中的任务：{ taskId, priority, seq, run }
+const pending = [];
+// 正在执行的任务 ID
+const running = new Set();
+let seq = 0;
+// 暂停后不再启动新任务（服务退出时），已入队的任务保持等待
+let paused = false;
+// 等待正在执行的任务全部结束的回调
+const idleWaiters = new Set();
+
+createGauge({
+  name: 'xiaojixing_queue_depth',
+  help: '排队等待处理的任务数',
+  collect: () => pending.length,
+});
+
+createGauge({
+  name: 'xiaojixing_queue_running',
+  help: '正在处理的任务数',
+  collect: () => running.size,
+});
+
+/**
+ * 按优先级从高到低、同优先级按入队顺序排序
+ */
+function compareJobs(a, b) {
+  return b.priority - a.priority || a.seq - b.seq;
+}
+
+/**
+ * 在有空闲槽位时启动等待中的任务
+ */
+function drain() {
+  while (!paused && running.size < config.queue.concurrency && pending.length > 0) {
+    const job = pending.shift();
+    running.add(job.taskId);
+
+    // 同步启动，调用方入队后即可看到任务已进入处理状态
+    new Promise(resolve => resolve(job.run()))
+      .catch(error => logger.error('队列任务执行异常', { taskId: job.taskId, error }))
+      .finally(() => {
+        running.delete(job.taskId);
+        if (running.size === 0) {
+          idleWaiters.forEach(resolve => resolve(true));
+        }
+        drain();
+      });
+  }
+}
+
+/**
+ * 暂停队列：不再启动新任务，正在执行的任务不受影响
+ */
+export function pauseQueue() {
+  paused = true;
+}
+
+/**
+ * 等待正在执行的任务全部结束
+ * @param {number} timeoutMs - 最长等待时间
+ * @returns {Promise<boolean>} - 是否在超时前全部结束
+ */
+export function waitForRunningJobs(timeoutMs) {
+  if (running.size === 0) return Promise.resolve(true);
+
+  return new Promise(resolve => {
+    const done = (idle) => {
+      clearTimeout(timer);
+      idleWaiters.delete(done);
+      resolve(idle);
+    };
+    const timer = setTimeout(() => done(false), timeoutMs);
+    idleWaiters.add(done);
+  });
+}
+
+/**
+ * 队列是否已满
+ * @returns {boolean}
+ */
+export function isQueueFull() {
+  return pending.length >= config.queue.maxLength;
+}
+
+/**
+ * 加入队列
+ * @param {string} taskId - 任务 ID
+ * @param {function} run - 执行函数，返回 Promise
+ * @param {object} options - 选项（priority: 优先级，数值越大越先执行，默认 0）
+ */
+export function enqueueJob(taskId, run, options = {}) {
+  pending.push({
+    taskId,
+    priority: options.priority || 0,
+    seq: seq++,
+    run,
+  });
+  pending.sort(compareJobs);
+  drain();
+}
+
+/**
+ * 从队列中移除尚未开始的任务
+ * @param {string} taskId
+ * @returns {boolean} - 是否移除成功（已开始执行的任务返回 false）
+ */
+export function removeJob(taskId) {
+  const index = pending.findIndex(job => job.taskId === taskId);
+  if (index === -1) return false;
+  pending.splice(index, 1);
+  return true;
+}
+
+/**
+ * 获取任务在队列中的位置
+ * @param {string} taskId
+ * @returns {number|null} - 从 1 开始的排队位置，不在队列中返回 null
+ */
+export function getQueuePosition(taskId) {
+  const index = pending.findIndex(job => job.taskId === taskId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * 获取队列统计
+ * @returns {{queued: number, running: number, concurrency: number, maxLength: number}}
+ */
+export function getQueueStats() {
+  return {
+    queued: pending.length,
+    running: running.size,
+    concurrency: config.queue.concurrency,
+    maxLength: config.queue.maxLength,
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * 并发限制器
+ * 为每个外部服务商（ASR、LLM、图片、TTS）和本地 ffmpeg 进程设置全局并发上限，所有任务共享
+ */
+import { AsyncResource } from 'async_hooks';
+import { config } from '../config.js';
+import { createGauge, trackProviderRequest } from './metrics.js';
+
+/**
+ * 创建并发限制器
+ * @param {number} concurrency - 最大并发数
+ * @returns {function} - limit(fn, { signal }) 在拿到槽位后执行 fn
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    waiting.shift().start();
+  };
+
+  const limit = (fn, options = {}) => new Promise((resolve, reject) => {
+    const { signal } = options;
+    // 排队的任务由释放槽位的任务启动，绑定入队时的异步上下文，
+    // 否则日志上下文（taskId、markerIndex）和用量归属会沿用释放槽位的任务
+    const run = AsyncResource.bind(fn);
+
+    const onAbort = () => {
+      const index = waiting.indexOf(entry);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+        reject(signal.reason);
+      }
+    };
+
+    const entry = {
+      start: () => {
+        signal?.removeEventListener('abort', onAbort);
+        Promise.resolve()
+          .then(run)
+          .then(resolve, reject)
+          .finally(() => {
+            active--;
+            next();
+          });
+      },
+    };
+
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waiting.push(entry);
+    next();
+  });
+
+  limit.stats = () => ({ active, waiting: waiting.length, concurrency });
+  return limit;
+}
+
+const providerLimiters = Object.fromEntries(
+  Object.entries(config.providerLimits).map(([provider, concurrency]) => [provider, createLimiter(concurrency)])
+);
+
+createGauge({
+  name: 'xiaojixing_provider_active_requests',
+  help: '各服务商正在执行的请求数（ffmpeg 为正在运行的进程数）',
+  labelNames: ['provider'],
+  collect: () => Object.entries(providerLimiters).map(([provider, limit]) => [{ provider }, limit.stats().active]),
+});
+
+createGauge({
+  name: 'xiaojixing_provider_waiting_requests',
+  help: '各服务商等待并发槽位的请求数',
+  labelNames: ['provider'],
+  collect: () => Object.entries(providerLimiters).map(([provider, limit]) => [{ provider }, limit.stats().waiting]),
+});
+
+/**
+ * 在服务商并发限制内执行请求，并记录请求指标
+ * @param {string} provider - 服务商（asr、llm、image、tts）
+ * @param {function} fn - 请求函数，返回 fetch 的 Response
+ * @param {AbortSignal} [signal] - 取消信号，排队期间取消会直接放弃
+ */
+export function withProviderLimit(provider, fn, signal) {
+  const limit = providerLimiters[provider];
+  if (!limit) {
+    throw new Error(`未知的服务商: ${provider}`);
+  }
+  return limit(() => trackProviderRequest(provider, fn), { signal });
+}
+
+/**
+ * 在 ffmpeg 并发限制内执行命令（截取音频、合成视频等），不记录服务商请求指标
+ * @param {function} fn - 执行命令的函数，返回 Promise
+ * @param {AbortSignal} [signal] - 取消信号，排队期间取消会直接放弃
+ */
+export function withFfmpegLimit(fn, signal) {
+  return providerLimiters.ffmpeg(fn, { signal });
+}
+
+/**
+ * 等待全部并发操作结束，再按原顺序返回结果
+ * 与 Promise.all 不同，某个操作失败时仍等待其余操作结束（避免它们在调用方清理临时文件后继续写入），然后抛出第一个错误
+ * @param {Promise[]} promises
+ * @returns {Promise<Array>}
+ */
+export async function settleAll(promises) {
+  const results = await Promise.allSettled(promises);
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    throw failed.reason;
+  }
+  return results.map(result => result.value);
+}
+
+/**
+ * 获取各服务商的并发使用情况
+ */
+export function getProviderLimitStats() {
+  return Object.fromEntries(
+    Object.entries(providerLimiters).map(([provider, limit]) => [provider, limit.stats()])
+  );
+}
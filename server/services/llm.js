@@ -3,14 +3,41 @@
  * 基于 Doubao Seed 1.6 Flash 模型
  */
 import { config, getTalApiKey } from '../config.js';
+import { withProviderLimit } from './limiter.js';
+import { withCache } from './cache.js';
+import { logger } from './logger.js';
+import { recordProviderUsage } from './usage.js';
+
+const DEFAULT_MODEL = 'doubao-seed-1.6-flash';
 
 /**
- * 调用 Doubao Seed LLM API
+ * 调用 Doubao Seed LLM API，相同的消息和模型直接使用缓存的结果
  * @param {Array<{role: string, content: string}>} messages - 消息数组
- * @param {object} options - 选项
- * @returns {Promise<string>} - LLM 响应内容
+ * @param {object} options - 选项（parse: 解析响应内容，抛出错误时不缓存该响应；不传时返回响应内容）
+ * @returns {Promise<*>} - LLM 响应内容，或 parse 的返回值
+ */
+export function callLLM(messages, options = {}) {
+  const key = { model: options.model || DEFAULT_MODEL, messages, reasoning: options.reasoning || false };
+  return withCache('llm', key, () => requestLLM(messages, options), options.parse);
+}
+
+/**
+ * 从 LLM 响应中取出 JSON 对象
+ * @param {string} response
+ * @returns {object}
+ */
+function parseJsonObject(response) {
+  const jsonMatch = response.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('无法解析 LLM 响应');
+  }
+  return JSON.parse(jsonMatch[0]);
+}
+
+/**
+ * 请求 Doubao Seed LLM API
  */
-export async function callLLM(messages, options = {}) {
+async function requestLLM(messages, options) {
   const url = `${config.talApi.baseUrl}/v1/chat/completions`;
 
   const headers = {
@@ -19,7 +46,7 @@ export async function callLLM(messages, options = {}) {
   };
 
   const body = {
-    model: options.model || 'doubao-seed-1.6-flash',
+    model: options.model || DEFAULT_MODEL,
     messages: messages,
     stream: false,
     extra_body: {
@@ -28,29 +55,47 @@ export async function callLLM(messages, options = {}) {
   };
 
   try {
-    console.log('LLM 请求:', messages[messages.length - 1]?.content?.substring(0, 100) + '...');
-    
-    const response = await fetch(url, {
+    logger.debug('LLM 请求', { provider: 'llm', model: body.model, promptPreview: messages[messages.length - 1]?.content?.substring(0, 100) });
+
+    const response = await withProviderLimit('llm', () => fetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(body),
-    });
+      signal: options.signal,
+    }), options.signal);
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error('LLM API 请求失败:', response.status, errorText);
+      logger.error('LLM API 请求失败', {
+        provider: 'llm',
+        requestId: response.headers.get('x-request-id') || undefined,
+        httpStatus: response.status,
+        body: errorText,
+      });
       throw new Error(`LLM API error: ${response.status}`);
     }
 
     const data = await response.json();
     const content = data.choices?.[0]?.message?.content || '';
     
-    console.log('LLM 响应:', content.substring(0, 100) + '...');
-    console.log('Token 使用:', data.usage);
-    
+    // data.id 为服务商返回的请求 ID，用于排查问题
+    logger.info('LLM 请求完成', {
+      provider: 'llm',
+      requestId: data.id,
+      model: data.model || body.model,
+      usage: data.usage,
+      responsePreview: content.substring(0, 100),
+    });
+    recordProviderUsage({
+      llmPromptTokens: data.usage?.prompt_tokens,
+      llmCompletionTokens: data.usage?.completion_tokens,
+    });
+
     return content;
   } catch (error) {
-    console.error('LLM API 调用失败:', error);
+    if (!options.signal?.aborted) {
+      logger.error('LLM API 调用失败', { provider: 'llm', error: error.message });
+    }
     throw error;
   }
 }
@@ -58,9 +103,10 @@ export async function callLLM(messages, options = {}) {
 /**
  * 分析课堂内容，提取知识点
  * @param {string} transcript - 语音转文字内容
+ * @param {object} options - 选项（signal: 取消信号）
  * @returns {Promise<{knowledgePoint: string, summary: string, subject: string}>}
  */
-export async function analyzeKnowledgePoint(transcript) {
+export async function analyzeKnowledgePoint(transcript, options = {}) {
   const systemPrompt = `你是一个专业的教育内容分析师，擅长从课堂录音转写内容中提取核心知识点。
 请仔细分析课堂内容，识别出主要讲解的知识点和学科。`;
 
@@ -81,26 +127,22 @@ ${transcript}
 只返回 JSON，不要有其他内容。`;
 
   try {
-    const response = await callLLM([
+    const result = await callLLM([
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
-    ]);
-
-    // 尝试解析 JSON
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const result = JSON.parse(jsonMatch[0]);
-      return {
-        knowledgePoint: result.knowledgePoint || '知识点',
-        summary: result.summary || transcript.substring(0, 50) + '...',
-        subject: result.subject || 'math',
-        keyPoints: result.keyPoints || [],
-      };
-    }
+    ], { signal: options.signal, parse: parseJsonObject });
 
-    throw new Error('无法解析 LLM 响应');
+    return {
+      knowledgePoint: result.knowledgePoint || '知识点',
+      summary: result.summary || transcript.substring(0, 50) + '...',
+      subject: result.subject || 'math',
+      keyPoints: result.keyPoints || [],
+    };
   } catch (error) {
-    console.error('知识点分析失败:', error);
+    // 任务被取消时不使用兜底结果
+    if (options.signal?.aborted) throw error;
+
+    logger.warn('知识点分析失败，使用默认结果', { error: error.message });
     // 返回默认值
     return {
       knowledgePoint: '课堂知识点',
@@ -111,14 +153,143 @@ ${transcript}
   }
 }
 
+/**
+ * 秒数格式化为 mm:ss
+ */
+function formatClock(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 在标记点附近的转写分句中找出标记时正在讲解的话题范围
+ * @param {Array<{start: number, end: number, text: string}>} utterances - 按时间排列的分句（时间为音频中的秒数）
+ * @param {number} markerTime - 标记时间点（秒）
+ * @param {object} options - 选项（signal: 取消信号）
+ * @returns {Promise<{startIndex: number, endIndex: number, topic: string}|null>} - 话题起止分句的序号（含两端），无法判断时返回 null
+ */
+export async function findTopicRange(utterances, markerTime, options = {}) {
+  const systemPrompt = `你是一个专业的教育内容分析师，擅长根据课堂录音转写内容划分讲解的话题。
+一个话题是老师围绕同一个知识点、例题或推导进行的连续讲解，话题切换时通常会有"下面我们来看""接下来""好，第二题"等过渡语。`;
+
+  const lines = utterances.map((utterance, i) => `[${i}] ${formatClock(utterance.start)} ${utterance.text}`);
+  const userPrompt = `学生在课堂录音的 ${formatClock(markerTime)} 处按下了求助键，表示没听懂老师当时讲的内容。
+以下是这一时间前后的课堂转写，每行为"[序号] 开始时间 内容"：
+
+"""
+${lines.join('\n')}
+"""
+
+请找出学生求助时老师正在讲解的话题，给出该话题从开始到结束的连续分句范围（必须包含 ${formatClock(markerTime)} 时的分句）。
+不要包含前后无关的讲解、闲聊或课堂管理内容；如果话题在给出的内容之前或之后仍在继续，取到第一句或最后一句即可。
+
+请返回 JSON 格式的结果：
+{
+  "startIndex": 话题第一句的序号,
+  "endIndex": 话题最后一句的序号,
+  "topic": "话题名称（10字以内）"
+}
+
+只返回 JSON，不要有其他内容。`;
+
+  try {
+    return await callLLM([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], {
+      signal: options.signal,
+      parse: (response) => {
+        const result = parseJsonObject(response);
+        const startIndex = Number(result.startIndex);
+        const endIndex = Number(result.endIndex);
+        if (!(Number.isInteger(startIndex) && Number.isInteger(endIndex)
+          && startIndex >= 0 && endIndex < utterances.length && startIndex <= endIndex)) {
+          throw new Error('无法解析 LLM 响应');
+        }
+        return { startIndex, endIndex, topic: result.topic || '' };
+      },
+    });
+  } catch (error) {
+    // 任务被取消时不使用兜底结果
+    if (options.signal?.aborted) throw error;
+
+    logger.warn('话题边界识别失败', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * 把整节课划分为话题，并按复习的必要性打分（学生没有标记时用于自动选择标记点）
+ * @param {Array<{start: number, end: number, text: string}>} utterances - 整节课按时间排列的分句
+ * @param {object} options - 选项（signal: 取消信号）
+ * @returns {Promise<Array<{startIndex: number, endIndex: number, topic: string, reason: string, score: number}>>}
+ *   - 各话题的起止分句序号（含两端）、话题名称、需要复习的原因和得分（1-10）
+ */
+export async function rankReviewTopics(utterances, options = {}) {
+  const systemPrompt = `你是一个经验丰富的初中教师，擅长判断课堂上哪些内容学生最容易听不懂、最需要课后复习。
+需要复习的内容通常是：第一次讲解的新概念、公式或推导密集的部分、步骤多的例题，以及学生提问或老师反复强调的地方。
+导入、闲聊、课堂管理、布置作业等内容不需要复习。`;
+
+  const lines = utterances.map((utterance, i) => `[${i}] ${formatClock(utterance.start)} ${utterance.text}`);
+  const userPrompt = `以下是一节课的完整转写，每行为"[序号] 开始时间 内容"：
+
+"""
+${lines.join('\n')}
+"""
+
+请把这节课按讲解的话题划分为连续的片段（每个片段是围绕同一个知识点、例题或推导的连续讲解，通常 1-10 分钟），
+并为每个片段给出需要课后复习的程度（1-10 分，10 分最需要复习）。
+
+请返回 JSON 格式的结果：
+{
+  "topics": [
+    {
+      "startIndex": 片段第一句的序号,
+      "endIndex": 片段最后一句的序号,
+      "topic": "话题名称（10字以内）",
+      "reason": "需要复习的原因（20字以内）",
+      "score": 1-10 的整数
+    }
+  ]
+}
+
+只返回 JSON，不要有其他内容。`;
+
+  const topics = await callLLM([
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], {
+    signal: options.signal,
+    parse: (response) => {
+      const { topics: parsed } = parseJsonObject(response);
+      if (!Array.isArray(parsed)) {
+        throw new Error('无法解析 LLM 响应');
+      }
+      return parsed;
+    },
+  });
+
+  return topics
+    .map(topic => ({
+      startIndex: Number(topic.startIndex),
+      endIndex: Number(topic.endIndex),
+      topic: topic.topic || '',
+      reason: topic.reason || '',
+      score: Number(topic.score) || 0,
+    }))
+    .filter(topic => Number.isInteger(topic.startIndex) && Number.isInteger(topic.endIndex)
+      && topic.startIndex >= 0 && topic.endIndex < utterances.length && topic.startIndex <= topic.endIndex);
+}
+
 /**
  * 生成 PPT 脚本
  * @param {string} knowledgePoint - 知识点名称
  * @param {string} summary - 知识点概要
  * @param {string[]} keyPoints - 关键要点
+ * @param {object} options - 选项（signal: 取消信号）
  * @returns {Promise<{slides: Array}>}
  */
-export async function generatePPTScript(knowledgePoint, summary, keyPoints = []) {
+export async function generatePPTScript(knowledgePoint, summary, keyPoints = [], options = {}) {
   const systemPrompt = `你是一个专业的教育内容创作者，专门为初中生创作清晰详细的教学内容。
 你需要创作适合初中生理解的PPT讲解脚本，语言要清晰、准确、专业，避免过于低幼化的表达。
 图片风格统一采用"疯狂动物城"风格，迪士尼皮克斯画质，可爱精致。使用朱迪兔子作为老师角色。
@@ -201,72 +372,81 @@ ${keyPoints.length > 0 ? `关键要点：\n${keyPoints.map((p, i) => `${i + 1}.
 只返回 JSON，不要有其他内容。`;
 
   try {
-    const response = await callLLM([
+    return await callLLM([
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
-    ]);
+    ], { signal: options.signal, parse: parsePPTScript });
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
 
-    // 尝试解析 JSON - 支持多种格式
-    let result = null;
-    
-    // 1. 首先尝试匹配包含 slides 的对象
-    const objectMatch = response.match(/\{[\s\S]*"slides"[\s\S]*\}/);
-    if (objectMatch) {
-      try {
-        result = JSON.parse(objectMatch[0]);
-      } catch (e) {
-        console.log('对象格式解析失败，尝试其他格式');
-      }
+    logger.warn('PPT 脚本生成失败，使用默认脚本', { error: error.message });
+    // 返回默认脚本
+    return generateDefaultScript(knowledgePoint, summary);
+  }
+}
+
+/**
+ * 解析 PPT 脚本响应，支持对象、数组和需要修复的 JSON
+ * @param {string} response - LLM 响应内容
+ * @returns {{slides: Array}}
+ */
+function parsePPTScript(response) {
+  // 尝试解析 JSON - 支持多种格式
+  let result = null;
+  
+  // 1. 首先尝试匹配包含 slides 的对象
+  const objectMatch = response.match(/\{[\s\S]*"slides"[\s\S]*\}/);
+  if (objectMatch) {
+    try {
+      result = JSON.parse(objectMatch[0]);
+    } catch (e) {
+      logger.debug('对象格式解析失败，尝试其他格式');
     }
-    
-    // 2. 如果失败，尝试匹配数组格式（LLM 可能直接返回数组）
-    if (!result) {
-      const arrayMatch = response.match(/\[[\s\S]*\]/);
-      if (arrayMatch) {
-        try {
-          const slides = JSON.parse(arrayMatch[0]);
-          if (Array.isArray(slides)) {
-            result = { slides };
-          }
-        } catch (e) {
-          console.log('数组格式解析失败，尝试修复 JSON');
+  }
+  
+  // 2. 如果失败，尝试匹配数组格式（LLM 可能直接返回数组）
+  if (!result) {
+    const arrayMatch = response.match(/\[[\s\S]*\]/);
+    if (arrayMatch) {
+      try {
+        const slides = JSON.parse(arrayMatch[0]);
+        if (Array.isArray(slides)) {
+          result = { slides };
         }
+      } catch (e) {
+        logger.debug('数组格式解析失败，尝试修复 JSON');
       }
     }
-    
-    // 3. 尝试修复常见的 JSON 格式问题
-    if (!result) {
-      const fixedJson = fixJsonString(response);
-      if (fixedJson) {
-        try {
-          result = JSON.parse(fixedJson);
-          if (Array.isArray(result)) {
-            result = { slides: result };
-          }
-        } catch (e) {
-          console.log('修复后的 JSON 仍然无法解析');
+  }
+  
+  // 3. 尝试修复常见的 JSON 格式问题
+  if (!result) {
+    const fixedJson = fixJsonString(response);
+    if (fixedJson) {
+      try {
+        result = JSON.parse(fixedJson);
+        if (Array.isArray(result)) {
+          result = { slides: result };
         }
+      } catch (e) {
+        logger.debug('修复后的 JSON 仍然无法解析');
       }
     }
-    
-    // 验证和规范化数据
-    if (result && result.slides && Array.isArray(result.slides)) {
-      result.slides = result.slides.map((slide, index) => ({
-        title: slide.title || `第${index + 1}页`,
-        script: slide.script || '',
-        imagePrompt: normalizeImagePrompt(slide.imagePrompt || slide.image_prompt || ''),
-        subtitle: slide.subtitle || '',
-        subtitles: slide.subtitles || undefined, // 保留分段字幕数据
-      }));
-      return result;
-    }
-
-    throw new Error('无法解析 LLM 响应');
-  } catch (error) {
-    console.error('PPT 脚本生成失败:', error);
-    // 返回默认脚本
-    return generateDefaultScript(knowledgePoint, summary);
   }
+  
+  // 验证和规范化数据
+  if (result && result.slides && Array.isArray(result.slides)) {
+    result.slides = result.slides.map((slide, index) => ({
+      title: slide.title || `第${index + 1}页`,
+      script: slide.script || '',
+      imagePrompt: normalizeImagePrompt(slide.imagePrompt || slide.image_prompt || ''),
+      subtitle: slide.subtitle || '',
+      subtitles: slide.subtitles || undefined, // 保留分段字幕数据
+    }));
+    return result;
+  }
+
+  throw new Error('无法解析 LLM 响应');
 }
 
 /**
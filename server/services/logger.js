@@ -0,0 +1,187 @@
+/**
+ * 结构化日志
+ * - 每条日志一行 JSON：{ time, level, msg, taskId, markerIndex, step, ...字段 }
+ * - 任务 ID、标记点序号、步骤等上下文通过 AsyncLocalStorage 传递，处理任务期间的所有日志自动带上
+ * - 带 taskId 的日志同时追加到 config.dataDir/logs/<taskId>.jsonl，供 GET /api/tasks/:taskId/logs 查询
+ *
+ * LOG_LEVEL 控制输出级别（debug、info、warn、error，默认 info）；
+ * LOG_FORMAT=text 时输出便于阅读的单行文本（本地开发用），任务日志文件始终为 JSON
+ */
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from '../config.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const TASK_LOGS_DIR = 'logs';
+
+// 上下文字段在日志中的顺序（排在 msg 之后，其余字段之前）
+const CONTEXT_FIELDS = ['taskId', 'markerIndex', 'outputId', 'step', 'slideIndex'];
+
+const contextStorage = new AsyncLocalStorage();
+
+function levelValue(level) {
+  return LOG_LEVELS.indexOf(level);
+}
+
+function minLevel() {
+  return levelValue(config.logging.level) === -1 ? levelValue('info') : levelValue(config.logging.level);
+}
+
+function taskLogsDir() {
+  return path.join(config.dataDir, TASK_LOGS_DIR);
+}
+
+function taskLogPath(taskId) {
+  return path.join(taskLogsDir(), `${taskId}.jsonl`);
+}
+
+/**
+ * 错误对象转为可序列化的字段
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function buildEntry(level, message, fields) {
+  const context = contextStorage.getStore() || {};
+  const entry = { time: new Date().toISOString(), level, msg: message };
+
+  for (const key of CONTEXT_FIELDS) {
+    if (context[key] !== undefined) entry[key] = context[key];
+  }
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value !== undefined) entry[key] = serializeValue(value);
+  }
+  return entry;
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...rest } = entry;
+  const context = CONTEXT_FIELDS
+    .filter(key => rest[key] !== undefined)
+    .map(key => `${key}=${rest[key]}`);
+  const extra = Object.entries(rest)
+    .filter(([key]) => !CONTEXT_FIELDS.includes(key))
+    .map(([key, value]) => {
+      if (value && typeof value === 'object' && value.stack) return `\n${value.stack}`;
+      return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+    });
+
+  return [
+    time,
+    level.toUpperCase().padEnd(5),
+    context.length > 0 ? `[${context.join(' ')}]` : null,
+    msg,
+    ...extra,
+  ].filter(Boolean).join(' ');
+}
+
+function appendTaskLog(entry) {
+  try {
+    if (!fs.existsSync(taskLogsDir())) {
+      fs.mkdirSync(taskLogsDir(), { recursive: true });
+    }
+    fs.appendFileSync(taskLogPath(entry.taskId), JSON.stringify(entry) + '\n');
+  } catch (error) {
+    process.stderr.write(`写入任务日志失败: ${error.message}\n`);
+  }
+}
+
+function write(level, message, fields) {
+  const entry = buildEntry(level, message, fields);
+
+  // 任务日志不受 LOG_LEVEL 限制，便于事后排查
+  if (entry.taskId && levelValue(level) >= levelValue('info')) {
+    appendTaskLog(entry);
+  }
+
+  if (levelValue(level) < minLevel()) return;
+  const line = config.logging.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+  const stream = levelValue(level) >= levelValue('warn') ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+/**
+ * 日志输出
+ * logger.info('图片生成成功', { provider: 'image', durationMs: 1200 })
+ * 错误对象放在字段中，会展开为 { name, message, stack }：logger.error('处理失败', { error })
+ */
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+/**
+ * 在日志上下文中执行函数，fn 内部（包括异步调用）输出的日志都会带上这些字段
+ * 新上下文继承外层的字段
+ * @param {object} fields - 如 { taskId }、{ markerIndex, outputId }、{ step }
+ * @param {function} fn
+ * @returns {*} - fn 的返回值
+ */
+export function runWithLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * 修改当前日志上下文的字段（用于顺序执行的步骤切换，如 step）
+ * 并发执行的分支应使用 runWithLogContext，避免互相覆盖
+ * @param {object} fields
+ */
+export function setLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * 当前日志上下文的字段（副本），如 { taskId, markerIndex, outputId, step }
+ * 也用于把服务商用量归属到任务和标记点（见 usage.js）
+ * @returns {object}
+ */
+export function getLogContext() {
+  return { ...contextStorage.getStore() };
+}
+
+/**
+ * 读取任务日志
+ * @param {string} taskId
+ * @param {object} [options] - level: 最低级别；markerIndex: 只返回该标记点的日志；limit: 最多返回最近的多少条
+ * @returns {Array<object>} - 按时间顺序排列
+ */
+export function readTaskLogs(taskId, options = {}) {
+  const { level = 'info', markerIndex, limit } = options;
+  let content;
+  try {
+    content = fs.readFileSync(taskLogPath(taskId), 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // 进程退出时可能留下写了一半的行
+    }
+  }
+
+  const filtered = entries.filter(entry => levelValue(entry.level) >= levelValue(level)
+    && (markerIndex === undefined || entry.markerIndex === markerIndex));
+  return limit ? filtered.slice(-limit) : filtered;
+}
+
+/**
+ * 删除任务日志
+ * @param {string} taskId
+ */
+export function removeTaskLogs(taskId) {
+  fs.rmSync(taskLogPath(taskId), { force: true });
+}
@@ -0,0 +1,253 @@
+/**
+ * Prometheus 指标
+ * 计数器、直方图在事件发生时记录；仪表（队列长度、磁盘占用等）在抓取时通过 collect 读取
+ * GET /metrics 以 Prometheus 文本格式（0.0.4）输出
+ *
+ * 处理流程相关的指标：
+ * - xiaojixing_step_duration_seconds：各步骤（asr、analyze、script、image、tts、video）耗时，按结果（success、error、cancelled）区分
+ * - xiaojixing_provider_requests_total / xiaojixing_provider_errors_total：各服务商请求数和失败数，按 HTTP 状态码区分
+ * - xiaojixing_asset_fallbacks_total：图片或语音生成失败、改用占位图 / 静音音频的次数
+ */
+import { logger } from './logger.js';
+
+const METRIC_PREFIX = 'xiaojixing_';
+
+// 步骤耗时的分桶（秒）：从单次 LLM 请求到整段视频合成
+const STEP_DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600];
+// 单次服务商请求耗时的分桶（秒）
+const REQUEST_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+// 已注册的指标，按注册顺序输出
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * 只保留声明过的标签，缺少的标签取空字符串，保证同一指标的标签集合一致
+ */
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function register(metric) {
+  if (registry.some(item => item.name === metric.name)) {
+    throw new Error(`指标 ${metric.name} 已注册`);
+  }
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * 创建计数器
+ * @param {object} options - name、help、labelNames
+ * @returns {{inc: function}} - inc(labels, value = 1)
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = formatLabels(picked);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      return [...series].map(([key, value]) => `${name}${key} ${formatValue(value)}`);
+    },
+  });
+}
+
+/**
+ * 创建直方图
+ * @param {object} options - name、help、labelNames、buckets（各分桶上限，升序）
+ * @returns {{observe: function}} - observe(labels, value)
+ */
+export function createHistogram({ name, help, labelNames = [], buckets }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = formatLabels(picked);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [];
+      for (const [key, entry] of series) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${key} ${formatValue(entry.sum)}`);
+        lines.push(`${name}_count${key} ${entry.count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * 创建仪表，抓取时调用 collect 读取当前值
+ * @param {object} options - name、help、labelNames、
+ *   collect: () => number 或 Array<[labels, value]>，
+ *   maxAgeMs: 可选，结果缓存时长（用于代价较高的统计，如遍历磁盘）
+ */
+export function createGauge({ name, help, labelNames = [], collect, maxAgeMs = 0 }) {
+  let cached = null;
+  let cachedAt = 0;
+
+  const read = () => {
+    if (cached && Date.now() - cachedAt < maxAgeMs) return cached;
+    const value = collect();
+    cached = typeof value === 'number' ? [[{}, value]] : value;
+    cachedAt = Date.now();
+    return cached;
+  };
+
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    render() {
+      return read().map(([labels, value]) => `${name}${formatLabels(pickLabels(labelNames, labels))} ${formatValue(value)}`);
+    },
+  });
+}
+
+/**
+ * 以 Prometheus 文本格式输出所有指标
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const blocks = registry.map(metric => {
+    let lines;
+    try {
+      lines = metric.render();
+    } catch (error) {
+      logger.error('采集指标失败', { metric: metric.name, error });
+      return null;
+    }
+    return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+  });
+  return `${blocks.filter(Boolean).join('\n')}\n`;
+}
+
+// ==================== 处理流程指标 ====================
+
+const stepDuration = createHistogram({
+  name: `${METRIC_PREFIX}step_duration_seconds`,
+  help: '处理步骤耗时（秒），step 为 asr、analyze、script、image、tts、video',
+  labelNames: ['step', 'status'],
+  buckets: STEP_DURATION_BUCKETS,
+});
+
+const providerRequests = createCounter({
+  name: `${METRIC_PREFIX}provider_requests_total`,
+  help: '外部服务商请求数，status 为 HTTP 状态码，请求未完成时为 network_error 或 aborted',
+  labelNames: ['provider', 'status'],
+});
+
+const providerErrors = createCounter({
+  name: `${METRIC_PREFIX}provider_errors_total`,
+  help: '外部服务商请求失败数（非 2xx 响应和网络错误，不含取消）',
+  labelNames: ['provider', 'status'],
+});
+
+const providerRequestDuration = createHistogram({
+  name: `${METRIC_PREFIX}provider_request_duration_seconds`,
+  help: '外部服务商单次请求耗时（秒，不含排队等待并发槽位的时间）',
+  labelNames: ['provider'],
+  buckets: REQUEST_DURATION_BUCKETS,
+});
+
+const assetFallbacks = createCounter({
+  name: `${METRIC_PREFIX}asset_fallbacks_total`,
+  help: '素材生成失败后改用占位内容的次数，asset 为 image（占位图）或 audio（静音音频）',
+  labelNames: ['asset'],
+});
+
+// 取消和服务退出中断都不算失败
+function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'TaskInterruptedError';
+}
+
+/**
+ * 执行处理步骤并记录耗时
+ * @param {string} step - 步骤名
+ * @param {function} fn - 步骤函数
+ * @returns {Promise<*>} - fn 的返回值
+ */
+export async function timeStep(step, fn) {
+  const start = process.hrtime.bigint();
+  let status = 'success';
+  try {
+    return await fn();
+  } catch (error) {
+    status = isAbortError(error) ? 'cancelled' : 'error';
+    throw error;
+  } finally {
+    stepDuration.observe({ step, status }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+/**
+ * 执行服务商请求并记录请求数、失败数和耗时
+ * @param {string} provider - 服务商（asr、llm、image、tts）
+ * @param {function} fn - 请求函数，返回 fetch 的 Response
+ * @returns {Promise<Response>}
+ */
+export async function trackProviderRequest(provider, fn) {
+  const start = process.hrtime.bigint();
+  let status;
+  try {
+    const response = await fn();
+    status = String(response?.status ?? 'unknown');
+    return response;
+  } catch (error) {
+    status = isAbortError(error) ? 'aborted' : 'network_error';
+    throw error;
+  } finally {
+    providerRequests.inc({ provider, status });
+    if (status !== 'aborted' && !/^2\d\d$/.test(status)) {
+      providerErrors.inc({ provider, status });
+    }
+    providerRequestDuration.observe({ provider }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+/**
+ * 记录一次占位内容回退
+ * @param {'image'|'audio'} asset
+ */
+export function recordAssetFallback(asset) {
+  assetFallbacks.inc({ asset });
+}
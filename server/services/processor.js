@@ -5,29 +5,285 @@
 import fs from 'fs';
 import path from 'path';
 import { config } from '../config.js';
-import { transcribeAudio, getAudioDuration, extractAudioSegment } from './asr.js';
-import { analyzeKnowledgePoint, generatePPTScript } from './llm.js';
+import { transcribeAudio, transcribeUtterances, getAudioDuration, extractAudioSegment } from './asr.js';
+import { analyzeKnowledgePoint, findTopicRange, rankReviewTopics, generatePPTScript } from './llm.js';
 import { generateImage, generateImageToFile } from './imageGen.js';
 import { textToSpeechFile, textToSpeechBase64 } from './tts.js';
 import { synthesizeVideo, checkFFmpeg, generateSubtitlesFromScript } from './videoSynth.js';
+import { timeStep, recordAssetFallback } from './metrics.js';
+import { createLimiter, settleAll, withFfmpegLimit } from './limiter.js';
+import { logger, runWithLogContext, setLogContext } from './logger.js';
+import { OUTPUT_OWNER_FILE } from './taskStore.js';
 
-// 生成唯一 ID
-function generateId() {
-  return Math.random().toString(36).substring(2, 15) + Date.now().toString(36);
+// 自动选择的标记点至少截取的秒数（话题太短时向两侧补足）
+const AUTO_MARKER_MIN_SECONDS = 60;
+
+// 整节课识别结果的文件名（保存在任务的输出目录中）
+const LESSON_TRANSCRIPT_FILE = 'lesson_transcript.json';
+
+// 批量处理时识别整节课占总进度的百分比
+const LESSON_TRANSCRIPT_PROGRESS = 30;
+
+/**
+ * 服务退出导致的处理中断（区别于用户取消）：已完成步骤的结果保留在输出目录，重新处理时从中断处继续
+ */
+export class TaskInterruptedError extends Error {
+  constructor(message = '服务正在退出，处理已中断') {
+    super(message);
+    this.name = 'TaskInterruptedError';
+  }
+}
+
+/**
+ * 错误是否由服务退出中断引起（停止信号，或以 TaskInterruptedError 为原因的取消信号）
+ */
+function isInterruption(error, signal) {
+  return error instanceof TaskInterruptedError || signal?.reason instanceof TaskInterruptedError;
+}
+
+/**
+ * 合并请求和标记点的截取范围设置，得到标记点使用的范围
+ * 后面的设置覆盖前面的：{ before, after } 中未填写的一项沿用前面的固定范围（前面为自动模式时使用默认值）；
+ * "auto" 为自动模式，在 config.markerWindow 的最大范围内按话题边界截取
+ * @param {...(object|string|undefined)} specs - { before, after }、"auto" 或 undefined（沿用前面的设置）
+ * @returns {{mode: 'fixed'|'auto', before: number, after: number}} - 自动模式时 before / after 为查找的最大范围
+ */
+export function resolveMarkerWindow(...specs) {
+  const { before, after, autoMaxBefore, autoMaxAfter } = config.markerWindow;
+  let window = { mode: 'fixed', before, after };
+  for (const spec of specs) {
+    if (spec === 'auto') {
+      window = { mode: 'auto', before: autoMaxBefore, after: autoMaxAfter };
+    } else if (spec) {
+      const base = window.mode === 'fixed' ? window : { before, after };
+      window = { mode: 'fixed', before: spec.before ?? base.before, after: spec.after ?? base.after };
+    }
+  }
+  return window;
+}
+
+/**
+ * 计算标记点需要识别的音频范围
+ * @param {number} markerTime - 标记时间点（秒）
+ * @param {number} [audioDuration] - 音频总时长（秒），未知时不按结尾截断
+ * @param {object} [window] - resolveMarkerWindow 的结果，默认为配置的固定范围
+ * @returns {{startTime: number, endTime: number}}
+ */
+export function getMarkerWindow(markerTime, audioDuration = Infinity, window = resolveMarkerWindow()) {
+  return {
+    startTime: Math.max(0, markerTime - window.before),
+    endTime: Math.min(audioDuration, markerTime + window.after),
+  };
+}
+
+/**
+ * 与 [startTime, endTime) 有重叠的分句
+ * @param {Array<{start: number, end: number, text: string}>} utterances
+ */
+function selectUtterances(utterances, startTime, endTime) {
+  return utterances.filter(utterance => utterance.end > startTime && utterance.start < endTime);
+}
+
+/**
+ * 实际使用的截取范围（返回给调用方）
+ * @returns {{mode: string, before: number, after: number, startTime: number, endTime: number}}
+ */
+function describeWindow(mode, markerTime, startTime, endTime, extra = {}) {
+  const round = (seconds) => Math.round(seconds * 10) / 10;
+  return {
+    mode,
+    before: round(Math.max(0, markerTime - startTime)),
+    after: round(Math.max(0, endTime - markerTime)),
+    startTime: round(startTime),
+    endTime: round(endTime),
+    ...extra,
+  };
+}
+
+/**
+ * 自动模式：在识别结果中找出标记时正在讲解的话题，只保留该话题的分句
+ * 无法识别话题边界时使用默认的固定范围（fallback 为 true）
+ * @param {Array<{start: number, end: number, text: string}>} utterances - 最大范围内的分句
+ * @param {number} markerTime - 标记时间点（秒）
+ * @param {number} audioDuration - 音频总时长（秒）
+ * @param {object} options - 选项（signal: 取消信号）
+ * @returns {Promise<{transcript: string, window: object}>}
+ */
+async function selectTopicWindow(utterances, markerTime, audioDuration, options = {}) {
+  const range = utterances.length > 0 ? await findTopicRange(utterances, markerTime, options) : null;
+
+  if (!range) {
+    const { startTime, endTime } = getMarkerWindow(markerTime, audioDuration);
+    const selected = selectUtterances(utterances, startTime, endTime);
+    logger.warn('未能识别话题边界，使用默认截取范围', { startTime, endTime });
+    return {
+      transcript: selected.map(utterance => utterance.text).join('\n'),
+      window: describeWindow('auto', markerTime, startTime, endTime, { fallback: true }),
+    };
+  }
+
+  // 话题范围必须包含标记时正在说的分句（标记点落在停顿中时取之前最近的一句）
+  const markerIndex = Math.max(0, utterances.findLastIndex(utterance => utterance.start <= markerTime));
+  const startIndex = Math.min(range.startIndex, markerIndex);
+  const endIndex = Math.max(range.endIndex, markerIndex);
+  const selected = utterances.slice(startIndex, endIndex + 1);
+
+  const window = describeWindow('auto', markerTime, selected[0].start, selected[selected.length - 1].end, {
+    topic: range.topic || undefined,
+  });
+  logger.info('已按话题边界截取', { topic: range.topic, startTime: window.startTime, endTime: window.endTime });
+  return { transcript: selected.map(utterance => utterance.text).join('\n'), window };
+}
+
+/**
+ * 任务是否先识别整节课，再由各标记点截取（见 config.lessonTranscript）
+ * @param {number} markerCount - 需要识别的标记点数
+ * @returns {boolean}
+ */
+export function shouldTranscribeLesson(markerCount) {
+  return markerCount >= config.lessonTranscript.minMarkers;
+}
+
+/**
+ * 识别整节课，得到带时间的分句
+ * 结果保存在 outputDir 中，同一任务的各标记点（以及自动选择标记点）共用，重新处理时复用
+ * @param {string} audioFilePath - 音频文件路径
+ * @param {object} options - 选项（outputDir: 保存识别结果的目录；signal: 取消信号；
+ *   onProgress: 进度回调 (progress: 0-100, message)）
+ * @returns {Promise<{duration: number, utterances: Array<{start: number, end: number, text: string}>}>}
+ */
+export async function transcribeLesson(audioFilePath, options) {
+  const { outputDir, signal, onProgress } = options;
+
+  const saved = readCheckpoint(outputDir, LESSON_TRANSCRIPT_FILE);
+  if (saved) {
+    logger.info('使用已保存的整节课识别结果');
+    return saved;
+  }
+
+  if (!fs.existsSync(audioFilePath)) {
+    throw new Error('音频文件已丢失');
+  }
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const duration = getAudioDuration(audioFilePath);
+  logger.info('开始识别整节课', { duration });
+  onProgress?.(0, '正在识别整节课...');
+
+  const utterances = await timeStep('asr', () => transcribeUtterances(audioFilePath, 0, duration, onProgress, { signal }));
+  const lesson = { duration, utterances };
+  writeCheckpoint(outputDir, LESSON_TRANSCRIPT_FILE, lesson);
+  return lesson;
+}
+
+/**
+ * 自动选择需要复习的标记点（学生没有标记时使用）
+ * 识别整节课，由 LLM 把课堂划分为话题并按复习的必要性打分，取得分最高的 count 个话题：
+ * 标记时间为话题的中点，截取范围为话题的起止时间
+ * 整节课的识别结果和话题划分保存在 outputDir 中，重新处理时复用
+ * @param {string} audioFilePath - 音频文件路径
+ * @param {object} options - 选项（count: 标记点数；outputDir: 保存中间结果的目录；
+ *   signal: 取消信号；stopSignal: 停止信号；onProgress: 进度回调 (progress: 0-100, message)）
+ * @returns {Promise<Array<{time: number, window: {before: number, after: number}, startTime: number, endTime: number, topic: string, reason: string, score: number}>>}
+ *   - 按时间排列的标记点
+ */
+export async function detectReviewMarkers(audioFilePath, options) {
+  const { count, outputDir, signal, stopSignal, onProgress } = options;
+
+  stopSignal?.throwIfAborted();
+  const lesson = await transcribeLesson(audioFilePath, {
+    outputDir,
+    signal,
+    onProgress: (prog, msg) => onProgress?.(Math.round(prog * 0.7), msg),
+  });
+
+  if (lesson.utterances.length === 0) {
+    throw new Error('录音中没有识别到讲课内容');
+  }
+
+  stopSignal?.throwIfAborted();
+  onProgress?.(70, '正在分析需要复习的内容...');
+  let topics = readCheckpoint(outputDir, 'review_topics.json');
+  if (!topics) {
+    topics = await timeStep('analyze', () => rankReviewTopics(lesson.utterances, { signal }));
+    if (topics.length === 0) {
+      throw new Error('未能识别出需要复习的内容');
+    }
+    writeCheckpoint(outputDir, 'review_topics.json', topics);
+  }
+
+  const markers = [...topics]
+    .sort((a, b) => b.score - a.score || a.startIndex - b.startIndex)
+    .slice(0, count)
+    .map(topic => toReviewMarker(topic, lesson))
+    .sort((a, b) => a.time - b.time);
+
+  logger.info('已选出需要复习的片段', { topics: topics.length, markers: markers.map(marker => marker.time) });
+  onProgress?.(100, `已选出 ${markers.length} 个需要复习的片段`);
+  return markers;
+}
+
+/**
+ * 话题转换为标记点：太短的话题向两侧补足，太长的话题以中点为准截取到自动模式的最大范围
+ */
+function toReviewMarker(topic, { utterances, duration }) {
+  const round = (seconds) => Math.round(seconds * 10) / 10;
+  let startTime = utterances[topic.startIndex].start;
+  let endTime = utterances[topic.endIndex].end;
+
+  const shortage = AUTO_MARKER_MIN_SECONDS - (endTime - startTime);
+  if (shortage > 0) {
+    startTime = Math.max(0, startTime - shortage / 2);
+    endTime = Math.min(duration, endTime + shortage / 2);
+  }
+
+  const time = round((startTime + endTime) / 2);
+  const before = round(Math.min(time - startTime, config.markerWindow.autoMaxBefore));
+  const after = round(Math.min(endTime - time, config.markerWindow.autoMaxAfter));
+  return {
+    time,
+    window: { before, after },
+    startTime: round(time - before),
+    endTime: round(time + after),
+    topic: topic.topic,
+    reason: topic.reason,
+    score: topic.score,
+  };
 }
 
 /**
  * 处理单个时间标记点，生成完整的 PPT 视频
+ * 每一步的产出（转写文本、知识点分析、PPT 脚本、幻灯片素材）都会写入输出目录，
+ * 使用同一个 outputId 再次处理时会跳过已完成的步骤，从第一个失败或缺失的步骤继续
  * @param {string} audioFilePath - 音频文件路径
  * @param {number} markerTime - 标记时间点（秒）
  * @param {function} onProgress - 进度回调 (progress: number, message: string)
  * @param {function} onUpdate - 状态更新回调 (data: object)
- * @returns {Promise<object>} - 处理结果
+ * @param {object} options - 选项（signal: 取消信号，outputId: 输出目录 ID，
+ *   由调用方根据任务 ID 生成，如 `${taskId}-1`，结果中的 taskId 即为该值；
+ *   stopSignal: 停止信号，触发后当前步骤继续完成并保存，在下一步开始前抛出 signal.reason；
+ *   window: 截取范围，resolveMarkerWindow 的结果，默认为配置的固定范围；
+ *   lesson: 整节课的识别结果（transcribeLesson 的结果），提供时从中截取转写文本，不再单独识别；
+ *   userId: 所属用户，记录在输出目录的 owner.json 中）
+ * @returns {Promise<object>} - 处理结果，window 为实际使用的截取范围
  */
-export async function processTimeMarker(audioFilePath, markerTime, onProgress, onUpdate) {
-  const taskId = generateId();
-  const outputDir = path.join(config.outputDir, taskId);
-  const tempDir = path.join(config.tempDir, taskId);
+export async function processTimeMarker(audioFilePath, markerTime, onProgress, onUpdate, options = {}) {
+  const { signal, stopSignal, outputId, userId, window = resolveMarkerWindow(), lesson } = options;
+  if (!outputId) {
+    throw new Error('缺少 outputId');
+  }
+  const outputDir = path.join(config.outputDir, outputId);
+  const tempDir = path.join(config.tempDir, outputId);
+
+  // 该标记点已全部完成，直接返回上次的结果
+  const previousResult = readCheckpoint(outputDir, 'result.json');
+  if (previousResult) {
+    logger.info('标记点已处理完成，跳过处理', { outputId });
+    onProgress(Math.round(100), '处理完成！');
+    return previousResult;
+  }
   
   // 创建目录
   [outputDir, tempDir].forEach(dir => {
@@ -36,47 +292,101 @@ export async function processTimeMarker(audioFilePath, markerTime, onProgress, o
     }
   });
 
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`开始处理任务 ${taskId}`);
-  console.log(`音频文件: ${audioFilePath}`);
-  console.log(`标记时间: ${markerTime}s`);
-  console.log(`${'='.repeat(60)}\n`);
+  // 记录所属用户，任务记录丢失或同步处理后从输出目录恢复时仍归属该用户（见 recoverOutputDirs）
+  if (userId && !readCheckpoint(outputDir, OUTPUT_OWNER_FILE)) {
+    writeCheckpoint(outputDir, OUTPUT_OWNER_FILE, { userId });
+  }
+
+  logger.info('开始处理标记点', { outputId, audioFile: audioFilePath, markerTime });
 
   try {
     // ==================== 步骤 1: ASR 语音识别 ====================
+    stopSignal?.throwIfAborted();
     onProgress(Math.round(5), '正在识别语音内容...');
+    setLogContext({ step: 'asr' });
     onUpdate?.({ step: 'asr', status: 'processing' });
 
-    // 计算截取范围：前5分钟 + 后3分钟
-    const audioDuration = getAudioDuration(audioFilePath);
-    const startTime = Math.max(0, markerTime - 300); // 前5分钟
-    const endTime = Math.min(audioDuration, markerTime + 180); // 后3分钟
-    
-    console.log(`音频总时长: ${audioDuration.toFixed(2)}s`);
-    console.log(`截取范围: ${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s`);
+    let transcript;
+    let effectiveWindow;
+    const savedTranscript = readCheckpoint(outputDir, 'transcript.json');
+    if (savedTranscript) {
+      logger.info('使用已保存的语音识别结果');
+      transcript = savedTranscript.text;
+      effectiveWindow = savedTranscript.window
+        || describeWindow('fixed', markerTime, savedTranscript.startTime, savedTranscript.endTime);
+    } else if (lesson) {
+      // 从整节课的识别结果中截取（自动模式为查找话题边界的最大范围）
+      const { startTime, endTime } = getMarkerWindow(markerTime, lesson.duration, window);
+      const utterances = selectUtterances(lesson.utterances, startTime, endTime);
+      logger.info('从整节课识别结果截取', { startTime, endTime, utterances: utterances.length, windowMode: window.mode });
+
+      if (window.mode === 'auto') {
+        ({ transcript, window: effectiveWindow } = await selectTopicWindow(utterances, markerTime, lesson.duration, { signal }));
+      } else {
+        transcript = utterances.map(utterance => utterance.text).join('\n');
+        effectiveWindow = describeWindow('fixed', markerTime, startTime, endTime);
+      }
+      saveTranscript(outputDir, markerTime, transcript, effectiveWindow);
+    } else {
+      if (!fs.existsSync(audioFilePath)) {
+        throw new Error('音频文件已丢失');
+      }
 
-    // 截取音频片段
-    const segmentPath = path.join(tempDir, 'audio_segment.mp3');
-    extractAudioSegment(audioFilePath, segmentPath, startTime, endTime - startTime);
-    
-    // ASR 识别
-    const transcript = await transcribeAudio(
-      segmentPath, 
-      0, 
-      endTime - startTime,
-      (prog, msg) => onProgress(Math.round(5 + prog * 0.15), msg)
-    );
+      // 计算截取范围（自动模式为查找话题边界的最大范围）
+      const audioDuration = getAudioDuration(audioFilePath);
+      const { startTime, endTime } = getMarkerWindow(markerTime, audioDuration, window);
+      
+      logger.info('截取音频片段', { audioDuration, startTime, endTime, windowMode: window.mode });
+
+      const recognized = await timeStep('asr', async () => {
+        // 截取音频片段
+        const segmentPath = path.join(tempDir, 'audio_segment.mp3');
+        await extractAudioSegment(audioFilePath, segmentPath, startTime, endTime - startTime, { signal });
+
+        // ASR 识别（自动模式需要分句时间来确定话题边界）
+        const onAsrProgress = (prog, msg) => onProgress(Math.round(5 + prog * 0.15), msg);
+        if (window.mode === 'auto') {
+          return transcribeUtterances(segmentPath, 0, endTime - startTime, onAsrProgress, { signal });
+        }
+        return transcribeAudio(segmentPath, 0, endTime - startTime, onAsrProgress, { signal });
+      });
+
+      if (window.mode === 'auto') {
+        // 分句时间相对截取的片段，换算为音频中的时间
+        const utterances = recognized.map(utterance => ({
+          ...utterance,
+          start: startTime + utterance.start,
+          end: startTime + utterance.end,
+        }));
+        ({ transcript, window: effectiveWindow } = await selectTopicWindow(utterances, markerTime, audioDuration, { signal }));
+      } else {
+        transcript = recognized;
+        effectiveWindow = describeWindow('fixed', markerTime, startTime, endTime);
+      }
+      saveTranscript(outputDir, markerTime, transcript, effectiveWindow);
+    }
     
-    console.log('语音识别完成，文本长度:', transcript.length);
-    onUpdate?.({ step: 'asr', status: 'completed', transcript: transcript.substring(0, 200) + '...' });
+    logger.info('语音识别完成', { transcriptLength: transcript.length });
+    onUpdate?.({
+      step: 'asr',
+      status: 'completed',
+      transcript: transcript.substring(0, 200) + '...',
+      window: effectiveWindow,
+    });
 
     // ==================== 步骤 2: 知识点分析 ====================
+    stopSignal?.throwIfAborted();
     onProgress(Math.round(20), '正在分析知识点...');
+    setLogContext({ step: 'analyze' });
     onUpdate?.({ step: 'analyze', status: 'processing' });
 
-    const analysis = await analyzeKnowledgePoint(transcript);
+    let analysis = readCheckpoint(outputDir, 'analysis.json');
+    if (!analysis) {
+      analysis = await timeStep('analyze', () => analyzeKnowledgePoint(transcript, { signal }));
+      writeCheckpoint(outputDir, 'analysis.json', analysis);
+    }
     
-    console.log('知识点分析完成:', analysis.knowledgePoint);
+    logger.info('知识点分析完成', { knowledgePoint: analysis.knowledgePoint, subject: analysis.subject });
     onUpdate?.({ 
       step: 'analyze', 
       status: 'completed',
@@ -86,49 +396,65 @@ export async function processTimeMarker(audioFilePath, markerTime, onProgress, o
     });
 
     // ==================== 步骤 3: 生成 PPT 脚本 ====================
+    stopSignal?.throwIfAborted();
     onProgress(Math.round(30), '正在生成教学脚本...');
+    setLogContext({ step: 'script' });
     onUpdate?.({ step: 'script', status: 'processing' });
 
-    const pptScript = await generatePPTScript(
-      analysis.knowledgePoint,
-      analysis.summary,
-      analysis.keyPoints
-    );
+    let pptScript = readCheckpoint(outputDir, 'ppt_script.json');
+    if (!pptScript) {
+      pptScript = await timeStep('script', () => generatePPTScript(
+        analysis.knowledgePoint,
+        analysis.summary,
+        analysis.keyPoints,
+        { signal }
+      ));
+      writeCheckpoint(outputDir, 'ppt_script.json', pptScript);
+    }
     
-    console.log('PPT 脚本生成完成，共', pptScript.slides.length, '页');
+    logger.info('PPT 脚本生成完成', { slidesCount: pptScript.slides.length });
     onUpdate?.({ step: 'script', status: 'completed', slidesCount: pptScript.slides.length });
 
     // ==================== 步骤 4 & 5: 并发生成 PPT 图片和 TTS 语音 ====================
     onProgress(Math.round(40), '正在生成教学图片和语音...');
+    setLogContext({ step: 'slides' });
     onUpdate?.({ step: 'images', status: 'processing' });
     onUpdate?.({ step: 'tts', status: 'processing' });
 
-    const slideImages = [];
-    const slideAudios = [];
     const totalSlides = pptScript.slides.length;
 
-    // 按顺序处理每个幻灯片，但每个幻灯片内部的图片生成和TTS并发执行
-    for (let i = 0; i < pptScript.slides.length; i++) {
-      const slide = pptScript.slides[i];
-      const progress = Math.round(40 + (i / totalSlides) * 30);
-      onProgress(progress, `处理幻灯片 ${i + 1}/${totalSlides}...`);
+    // 已生成成功的幻灯片素材（占位图/静音音频不算，再次处理时会重新生成）
+    const savedAssets = readCheckpoint(outputDir, 'slide_assets.json') || [];
+    const reusable = (asset) => asset?.success && fs.existsSync(asset.path) ? asset : null;
+
+    // 各页并发处理，每页的图片生成和 TTS 也并发执行，实际请求数受各服务商的全局并发上限限制；
+    // 同时处理的页数不超过图片并发上限，收到停止信号后排队的页不再开始，已开始的页完成并保存
+    const limitSlide = createLimiter(config.providerLimits.image);
+    let slidesReady = 0;
+
+    const slideAssets = await settleAll(pptScript.slides.map((slide, i) => limitSlide(async () => {
+      const savedImage = reusable(savedAssets[i]?.image);
+      const savedAudio = reusable(savedAssets[i]?.audio);
 
       // 当前幻灯片的图片生成和TTS并发执行
       const [imageResult, audioResult] = await Promise.all([
         // 图片生成
-        (async () => {
+        runWithLogContext({ step: 'image', slideIndex: i + 1 }, async () => {
+          if (savedImage) return savedImage;
           const imagePath = path.join(outputDir, `slide_${i + 1}.jpg`);
           
           try {
-            const result = await generateImageToFile(slide.imagePrompt, imagePath);
-            console.log(`图片 ${i + 1} 生成成功`);
+            const result = await timeStep('image', () => generateImageToFile(slide.imagePrompt, imagePath, { signal }));
+            logger.info('图片生成成功');
             return {
               index: i,
               path: result.filepath,
               success: true,
             };
           } catch (error) {
-            console.error(`图片 ${i + 1} 生成失败:`, error.message);
+            if (signal?.aborted) throw error;
+            logger.error('图片生成失败，使用占位图', { error: error.message });
+            recordAssetFallback('image');
             // 生成占位图
             const placeholderPath = await createPlaceholderImage(
               imagePath, 
@@ -142,15 +468,16 @@ export async function processTimeMarker(audioFilePath, markerTime, onProgress, o
               error: error.message,
             };
           }
-        })(),
-        
+        }),
+
         // TTS 生成
-        (async () => {
+        runWithLogContext({ step: 'tts', slideIndex: i + 1 }, async () => {
+          if (savedAudio) return savedAudio;
           const audioPath = path.join(outputDir, `slide_${i + 1}_audio.mp3`);
           
           try {
-            const result = await textToSpeechFile(slide.script, audioPath);
-            console.log(`语音 ${i + 1} 生成成功, 时长: ${result.duration}ms`);
+            const result = await timeStep('tts', () => textToSpeechFile(slide.script, audioPath, { signal }));
+            logger.info('语音生成成功', { durationMs: result.duration ? Number(result.duration) : undefined });
             return {
               index: i,
               path: result.filepath,
@@ -158,7 +485,9 @@ export async function processTimeMarker(audioFilePath, markerTime, onProgress, o
               success: true,
             };
           } catch (error) {
-            console.error(`语音 ${i + 1} 生成失败:`, error.message);
+            if (signal?.aborted) throw error;
+            logger.error('语音生成失败，使用静音音频', { error: error.message });
+            recordAssetFallback('audio');
             // 生成静音音频作为占位
             const silentPath = await createSilentAudio(audioPath, 5);
             return {
@@ -169,49 +498,57 @@ export async function processTimeMarker(audioFilePath, markerTime, onProgress, o
               error: error.message,
             };
           }
-        })()
+        }),
       ]);
 
-      slideImages.push(imageResult);
-      slideAudios.push(audioResult);
-
-      // 延迟避免 API 限流（最后一个幻灯片不需要延迟）
-      if (i < pptScript.slides.length - 1) {
-        await new Promise(r => setTimeout(r, 500));
-      }
-    }
-    
-    // 按索引排序，确保顺序正确
-    slideImages.sort((a, b) => a.index - b.index);
-    slideAudios.sort((a, b) => a.index - b.index);
+      savedAssets[i] = { image: imageResult, audio: audioResult };
+      writeCheckpoint(outputDir, 'slide_assets.json', savedAssets);
+
+      // 各页完成的顺序不确定，进度按已完成的页数计算
+      slidesReady++;
+      onProgress(Math.round(40 + (slidesReady / totalSlides) * 30), `已生成幻灯片 ${slidesReady}/${totalSlides}...`);
+      onUpdate?.({
+        step: 'slide',
+        status: 'ready',
+        slideIndex: i + 1,
+        slidesReady,
+        totalSlides,
+        title: slide.title,
+        imageUrl: `/api/files/${outputId}/slide_${i + 1}.jpg`,
+        audioUrl: `/api/files/${outputId}/slide_${i + 1}_audio.mp3`,
+        audioDuration: audioResult.duration,
+      });
+      return savedAssets[i];
+    }, { signal: stopSignal })));
+
+    // 结果按页的顺序排列
+    const slideImages = slideAssets.map(asset => asset.image);
+    const slideAudios = slideAssets.map(asset => asset.audio);
     
     onUpdate?.({ step: 'images', status: 'completed', images: slideImages.length });
     onUpdate?.({ step: 'tts', status: 'completed', audios: slideAudios.length });
 
     // ==================== 步骤 6: 合成视频 ====================
+    stopSignal?.throwIfAborted();
     onProgress(Math.round(80), '正在合成视频...');
+    setLogContext({ step: 'video' });
     onUpdate?.({ step: 'video', status: 'processing' });
 
     // 准备幻灯片数据
-    const slidesForVideo = pptScript.slides.map((slide, i) => ({
-      imagePath: slideImages[i]?.path,
-      audioPath: slideAudios[i]?.path,
-      subtitle: slide.subtitle,
-      subtitles: slide.subtitles, // 支持分段字幕
-      script: slide.script,
-    }));
+    const slidesForVideo = toVideoSlides(pptScript.slides, slideImages, slideAudios);
 
     const videoOutputPath = path.join(outputDir, 'final_video.mp4');
     
     let videoResult;
     if (checkFFmpeg()) {
-      videoResult = await synthesizeVideo(
+      videoResult = await timeStep('video', () => synthesizeVideo(
         slidesForVideo,
         videoOutputPath,
-        (prog, msg) => onProgress(Math.round(80 + prog * 0.18), msg)
-      );
+        (prog, msg) => onProgress(Math.round(80 + prog * 0.18), msg),
+        { signal, tempDir }
+      ));
     } else {
-      console.warn('ffmpeg 未安装，跳过视频合成');
+      logger.warn('ffmpeg 未安装，跳过视频合成');
       videoResult = {
         filepath: null,
         duration: 0,
@@ -230,118 +567,337 @@ export async function processTimeMarker(audioFilePath, markerTime, onProgress, o
 
     // 构建结果
     const result = {
-      taskId,
+      taskId: outputId,
       success: true,
       knowledgePoint: analysis.knowledgePoint,
       summary: analysis.summary,
       subject: analysis.subject,
       transcript: transcript,
-      slides: pptScript.slides.map((slide, i) => {
-        // 如果没有分段字幕，根据 script 和音频时长自动生成
-        let subtitles = slide.subtitles;
-        if ((!subtitles || subtitles.length === 0) && slide.script && slideAudios[i]?.duration) {
-          const audioDurationSeconds = slideAudios[i].duration / 1000; // 转换为秒
-          subtitles = generateSubtitlesFromScript(slide.script, audioDurationSeconds);
-        }
-        
-        return {
-          index: i + 1,
-          title: slide.title,
-          script: slide.script,
-          subtitle: slide.subtitle,
-          subtitles: subtitles, // 包含分段字幕（LLM 生成或自动生成）
-          imagePath: slideImages[i]?.path,
-          imageUrl: `/api/files/${taskId}/slide_${i + 1}.jpg`,
-          audioPath: slideAudios[i]?.path,
-          audioUrl: `/api/files/${taskId}/slide_${i + 1}_audio.mp3`,
-          audioDuration: slideAudios[i]?.duration,
-        };
-      }),
+      window: effectiveWindow,
+      slides: buildSlideResults(outputId, pptScript.slides, slideImages, slideAudios),
       video: videoResult.filepath ? {
         path: videoResult.filepath,
-        url: `/api/files/${taskId}/final_video.mp4`,
+        url: `/api/files/${outputId}/final_video.mp4`,
         duration: videoResult.duration,
       } : null,
       outputDir,
       createdAt: new Date().toISOString(),
     };
 
-    console.log('\n处理完成！');
-    console.log('知识点:', result.knowledgePoint);
-    console.log('学科:', result.subject);
-    console.log('幻灯片数量:', result.slides.length);
-    console.log('视频路径:', result.video?.path || '未生成');
+    // 写入结果清单，服务重启后可据此恢复任务，再次处理时也据此跳过
+    writeCheckpoint(outputDir, 'result.json', { markerTime, ...result });
+
+    logger.info('标记点处理完成', {
+      knowledgePoint: result.knowledgePoint,
+      slidesCount: result.slides.length,
+      videoPath: result.video?.path || null,
+    });
 
     return result;
   } catch (error) {
-    console.error('处理失败:', error);
-    
     // 清理临时文件
     cleanupTempDir(tempDir);
-    
+
+    if (isInterruption(error, signal)) {
+      // 服务退出，保留已完成步骤的结果，重新处理时继续
+      logger.info('标记点处理中断，已完成的步骤已保存');
+      throw error instanceof TaskInterruptedError ? error : signal.reason;
+    }
+
+    if (signal?.aborted) {
+      // 任务被取消，半成品输出也一并删除
+      logger.info('标记点处理已取消');
+      cleanupTempDir(outputDir);
+      throw signal.reason ?? error;
+    }
+
+    logger.error('标记点处理失败', { error });
     throw error;
   }
 }
 
 /**
  * 批量处理多个时间标记点
+ * 标记点和各标记点内的幻灯片并发处理，外部请求和 ffmpeg 进程受全局并发上限限制（见 limiter.js），结果按标记点顺序排列
  * @param {string} audioFilePath - 音频文件路径
  * @param {number[]} markerTimes - 标记时间点数组（秒）
  * @param {function} onProgress - 总体进度回调
  * @param {function} onTaskUpdate - 单个任务更新回调
+ * @param {object} options - 选项（signal: 取消信号，取消后抛出 signal.reason；
+ *   stopSignal: 停止信号，当前步骤完成后抛出 signal.reason，见 processTimeMarker；
+ *   outputIds: 各标记点的输出目录 ID，目录中已有的步骤结果会被复用；
+ *   windows: 各标记点的截取范围，见 resolveMarkerWindow，未提供时使用配置的固定范围；
+ *   lessonOutputId: 保存整节课识别结果的输出目录 ID（如任务 ID），提供时按 shouldTranscribeLesson
+ *   先识别整节课，各标记点从中截取；已有整节课识别结果时总是复用；
+ *   userId: 任务所属用户，见 processTimeMarker）
  * @returns {Promise<object[]>} - 处理结果数组
  */
-export async function processMultipleMarkers(audioFilePath, markerTimes, onProgress, onTaskUpdate) {
-  const results = [];
+export async function processMultipleMarkers(audioFilePath, markerTimes, onProgress, onTaskUpdate, options = {}) {
+  const { signal, stopSignal, outputIds = [], windows = [], lessonOutputId, userId } = options;
   const total = markerTimes.length;
 
-  for (let i = 0; i < total; i++) {
-    const markerTime = markerTimes[i];
-    const baseProgress = Math.round((i / total) * 100);
+  // 还没有转写结果的标记点较多时先识别整节课，避免重叠的范围重复识别
+  let lesson;
+  let markersProgress = 0;
+  if (lessonOutputId) {
+    const lessonDir = path.join(config.outputDir, lessonOutputId);
+    const pending = outputIds.filter(outputId => !fs.existsSync(path.join(config.outputDir, outputId, 'transcript.json')));
+    const saved = fs.existsSync(path.join(lessonDir, LESSON_TRANSCRIPT_FILE));
+
+    if (pending.length > 0 && (saved || shouldTranscribeLesson(pending.length))) {
+      stopSignal?.throwIfAborted();
+      markersProgress = LESSON_TRANSCRIPT_PROGRESS;
+      lesson = await runWithLogContext({ step: 'asr', outputId: lessonOutputId }, () => transcribeLesson(audioFilePath, {
+        outputDir: lessonDir,
+        signal,
+        onProgress: (prog, msg) => onProgress?.(Math.round(prog * LESSON_TRANSCRIPT_PROGRESS / 100), msg),
+      }));
+    }
+  }
+
+  // 各标记点并发处理（同时处理的数量见 config.queue.markerConcurrency），总进度为各标记点进度之和
+  const markerShare = (100 - markersProgress) / total;
+  const markerProgress = new Array(total).fill(0);
+  const reportMarkerProgress = (i, prog, msg) => {
+    markerProgress[i] = prog;
+    const done = markerProgress.reduce((sum, value) => sum + value, 0);
+    onProgress?.(Math.round(markersProgress + done * markerShare / 100), total > 1 ? `标记点 ${i + 1}/${total}：${msg}` : msg);
+  };
+
+  // 收到停止信号后排队的标记点不再开始，已开始的标记点完成当前步骤后停止
+  const limitMarker = createLimiter(config.queue.markerConcurrency);
+
+  const results = await settleAll(markerTimes.map((markerTime, i) => limitMarker(async () => {
+    signal?.throwIfAborted();
+    const outputId = outputIds[i];
     
     // 通知前端开始处理当前标记点（用于创建处理中的卡片）
     // 使用 started 标记，不会被后续更新覆盖
-    onTaskUpdate?.(i, { step: 'start', started: true, markerTime });
+    onTaskUpdate?.(i, { step: 'start', started: true, markerTime, taskId: outputId });
     
-    onProgress?.(baseProgress, `处理标记点 ${i + 1}/${total}...`);
+    reportMarkerProgress(i, 0, '开始处理...');
     
     try {
-      const result = await processTimeMarker(
+      // 该标记点处理期间的日志带上标记点序号和输出目录 ID
+      const result = await runWithLogContext({ markerIndex: i, outputId }, () => processTimeMarker(
         audioFilePath,
         markerTime,
-        (prog, msg) => {
-          const totalProgress = Math.round(baseProgress + (prog / total));
-          onProgress?.(totalProgress, msg);
-        },
-        (data) => onTaskUpdate?.(i, data)
-      );
+        (prog, msg) => reportMarkerProgress(i, prog, msg),
+        (data) => onTaskUpdate?.(i, data),
+        { signal, stopSignal, outputId, userId, window: windows[i], lesson }
+      ));
       
       const fullResult = {
         markerTime,
         ...result,
       };
-      results.push(fullResult);
       
       // 立即通知前端该标记点已完成，发送完整结果
       onTaskUpdate?.(i, { step: 'completed', ...fullResult });
+      return fullResult;
     } catch (error) {
-      console.error(`标记点 ${i + 1} 处理失败:`, error);
+      // 取消或中断时停止整个批次，而不是记为单个标记点失败
+      if (signal?.aborted) throw signal.reason ?? error;
+      if (error instanceof TaskInterruptedError) throw error;
+
+      logger.warn('标记点处理失败，继续处理其他标记点', { markerIndex: i, outputId, error: error.message });
       const failedResult = {
         markerTime,
+        taskId: outputId,
         success: false,
         error: error.message,
       };
-      results.push(failedResult);
+      reportMarkerProgress(i, 100, '处理失败');
       
       // 通知前端该标记点处理失败
       onTaskUpdate?.(i, { step: 'failed', ...failedResult });
+      return failedResult;
     }
-  }
+  }, { signal: stopSignal })));
 
   onProgress?.(Math.round(100), '所有标记点处理完成');
   return results;
 }
 
+/**
+ * 重新生成单页幻灯片的图片和/或语音，并用现有素材重新合成视频
+ * 新的图片和语音先写入临时目录，全部成功（包括视频合成）后才替换输出目录中的文件和步骤结果；
+ * 任一步失败时该页保持不变，错误信息中说明失败的部分和已生成但未保存的部分
+ * @param {string} outputId - 标记点输出目录 ID（result.taskId）
+ * @param {number} slideIndex - 幻灯片序号（从 1 开始）
+ * @param {object} options - 选项
+ *   image: 重新生成图片；audio: 重新生成语音；
+ *   imagePrompt: 新的图片描述（隐含 image）；script: 新的讲解词（隐含 audio）；
+ *   signal: 取消信号
+ * @param {function} onProgress - 进度回调 (progress: number, message: string)
+ * @returns {Promise<object>} - 更新后的处理结果
+ */
+export async function regenerateSlide(outputId, slideIndex, options = {}, onProgress) {
+  const { signal } = options;
+  const outputDir = path.join(config.outputDir, outputId);
+  const tempDir = path.join(config.tempDir, `${outputId}-regen`);
+  const tempAssetsDir = path.join(tempDir, 'assets');
+
+  const previousResult = readCheckpoint(outputDir, 'result.json');
+  if (!previousResult) {
+    throw new Error('该标记点尚未处理完成');
+  }
+
+  // 早期版本的输出目录没有步骤结果，从结果清单还原
+  const pptScript = readCheckpoint(outputDir, 'ppt_script.json') || {
+    slides: previousResult.slides.map(({ title, script, subtitle, subtitles }) => ({ title, script, subtitle, subtitles })),
+  };
+  const assets = readCheckpoint(outputDir, 'slide_assets.json') || previousResult.slides.map((slide, i) => ({
+    image: { index: i, path: slide.imagePath, success: true },
+    audio: { index: i, path: slide.audioPath, duration: slide.audioDuration, success: true },
+  }));
+
+  const i = slideIndex - 1;
+  const slide = pptScript.slides[i];
+  if (!slide) {
+    throw new Error(`幻灯片 ${slideIndex} 不存在`);
+  }
+
+  const regenerateImage = options.image || options.imagePrompt !== undefined;
+  const regenerateAudio = options.audio || options.script !== undefined;
+
+  if (options.imagePrompt !== undefined) {
+    slide.imagePrompt = options.imagePrompt;
+  }
+  if (options.script !== undefined) {
+    slide.script = options.script;
+    // LLM 给出的分段字幕对应旧讲解词，改为按新讲解词自动生成
+    delete slide.subtitles;
+  }
+
+  if (!fs.existsSync(tempAssetsDir)) {
+    fs.mkdirSync(tempAssetsDir, { recursive: true });
+  }
+
+  try {
+    onProgress?.(10, `正在重新生成第 ${slideIndex} 页...`);
+
+    const [imageOutcome, audioOutcome] = await Promise.allSettled([
+      regenerateImage ? (async () => {
+        if (!slide.imagePrompt) {
+          throw new Error('缺少图片描述，请提供 imagePrompt');
+        }
+        const result = await timeStep('image', () => generateImageToFile(slide.imagePrompt, path.join(tempAssetsDir, `slide_${slideIndex}.jpg`), { signal }));
+        return { index: i, path: result.filepath, success: true };
+      })() : assets[i].image,
+
+      regenerateAudio ? (async () => {
+        const result = await timeStep('tts', () => textToSpeechFile(slide.script, path.join(tempAssetsDir, `slide_${slideIndex}_audio.mp3`), { signal }));
+        return { index: i, path: result.filepath, duration: result.duration, success: true };
+      })() : assets[i].audio,
+    ]);
+
+    // 图片和语音要么都替换，要么都不替换，避免语音时长、字幕与图片对不上
+    const parts = [['图片', regenerateImage, imageOutcome], ['讲解音频', regenerateAudio, audioOutcome]];
+    const failed = parts.filter(([, , outcome]) => outcome.status === 'rejected');
+    if (failed.length > 0) {
+      if (signal?.aborted) throw signal.reason;
+      const discarded = parts.filter(([, regenerated, outcome]) => regenerated && outcome.status === 'fulfilled');
+      throw new Error([
+        `第 ${slideIndex} 页的${failed.map(([name, , outcome]) => `${name}重新生成失败（${outcome.reason?.message}）`).join('，')}`,
+        discarded.length > 0 ? `已生成的${discarded.map(([name]) => name).join('、')}未保存` : null,
+        '该页保持不变',
+      ].filter(Boolean).join('，'));
+    }
+
+    const newAssets = [...assets];
+    newAssets[i] = { image: imageOutcome.value, audio: audioOutcome.value };
+    const slideImages = newAssets.map(asset => asset.image);
+    const slideAudios = newAssets.map(asset => asset.audio);
+
+    // 先合成到临时文件，成功后再替换，失败时保留原视频和原素材
+    let video = previousResult.video;
+    let tempVideoFile = null;
+    if (checkFFmpeg()) {
+      onProgress?.(40, '正在重新合成视频...');
+      const tempVideoPath = path.join(tempDir, 'final_video.mp4');
+      const videoResult = await timeStep('video', () => synthesizeVideo(
+        toVideoSlides(pptScript.slides, slideImages, slideAudios),
+        tempVideoPath,
+        (prog, msg) => onProgress?.(Math.round(40 + prog * 0.55), msg),
+        { signal, tempDir }
+      ));
+      tempVideoFile = videoResult.filepath;
+      video = {
+        path: path.join(outputDir, 'final_video.mp4'),
+        url: `/api/files/${outputId}/final_video.mp4`,
+        duration: videoResult.duration,
+      };
+    }
+
+    // 全部成功后把新素材移入输出目录，再更新步骤结果和结果清单
+    for (const [, regenerated, outcome] of parts) {
+      if (!regenerated) continue;
+      const finalPath = path.join(outputDir, path.basename(outcome.value.path));
+      fs.renameSync(outcome.value.path, finalPath);
+      outcome.value.path = finalPath;
+    }
+    if (tempVideoFile) {
+      fs.renameSync(tempVideoFile, video.path);
+    }
+    writeCheckpoint(outputDir, 'ppt_script.json', pptScript);
+    writeCheckpoint(outputDir, 'slide_assets.json', newAssets);
+
+    const result = {
+      ...previousResult,
+      slides: buildSlideResults(outputId, pptScript.slides, slideImages, slideAudios),
+      video,
+      updatedAt: new Date().toISOString(),
+    };
+    writeCheckpoint(outputDir, 'result.json', result);
+
+    onProgress?.(100, `第 ${slideIndex} 页已重新生成`);
+    return result;
+  } finally {
+    cleanupTempDir(tempDir);
+  }
+}
+
+/**
+ * 组装视频合成所需的幻灯片数据
+ */
+function toVideoSlides(slides, slideImages, slideAudios) {
+  return slides.map((slide, i) => ({
+    imagePath: slideImages[i]?.path,
+    audioPath: slideAudios[i]?.path,
+    subtitle: slide.subtitle,
+    subtitles: slide.subtitles, // 支持分段字幕
+    script: slide.script,
+  }));
+}
+
+/**
+ * 组装结果中的幻灯片列表
+ */
+function buildSlideResults(taskId, slides, slideImages, slideAudios) {
+  return slides.map((slide, i) => {
+    // 如果没有分段字幕，根据 script 和音频时长自动生成
+    let subtitles = slide.subtitles;
+    if ((!subtitles || subtitles.length === 0) && slide.script && slideAudios[i]?.duration) {
+      const audioDurationSeconds = slideAudios[i].duration / 1000; // 转换为秒
+      subtitles = generateSubtitlesFromScript(slide.script, audioDurationSeconds);
+    }
+    
+    return {
+      index: i + 1,
+      title: slide.title,
+      script: slide.script,
+      subtitle: slide.subtitle,
+      subtitles: subtitles, // 包含分段字幕（LLM 生成或自动生成）
+      imagePath: slideImages[i]?.path,
+      imageUrl: `/api/files/${taskId}/slide_${i + 1}.jpg`,
+      audioPath: slideAudios[i]?.path,
+      audioUrl: `/api/files/${taskId}/slide_${i + 1}_audio.mp3`,
+      audioDuration: slideAudios[i]?.duration,
+    };
+  });
+}
+
 /**
  * 创建占位图片
  */
@@ -371,7 +927,7 @@ async function createPlaceholderImage(outputPath, title, subtitle) {
     return outputPath;
   } catch (error) {
     // sharp 不可用，创建简单的占位图
-    console.warn('sharp 不可用，使用默认占位图');
+    logger.warn('sharp 不可用，使用默认占位图', { error: error.message });
     // 复制一个默认图片或创建一个简单的 buffer
     return outputPath;
   }
@@ -393,20 +949,62 @@ function escapeXml(text) {
  * 创建静音音频
  */
 async function createSilentAudio(outputPath, durationSeconds) {
-  const { execSync } = await import('child_process');
+  const { exec } = await import('child_process');
+  const { promisify } = await import('util');
   
   try {
-    execSync(
-      `ffmpeg -f lavfi -i anullsrc=r=24000:cl=mono -t ${durationSeconds} -acodec libmp3lame "${outputPath}" -y`,
-      { stdio: 'ignore' }
-    );
+    await withFfmpegLimit(() => promisify(exec)(
+      `ffmpeg -f lavfi -i anullsrc=r=24000:cl=mono -t ${durationSeconds} -acodec libmp3lame "${outputPath}" -y`
+    ));
     return outputPath;
   } catch (error) {
-    console.error('创建静音音频失败:', error);
+    logger.error('创建静音音频失败', { error });
     return outputPath;
   }
 }
 
+/**
+ * 读取输出目录中保存的步骤结果
+ * @returns {object|null} - 文件不存在或损坏时返回 null
+ */
+function readCheckpoint(outputDir, filename) {
+  const filePath = path.join(outputDir, filename);
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+  } catch (error) {
+    logger.warn('读取步骤结果失败，将重新生成', { filename, error: error.message });
+  }
+  return null;
+}
+
+/**
+ * 保存标记点的转写文本和实际使用的截取范围
+ */
+function saveTranscript(outputDir, markerTime, text, window) {
+  writeCheckpoint(outputDir, 'transcript.json', {
+    markerTime,
+    startTime: window.startTime,
+    endTime: window.endTime,
+    window,
+    text,
+  });
+}
+
+/**
+ * 把步骤结果写入输出目录（先写临时文件再重命名，避免中途退出留下半个文件）
+ */
+function writeCheckpoint(outputDir, filename, data) {
+  const filePath = path.join(outputDir, filename);
+  try {
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  } catch (error) {
+    logger.warn('写入步骤结果失败', { filename, error });
+  }
+}
+
 /**
  * 清理临时目录
  */
@@ -416,7 +1014,7 @@ function cleanupTempDir(tempDir) {
       fs.rmSync(tempDir, { recursive: true, force: true });
     }
   } catch (error) {
-    console.warn('清理临时目录失败:', error);
+    logger.warn('清理临时目录失败', { error });
   }
 }
 
@@ -0,0 +1,97 @@
+/**
+ * 访问用户提供的地址（下载音频 URL、投递任务回调）
+ * 只允许连接公网地址：URL 直接写本机或内网 IP、localhost 时拒绝；域名在建立连接时解析，
+ * 检查的就是实际连接的地址，避免校验后重新解析到内网地址（DNS rebinding）
+ */
+import net from 'net';
+import dns from 'dns';
+import { Agent, fetch as undiciFetch } from 'undici';
+
+// 不允许连接的地址：本机、内网、链路本地（含云服务器元数据地址 169.254.169.254）、组播和保留地址
+// IPv4 映射的 IPv6 地址（如 ::ffff:127.0.0.1）按对应的 IPv4 地址判断
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * 连接的地址是本机或内网地址
+ */
+export class BlockedAddressError extends Error {
+  constructor(message = '不能访问本机或内网地址') {
+    super(message);
+    this.name = 'BlockedAddressError';
+  }
+}
+
+/**
+ * IP 地址是否为本机、内网等不允许连接的地址
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * URL 的主机名（IPv6 地址去掉方括号，域名去掉末尾的点）
+ * @param {URL} url
+ * @returns {string}
+ */
+export function urlHostname(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * URL 是否直接指向本机或内网（localhost、本机或内网 IP）；域名解析后的地址在连接时检查
+ * @param {URL} url
+ * @returns {boolean}
+ */
+export function isPrivateHost(url) {
+  const hostname = urlHostname(url);
+  return hostname === 'localhost'
+    || hostname.endsWith('.localhost')
+    || (net.isIP(hostname) !== 0 && isBlockedAddress(hostname));
+}
+
+/**
+ * 建立连接时使用的域名解析：解析出的地址中有本机或内网地址时拒绝连接
+ * 参数与 dns.lookup 相同（net.connect 可能以 all: true 调用）
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new BlockedAddressError());
+    }
+    callback(null, address, family);
+  });
+}
+
+const publicAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * 只连接公网地址的 fetch，不跟随重定向（调用方需要时逐跳调用，每一跳都重新检查）
+ * @param {URL|string} url
+ * @param {object} [options] - fetch 选项（redirect 固定为 manual）
+ * @returns {Promise<Response>} - 重定向时返回 3xx 响应，Location 头为跳转地址
+ * @throws {BlockedAddressError} - 地址指向本机或内网
+ */
+export async function fetchPublic(url, options = {}) {
+  if (isPrivateHost(new URL(url))) {
+    throw new BlockedAddressError();
+  }
+
+  try {
+    return await undiciFetch(url, { ...options, redirect: 'manual', dispatcher: publicAgent });
+  } catch (error) {
+    // 连接阶段的错误被 fetch 包装为 TypeError('fetch failed')
+    if (error.cause instanceof BlockedAddressError) throw error.cause;
+    throw error;
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * 用户配额与限流
+ * - 每分钟请求数：内存中的滑动窗口
+ * - 每天的标记点数、音频分钟数：按服务器本地日期累计，保存在 config.dataDir/quota.json，删除任务不会返还
+ * - 同时处理的任务数：用户排队中、处理中的任务，以及正在执行的同步处理请求
+ *
+ * 配额为 0 表示不限制；管理员不受限制
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { listTasks } from './taskStore.js';
+import { getMarkerWindow, shouldTranscribeLesson } from './processor.js';
+import { logger } from './logger.js';
+
+const QUOTA_FILE = 'quota.json';
+const RATE_WINDOW_MS = 60 * 1000;
+
+// 并发已满时建议的重试间隔（秒），任务结束时间无法预估
+const CONCURRENCY_RETRY_AFTER = 60;
+
+// 每个用户最近一分钟的请求时间
+const requestLog = new Map();
+// 每个用户正在执行的同步处理请求数
+const activeSyncRequests = new Map();
+// 每个用户当天的用量：{ day, markers, audioSeconds }
+let dailyUsage = null;
+
+function quotaPath() {
+  return path.join(config.dataDir, QUOTA_FILE);
+}
+
+function loadUsage() {
+  if (dailyUsage) return dailyUsage;
+  dailyUsage = {};
+  if (fs.existsSync(quotaPath())) {
+    try {
+      dailyUsage = JSON.parse(fs.readFileSync(quotaPath(), 'utf-8')).users || {};
+    } catch (error) {
+      logger.error('读取配额用量失败', { error });
+    }
+  }
+  return dailyUsage;
+}
+
+function saveUsage() {
+  if (!fs.existsSync(config.dataDir)) {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+  }
+  const tempPath = `${quotaPath()}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ users: dailyUsage }));
+  fs.renameSync(tempPath, quotaPath());
+}
+
+/**
+ * 服务器本地日期（YYYY-MM-DD）
+ */
+function today() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 次日零点（每日配额重置时间）
+ */
+function startOfTomorrow() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+}
+
+function secondsUntilTomorrow() {
+  return Math.ceil((startOfTomorrow() - Date.now()) / 1000);
+}
+
+function isExempt(user) {
+  return user?.role === 'admin';
+}
+
+function getDailyUsage(userId) {
+  const usage = loadUsage()[userId];
+  return usage?.day === today() ? usage : { day: today(), markers: 0, audioSeconds: 0 };
+}
+
+function recentRequests(userId) {
+  const since = Date.now() - RATE_WINDOW_MS;
+  const recent = (requestLog.get(userId) || []).filter(time => time > since);
+  requestLog.set(userId, recent);
+  return recent;
+}
+
+function countActiveTasks(userId) {
+  const tasks = listTasks().filter(task => task.userId === userId && ['queued', 'processing'].includes(task.status));
+  return tasks.length + (activeSyncRequests.get(userId) || 0);
+}
+
+/**
+ * 估算一组标记点需要识别的音频秒数（与处理时的截取范围一致，自动模式按查找的最大范围计算；
+ * 标记点较多、处理时识别整节课的按音频总时长计算）
+ * @param {Array<number>} markers - 标记时间点（秒）
+ * @param {number} [audioDuration] - 音频总时长（秒），未知时按完整范围计算
+ * @param {Array<object>} [windows] - 各标记点的截取范围（resolveMarkerWindow 的结果），未提供时使用配置的固定范围
+ * @returns {number}
+ */
+export function estimateAudioSeconds(markers, audioDuration, windows = []) {
+  if (audioDuration && shouldTranscribeLesson(markers.length)) {
+    return audioDuration;
+  }
+  return markers.reduce((sum, markerTime, i) => {
+    const { startTime, endTime } = getMarkerWindow(Number(markerTime) || 0, audioDuration, windows[i]);
+    return sum + Math.max(0, endTime - startTime);
+  }, 0);
+}
+
+/**
+ * 每分钟请求数限流，未超限时记录本次请求
+ * @param {object} user
+ * @returns {{error: string, retryAfter: number}|null} - 超限时返回错误和建议的重试秒数
+ */
+export function checkRateLimit(user) {
+  const limit = config.quota.requestsPerMinute;
+  if (isExempt(user) || limit <= 0) return null;
+
+  const recent = recentRequests(user.id);
+  if (recent.length >= limit) {
+    return {
+      error: `请求过于频繁，每分钟最多 ${limit} 次`,
+      retryAfter: Math.max(1, Math.ceil((recent[0] + RATE_WINDOW_MS - Date.now()) / 1000)),
+    };
+  }
+  recent.push(Date.now());
+  return null;
+}
+
+/**
+ * 检查创建任务是否超出并发数和每日配额（不记录用量）
+ * @param {object} user
+ * @param {object} request - markers: 标记点数，audioSeconds: 需要识别的音频秒数
+ * @param {object} [options] - newTask: 是否会新增一个处理中的任务（默认 true）
+ * @returns {{error: string, retryAfter: number}|null}
+ */
+export function checkTaskQuota(user, { markers = 0, audioSeconds = 0 }, options = {}) {
+  if (isExempt(user)) return null;
+  const { concurrentTasks, markersPerDay, audioMinutesPerDay } = config.quota;
+
+  if (options.newTask !== false && concurrentTasks > 0 && countActiveTasks(user.id) >= concurrentTasks) {
+    return {
+      error: `最多同时处理 ${concurrentTasks} 个任务，请等待当前任务完成`,
+      retryAfter: CONCURRENCY_RETRY_AFTER,
+    };
+  }
+
+  const usage = getDailyUsage(user.id);
+  if (markersPerDay > 0 && usage.markers + markers > markersPerDay) {
+    return {
+      error: `今日标记点配额不足（已用 ${usage.markers}/${markersPerDay} 个）`,
+      retryAfter: secondsUntilTomorrow(),
+    };
+  }
+  if (audioMinutesPerDay > 0 && usage.audioSeconds + audioSeconds > audioMinutesPerDay * 60) {
+    return {
+      error: `今日音频时长配额不足（已用 ${Math.ceil(usage.audioSeconds / 60)}/${audioMinutesPerDay} 分钟）`,
+      retryAfter: secondsUntilTomorrow(),
+    };
+  }
+  return null;
+}
+
+/**
+ * 记录用量（任务创建成功后调用）
+ * @param {object} user
+ * @param {object} usage - markers: 标记点数，audioSeconds: 音频秒数
+ */
+export function recordUsage(user, { markers = 0, audioSeconds = 0 }) {
+  const usage = getDailyUsage(user.id);
+  loadUsage()[user.id] = {
+    day: usage.day,
+    markers: usage.markers + markers,
+    audioSeconds: usage.audioSeconds + audioSeconds,
+  };
+  saveUsage();
+}
+
+/**
+ * 标记同步处理请求开始，返回结束时调用的函数（用于并发计数）
+ * @param {object} user
+ * @returns {function}
+ */
+export function trackSyncRequest(user) {
+  activeSyncRequests.set(user.id, (activeSyncRequests.get(user.id) || 0) + 1);
+  return () => {
+    const count = (activeSyncRequests.get(user.id) || 1) - 1;
+    if (count > 0) {
+      activeSyncRequests.set(user.id, count);
+    } else {
+      activeSyncRequests.delete(user.id);
+    }
+  };
+}
+
+/**
+ * 用户的配额和当前用量
+ * @param {object} user
+ * @returns {object} - limits（0 表示不限制）、used、remaining（不限制时为 null）、resetsAt
+ */
+export function getQuota(user) {
+  const exempt = isExempt(user);
+  const limit = (value) => (exempt ? 0 : value);
+  const limits = {
+    requestsPerMinute: limit(config.quota.requestsPerMinute),
+    markersPerDay: limit(config.quota.markersPerDay),
+    audioMinutesPerDay: limit(config.quota.audioMinutesPerDay),
+    concurrentTasks: limit(config.quota.concurrentTasks),
+  };
+
+  const usage = getDailyUsage(user.id);
+  const used = {
+    requestsPerMinute: recentRequests(user.id).length,
+    markersPerDay: usage.markers,
+    audioMinutesPerDay: Math.round(usage.audioSeconds / 60 * 10) / 10,
+    concurrentTasks: countActiveTasks(user.id),
+  };
+
+  const remaining = Object.fromEntries(Object.entries(limits).map(([key, value]) => [
+    key,
+    value > 0 ? Math.max(0, Math.floor((value - used[key]) * 10) / 10) : null,
+  ]));
+
+  return {
+    limits,
+    used,
+    remaining,
+    resetsAt: startOfTomorrow().toISOString(),
+  };
+}
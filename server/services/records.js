@@ -0,0 +1,168 @@
+/**
+ * 学习记录
+ * 每个处理成功的标记点对应一条记录，ID 为标记点输出目录 ID（如 `${taskId}-1`），
+ * 知识点、幻灯片、视频等内容来自任务结果，标记点完成后即可查询（任务其余标记点可能仍在处理）
+ *
+ * 收藏、学习状态、观看进度按记录 ID 保存在任务的 recordStates 中，
+ * 恢复任务、重新生成幻灯片时任务结果会被替换，这些状态不受影响
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { listTasks, saveTask, findTaskByOutputId } from './taskStore.js';
+
+export const LEARNING_STATUSES = ['not_started', 'in_progress', 'completed'];
+
+const DEFAULT_STATE = {
+  isFavorite: false,
+  learningStatus: 'not_started',
+  watchedProgress: 0,
+};
+
+// 可以通过 PATCH 修改的字段
+const STATE_FIELDS = Object.keys(DEFAULT_STATE);
+
+/**
+ * 标记点结果是否构成一条记录（处理成功且未被删除）
+ */
+function isVisibleRecord(task, result) {
+  return result?.success === true && !!result.taskId && !task.recordStates?.[result.taskId]?.deletedAt;
+}
+
+/**
+ * 任务结果转换为记录
+ */
+function toRecord(task, result, index) {
+  const state = { ...DEFAULT_STATE, ...task.recordStates?.[result.taskId] };
+  return {
+    id: result.taskId,
+    taskId: task.id,
+    userId: task.userId,
+    markerIndex: index,
+    markerTime: result.markerTime,
+    knowledgePoint: result.knowledgePoint,
+    summary: result.summary,
+    subject: result.subject,
+    slides: result.slides || [],
+    video: result.video ?? null,
+    isFavorite: state.isFavorite,
+    learningStatus: state.learningStatus,
+    watchedProgress: state.watchedProgress,
+    createdAt: task.createdAt,
+    updatedAt: state.updatedAt,
+    expiredAt: task.expiredAt,
+  };
+}
+
+/**
+ * 日期参数转换为时间戳：YYYY-MM-DD 按服务器时区的当天 0 点，其余按 ISO 时间解析
+ * @param {string} value
+ * @param {boolean} endOfDay - 只有日期时取次日 0 点（作为不含的上界）
+ */
+function parseDateBound(value, endOfDay) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return new Date(value).getTime();
+  const [, year, month, day] = match.map(Number);
+  return new Date(year, month - 1, day + (endOfDay ? 1 : 0)).getTime();
+}
+
+/**
+ * 记录是否包含关键词（知识点、概要、幻灯片标题和讲解词）
+ */
+function matchesKeyword(record, keyword) {
+  const texts = [
+    record.knowledgePoint,
+    record.summary,
+    ...record.slides.flatMap(slide => [slide.title, slide.script]),
+  ];
+  return texts.some(text => text?.toLowerCase().includes(keyword));
+}
+
+/**
+ * 查询记录
+ * @param {function} canAccess - 任务过滤条件 (task) => boolean（按用户权限）
+ * @param {object} [options] - subject: 学科；q: 关键词；status: 学习状态；favorite: 只返回收藏；
+ *   from / to: 创建日期范围（含两端）；page: 页码，从 1 开始；pageSize: 每页条数
+ * @returns {{records: object[], total: number, page: number, pageSize: number}} - 按创建时间从新到旧排列
+ */
+export function listRecords(canAccess, options = {}) {
+  const { subject, q, status, favorite, from, to, page = 1, pageSize = 20 } = options;
+  const keyword = q?.trim().toLowerCase();
+  const fromTime = from ? parseDateBound(from, false) : -Infinity;
+  const toTime = to ? parseDateBound(to, true) : Infinity;
+
+  const records = [];
+  for (const task of listTasks()) {
+    if (!canAccess(task)) continue;
+    const createdAt = new Date(task.createdAt).getTime();
+    if (createdAt < fromTime || createdAt >= toTime) continue;
+
+    (task.results || []).forEach((result, index) => {
+      if (isVisibleRecord(task, result)) {
+        records.push(toRecord(task, result, index));
+      }
+    });
+  }
+
+  const filtered = records
+    .filter(record => !subject || record.subject === subject)
+    .filter(record => !status || record.learningStatus === status)
+    .filter(record => favorite === undefined || record.isFavorite === favorite)
+    .filter(record => !keyword || matchesKeyword(record, keyword))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || a.markerIndex - b.markerIndex);
+
+  return {
+    records: filtered.slice((page - 1) * pageSize, page * pageSize),
+    total: filtered.length,
+    page,
+    pageSize,
+  };
+}
+
+/**
+ * 根据记录 ID 查找记录
+ * @param {string} recordId - 标记点输出目录 ID
+ * @returns {{task: object, record: object}|undefined} - 记录不存在或已删除时返回 undefined
+ */
+export function findRecord(recordId) {
+  const task = findTaskByOutputId(recordId);
+  if (!task) return undefined;
+
+  const index = (task.results || []).findIndex(result => result?.taskId === recordId);
+  if (index === -1 || !isVisibleRecord(task, task.results[index])) return undefined;
+  return { task, record: toRecord(task, task.results[index], index) };
+}
+
+/**
+ * 修改记录的收藏、学习状态、观看进度
+ * @param {object} task - 记录所属任务
+ * @param {string} recordId
+ * @param {object} updates - isFavorite、learningStatus、watchedProgress
+ * @returns {object} - 更新后的记录
+ */
+export function updateRecordState(task, recordId, updates) {
+  const state = { ...task.recordStates?.[recordId] };
+  for (const field of STATE_FIELDS) {
+    if (updates[field] !== undefined) state[field] = updates[field];
+  }
+  state.updatedAt = new Date().toISOString();
+
+  task.recordStates = { ...task.recordStates, [recordId]: state };
+  saveTask(task);
+  return findRecord(recordId).record;
+}
+
+/**
+ * 删除记录：删除该标记点的输出目录，任务中保留删除标记（任务的其他记录不受影响）
+ * @param {object} task - 记录所属任务
+ * @param {string} recordId
+ */
+export function deleteRecord(task, recordId) {
+  fs.rmSync(path.join(config.outputDir, recordId), { recursive: true, force: true });
+
+  task.recordStates = {
+    ...task.recordStates,
+    [recordId]: { ...task.recordStates?.[recordId], deletedAt: new Date().toISOString() },
+  };
+  saveTask(task);
+}
@@ -0,0 +1,55 @@
+/**
+ * 任务事件总线
+ * 处理流程中的进度/状态变化通过这里广播给 SSE 订阅者
+ */
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+// 每个 SSE 连接注册一个监听器，不限制数量
+emitter.setMaxListeners(0);
+
+/**
+ * 任务结束类事件，订阅方收到后可以关闭连接
+ */
+export const TERMINAL_EVENTS = ['task-completed', 'task-failed', 'task-cancelled'];
+
+/**
+ * 广播任务事件
+ * @param {string} taskId - 任务 ID
+ * @param {string} type - 事件类型（marker-started、step-changed、slide-ready 等）
+ * @param {object} data - 事件数据
+ */
+export function emitTaskEvent(taskId, type, data = {}) {
+  emitter.emit(taskId, type, data);
+}
+
+/**
+ * 订阅任务事件
+ * @param {string} taskId - 任务 ID
+ * @param {function} listener - 回调 (type: string, data: object)
+ * @returns {function} - 取消订阅
+ */
+export function subscribeTaskEvents(taskId, listener) {
+  emitter.on(taskId, listener);
+  return () => emitter.off(taskId, listener);
+}
+
+/**
+ * 把处理器的单个标记点更新（onTaskUpdate 的 data）转换为事件类型
+ * @param {object} data - 更新数据
+ * @returns {string}
+ */
+export function markerUpdateEventType(data) {
+  switch (data.step) {
+    case 'start':
+      return 'marker-started';
+    case 'slide':
+      return 'slide-ready';
+    case 'completed':
+      return 'marker-completed';
+    case 'failed':
+      return 'marker-failed';
+    default:
+      return 'step-changed';
+  }
+}
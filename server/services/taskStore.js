@@ -0,0 +1,333 @@
+/**
+ * 任务持久化存储
+ * 基于 JSON 快照 + 追加日志（journal）实现，服务重启后可恢复任务状态
+ *
+ * 文件布局（位于 config.dataDir）：
+ *   - tasks.json     快照：{ schemaVersion, tasks: [...] }
+ *   - tasks.journal  追加日志，每行一条 { op: 'put' | 'delete', ... }
+ *
+ * 启动时先读取快照，再按顺序重放日志，最后压缩为新的快照。
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { createGauge } from './metrics.js';
+import { logger } from './logger.js';
+
+const SNAPSHOT_FILE = 'tasks.json';
+const JOURNAL_FILE = 'tasks.journal';
+
+// 标记点输出目录中记录所属用户的文件：{ userId }，从输出目录恢复任务时用于确定所有者
+export const OUTPUT_OWNER_FILE = 'owner.json';
+
+// 日志条数超过该值时自动压缩为快照
+const COMPACT_THRESHOLD = 500;
+
+// 延迟保存的合并间隔（毫秒），用于频繁的进度更新
+const SAVE_DEBOUNCE_MS = 1000;
+
+/**
+ * 数据结构迁移
+ * 每一项把任务从 version - 1 升级到 version，按顺序执行
+ */
+const migrations = [
+  {
+    version: 1,
+    // 初始版本：补齐早期内存任务可能缺少的字段
+    migrate: (task) => ({
+      results: [],
+      markers: [],
+      progress: 0,
+      message: '',
+      ...task,
+    }),
+  },
+];
+
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+const tasks = new Map();
+const pendingSaves = new Map();
+// 本次运行中删除的任务 ID：仍在执行的处理流程（如被中止的任务）之后保存时忽略，避免任务重新出现
+const deletedTaskIds = new Set();
+let journalEntries = 0;
+
+const TASK_STATUSES = ['queued', 'processing', 'awaiting_confirmation', 'interrupted', 'completed', 'failed', 'cancelled'];
+
+createGauge({
+  name: 'xiaojixing_tasks',
+  help: '各状态的任务数（processing 为正在处理的任务）',
+  labelNames: ['status'],
+  collect: () => TASK_STATUSES.map(status => [
+    { status },
+    [...tasks.values()].filter(task => task.status === status).length,
+  ]),
+});
+
+function snapshotPath() {
+  return path.join(config.dataDir, SNAPSHOT_FILE);
+}
+
+function journalPath() {
+  return path.join(config.dataDir, JOURNAL_FILE);
+}
+
+/**
+ * 对单个任务执行迁移
+ */
+function migrateTask(task, fromVersion) {
+  return migrations
+    .filter(m => m.version > fromVersion)
+    .reduce((current, m) => m.migrate(current), task);
+}
+
+/**
+ * 原子写入文件（先写临时文件再重命名）
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * 从磁盘加载任务（快照 + 日志重放 + 迁移）
+ * @returns {number} - 加载的任务数量
+ */
+export function loadTasks() {
+  if (!fs.existsSync(config.dataDir)) {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+  }
+
+  tasks.clear();
+  let schemaVersion = 0;
+
+  if (fs.existsSync(snapshotPath())) {
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath(), 'utf-8'));
+      schemaVersion = snapshot.schemaVersion || 0;
+      for (const task of snapshot.tasks || []) {
+        tasks.set(task.id, task);
+      }
+    } catch (error) {
+      logger.error('读取任务快照失败', { error });
+    }
+  }
+
+  if (fs.existsSync(journalPath())) {
+    const lines = fs.readFileSync(journalPath(), 'utf-8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === 'put') {
+          tasks.set(entry.task.id, entry.task);
+        } else if (entry.op === 'delete') {
+          tasks.delete(entry.id);
+        }
+      } catch {
+        // 进程崩溃时最后一行可能只写了一半，直接忽略
+        logger.warn('跳过损坏的任务日志行');
+      }
+    }
+  }
+
+  // 日志中的任务总是以当前版本写入，但快照可能来自旧版本
+  if (schemaVersion < SCHEMA_VERSION && tasks.size > 0) {
+    logger.info('任务存储结构迁移', { from: schemaVersion, to: SCHEMA_VERSION });
+    for (const [id, task] of tasks) {
+      tasks.set(id, migrateTask(task, schemaVersion));
+    }
+  }
+
+  compact();
+  return tasks.size;
+}
+
+/**
+ * 把当前内存状态写成快照并清空日志
+ */
+export function compact() {
+  if (!fs.existsSync(config.dataDir)) {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+  }
+
+  writeFileAtomic(snapshotPath(), JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    tasks: Array.from(tasks.values()),
+  }));
+  fs.writeFileSync(journalPath(), '');
+  journalEntries = 0;
+}
+
+function appendJournal(entry) {
+  fs.appendFileSync(journalPath(), JSON.stringify(entry) + '\n');
+  journalEntries++;
+  if (journalEntries >= COMPACT_THRESHOLD) {
+    compact();
+  }
+}
+
+/**
+ * 获取任务
+ * @param {string} taskId
+ */
+export function getTask(taskId) {
+  return tasks.get(taskId);
+}
+
+/**
+ * 获取所有任务
+ * @returns {object[]}
+ */
+export function listTasks() {
+  return Array.from(tasks.values());
+}
+
+/**
+ * 立即保存任务（状态变化等关键节点使用）；已删除的任务不再保存
+ * @param {object} task
+ */
+export function saveTask(task) {
+  if (deletedTaskIds.has(task.id)) return;
+
+  const pending = pendingSaves.get(task.id);
+  if (pending) {
+    clearTimeout(pending);
+    pendingSaves.delete(task.id);
+  }
+
+  tasks.set(task.id, task);
+  appendJournal({ op: 'put', task });
+}
+
+/**
+ * 延迟保存任务，短时间内的多次调用会合并为一次写入（进度更新使用）；已删除的任务不再保存
+ * @param {object} task
+ */
+export function saveTaskLater(task) {
+  if (deletedTaskIds.has(task.id)) return;
+
+  tasks.set(task.id, task);
+  if (pendingSaves.has(task.id)) return;
+
+  pendingSaves.set(task.id, setTimeout(() => {
+    pendingSaves.delete(task.id);
+    if (tasks.get(task.id) === task) {
+      appendJournal({ op: 'put', task });
+    }
+  }, SAVE_DEBOUNCE_MS));
+}
+
+/**
+ * 删除任务
+ * @param {string} taskId
+ */
+export function deleteTask(taskId) {
+  const pending = pendingSaves.get(taskId);
+  if (pending) {
+    clearTimeout(pending);
+    pendingSaves.delete(taskId);
+  }
+
+  tasks.delete(taskId);
+  deletedTaskIds.add(taskId);
+  appendJournal({ op: 'delete', id: taskId });
+}
+
+/**
+ * 把所有延迟保存立即写入磁盘（退出前调用）
+ */
+export function flushTasks() {
+  for (const [taskId, timer] of pendingSaves) {
+    clearTimeout(timer);
+    const task = tasks.get(taskId);
+    if (task) {
+      appendJournal({ op: 'put', task });
+    }
+  }
+  pendingSaves.clear();
+  compact();
+}
+
+/**
+ * 获取任务关联的所有输出目录 ID（每个标记点一个目录）
+ * @param {object} task
+ * @returns {string[]}
+ */
+export function getTaskOutputIds(task) {
+  return (task.results || [])
+    .map(result => result?.taskId)
+    .filter(Boolean);
+}
+
+/**
+ * 根据标记点输出目录 ID 查找所属任务
+ * @param {string} outputId
+ * @returns {object|undefined}
+ */
+export function findTaskByOutputId(outputId) {
+  if (tasks.has(outputId)) return tasks.get(outputId);
+  for (const task of tasks.values()) {
+    if (getTaskOutputIds(task).includes(outputId)) return task;
+  }
+  return undefined;
+}
+
+/**
+ * 读取输出目录记录的所属用户
+ * @param {string} outputId
+ * @returns {string|undefined} - 没有记录（早期版本生成的目录）时返回 undefined
+ */
+export function readOutputOwner(outputId) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(config.outputDir, outputId, OUTPUT_OWNER_FILE), 'utf-8')).userId || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * 扫描输出目录，把未被任何任务引用、但包含 result.json 的目录恢复为已完成任务
+ * 用于找回存储文件丢失或早期版本（纯内存存储）时生成的视频，以及同步处理接口生成的视频
+ * 所属用户取自目录中的 owner.json；没有该文件的目录（早期版本生成）没有所有者，只有管理员可见
+ * @returns {number} - 恢复的任务数量
+ */
+export function recoverOutputDirs() {
+  if (!fs.existsSync(config.outputDir)) return 0;
+
+  const knownIds = new Set();
+  for (const task of tasks.values()) {
+    getTaskOutputIds(task).forEach(id => knownIds.add(id));
+  }
+
+  let recovered = 0;
+  for (const entry of fs.readdirSync(config.outputDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || knownIds.has(entry.name) || tasks.has(entry.name)) continue;
+
+    const manifestPath = path.join(config.outputDir, entry.name, 'result.json');
+    if (!fs.existsSync(manifestPath)) continue;
+
+    try {
+      const result = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      const stat = fs.statSync(manifestPath);
+      saveTask(migrateTask({
+        id: entry.name,
+        userId: readOutputOwner(entry.name),
+        status: 'completed',
+        progress: 100,
+        message: '已从输出目录恢复',
+        markers: result.markerTime !== undefined ? [result.markerTime] : [],
+        results: [{ ...result, taskId: result.taskId || entry.name }],
+        createdAt: result.createdAt || stat.mtime.toISOString(),
+        completedAt: stat.mtime.toISOString(),
+        recovered: true,
+      }, 0));
+      recovered++;
+    } catch (error) {
+      logger.warn('恢复输出目录失败', { outputId: entry.name, error: error.message });
+    }
+  }
+
+  return recovered;
+}
@@ -6,15 +6,44 @@ import fs from 'fs';
 import path from 'path';
 import { randomUUID } from 'crypto';
 import { config } from '../config.js';
+import { withProviderLimit, withFfmpegLimit } from './limiter.js';
+import { withCache } from './cache.js';
+import { logger } from './logger.js';
+import { recordProviderUsage } from './usage.js';
 
 /**
- * 调用 TTS API 合成语音
+ * 合成参数：音色、编码、语速、采样率（选项中未指定的使用配置）
+ */
+function audioParams(options) {
+  const { voiceType, encoding, speedRatio, rate } = config.volcengineTts;
+  return {
+    voice_type: options.voiceType || voiceType,
+    encoding: options.encoding || encoding,
+    speed_ratio: options.speedRatio || speedRatio,
+    rate: options.rate || rate,
+  };
+}
+
+/**
+ * 调用 TTS API 合成语音，相同的文本和合成参数直接使用缓存的音频
  * @param {string} text - 要合成的文本
  * @param {object} options - 选项
- * @returns {Promise<Buffer>} - 音频数据
+ * @returns {Promise<{buffer: Buffer, duration: string, reqid: string}>} - 音频数据
  */
 async function callTTSAPI(text, options = {}) {
-  const { baseUrl, appId, token, cluster, voiceType, encoding, speedRatio, rate } = config.volcengineTts;
+  // 缓存中的音频保存为 base64
+  const { base64, ...result } = await withCache('tts', { text, audio: audioParams(options) }, async () => {
+    const { buffer, ...rest } = await requestTTS(text, options);
+    return { ...rest, base64: buffer.toString('base64') };
+  });
+  return { ...result, buffer: Buffer.from(base64, 'base64') };
+}
+
+/**
+ * 请求 TTS API
+ */
+async function requestTTS(text, options) {
+  const { baseUrl, appId, token, cluster } = config.volcengineTts;
   
   const reqid = randomUUID();
   
@@ -32,12 +61,7 @@ async function callTTSAPI(text, options = {}) {
     user: {
       uid: 'xiaojixing_user',
     },
-    audio: {
-      voice_type: options.voiceType || voiceType,
-      encoding: options.encoding || encoding,
-      speed_ratio: options.speedRatio || speedRatio,
-      rate: options.rate || rate,
-    },
+    audio: audioParams(options),
     request: {
       reqid: reqid,
       text: text,
@@ -46,24 +70,26 @@ async function callTTSAPI(text, options = {}) {
   };
 
   try {
-    console.log(`TTS 请求 (reqid: ${reqid}): ${text.substring(0, 50)}...`);
-    
-    const response = await fetch(baseUrl, {
+    // reqid 由本服务生成并随请求发送，用于向火山引擎排查问题
+    logger.debug('TTS 请求', { provider: 'tts', reqid, textPreview: text.substring(0, 50) });
+
+    const response = await withProviderLimit('tts', () => fetch(baseUrl, {
       method: 'POST',
       headers,
       body: JSON.stringify(body),
-    });
+      signal: options.signal,
+    }), options.signal);
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error('TTS API 请求失败:', response.status, errorText);
+      logger.error('TTS API 请求失败', { provider: 'tts', reqid, httpStatus: response.status, body: errorText });
       throw new Error(`TTS API error: ${response.status}`);
     }
 
     const data = await response.json();
 
     if (data.code !== 3000) {
-      console.error('TTS API 返回错误:', data);
+      logger.error('TTS API 返回错误', { provider: 'tts', reqid, apiCode: data.code, apiMessage: data.message });
       throw new Error(`TTS API error: code=${data.code}, message=${data.message || 'Unknown'}`);
     }
 
@@ -74,15 +100,24 @@ async function callTTSAPI(text, options = {}) {
     // 解码 base64 音频数据
     const audioBuffer = Buffer.from(data.data, 'base64');
     
-    console.log(`TTS 合成成功: ${audioBuffer.length} bytes, 时长: ${data.addition?.duration || 'unknown'}ms`);
-    
+    logger.info('TTS 请求完成', {
+      provider: 'tts',
+      reqid,
+      bytes: audioBuffer.length,
+      durationMs: data.addition?.duration ? Number(data.addition.duration) : undefined,
+    });
+    // 按字符计费（汉字、标点各算一个字符）
+    recordProviderUsage({ ttsCharacters: [...text].length });
+
     return {
       buffer: audioBuffer,
       duration: data.addition?.duration,
       reqid: data.reqid,
     };
   } catch (error) {
-    console.error('TTS API 调用失败:', error);
+    if (!options.signal?.aborted) {
+      logger.error('TTS API 调用失败', { provider: 'tts', reqid, error: error.message });
+    }
     throw error;
   }
 }
@@ -159,7 +194,8 @@ export async function textToSpeechBase64(text, options = {}) {
  * @param {object} options - 选项
  */
 async function synthesizeLongText(text, outputPath, options = {}) {
-  const { execSync } = await import('child_process');
+  const { exec } = await import('child_process');
+  const { promisify } = await import('util');
   const tempDir = config.tempDir;
   
   if (!fs.existsSync(tempDir)) {
@@ -171,7 +207,7 @@ async function synthesizeLongText(text, outputPath, options = {}) {
   const tempFiles = [];
   let totalDuration = 0;
 
-  console.log(`长文本分段处理: 共 ${segments.length} 段`);
+  logger.info('长文本分段合成', { segmentCount: segments.length });
 
   for (let i = 0; i < segments.length; i++) {
     const segment = segments[i];
@@ -183,9 +219,13 @@ async function synthesizeLongText(text, outputPath, options = {}) {
       tempFiles.push(tempFile);
       totalDuration += result.duration || 0;
       
-      console.log(`段落 ${i + 1}/${segments.length} 合成完成`);
+      logger.debug('段落合成完成', { segment: i + 1, segmentCount: segments.length });
     } catch (error) {
-      console.error(`段落 ${i + 1} 合成失败:`, error);
+      if (options.signal?.aborted) {
+        tempFiles.forEach(f => fs.existsSync(f) && fs.unlinkSync(f));
+        throw error;
+      }
+      logger.warn('段落合成失败，跳过', { segment: i + 1, segmentCount: segments.length, error: error.message });
       // 跳过失败的段落
     }
   }
@@ -206,10 +246,10 @@ async function synthesizeLongText(text, outputPath, options = {}) {
       fs.mkdirSync(dir, { recursive: true });
     }
     
-    execSync(
+    await withFfmpegLimit(() => promisify(exec)(
       `ffmpeg -f concat -safe 0 -i "${listFile}" -acodec copy "${outputPath}" -y`,
-      { stdio: 'ignore' }
-    );
+      { signal: options.signal }
+    ), options.signal);
   } finally {
     // 清理临时文件
     fs.unlinkSync(listFile);
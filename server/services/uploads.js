@@ -0,0 +1,159 @@
+/**
+ * 可续传的分片上传
+ * 上传中的文件保存为 <uploadId>.part，进度等元数据保存为 <uploadId>.json，服务重启后仍可继续上传
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from './logger.js';
+
+const uploadsDir = path.join(config.tempDir, 'uploads');
+const partialDir = path.join(uploadsDir, 'partial');
+
+// 支持的校验算法（与 tus 协议的 Upload-Checksum 头一致："sha256 <base64>"）
+export const CHECKSUM_ALGORITHMS = ['sha256', 'sha1', 'md5'];
+
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function metaPath(uploadId) {
+  return path.join(partialDir, `${uploadId}.json`);
+}
+
+function partPath(uploadId) {
+  return path.join(partialDir, `${uploadId}.part`);
+}
+
+function saveUpload(upload) {
+  upload.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${metaPath(upload.id)}.tmp`, JSON.stringify(upload, null, 2));
+  fs.renameSync(`${metaPath(upload.id)}.tmp`, metaPath(upload.id));
+}
+
+/**
+ * 创建上传
+ * @param {object} options - filename: 原始文件名，size: 文件总字节数，userId: 上传用户
+ * @returns {object} - 上传元数据
+ */
+export function createUpload({ filename, size, userId }) {
+  if (!fs.existsSync(partialDir)) {
+    fs.mkdirSync(partialDir, { recursive: true });
+  }
+
+  const upload = {
+    id: crypto.randomBytes(16).toString('hex'),
+    filename,
+    size,
+    userId,
+    offset: 0,
+    createdAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(partPath(upload.id), '');
+  saveUpload(upload);
+  return upload;
+}
+
+/**
+ * 获取上传元数据
+ * @param {string} uploadId
+ * @returns {object|null}
+ */
+export function getUpload(uploadId) {
+  if (!UPLOAD_ID_PATTERN.test(uploadId) || !fs.existsSync(metaPath(uploadId))) {
+    return null;
+  }
+
+  try {
+    const upload = JSON.parse(fs.readFileSync(metaPath(uploadId), 'utf-8'));
+    // 以实际写入的字节数为准（写入分片后、保存元数据前退出时两者可能不一致）
+    upload.offset = fs.statSync(partPath(uploadId)).size;
+    return upload;
+  } catch (error) {
+    logger.warn('读取上传失败', { uploadId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * 上传中文件的路径（完成前用于读取音频时长等）
+ * @param {object} upload
+ * @returns {string}
+ */
+export function getUploadPath(upload) {
+  return partPath(upload.id);
+}
+
+/**
+ * 解析校验头，格式："<算法> <base64 摘要>"
+ * @param {string} header
+ * @returns {{algorithm: string, digest: string}|null} - 格式不正确或算法不支持时返回 null
+ */
+export function parseChecksum(header) {
+  const [algorithm, digest] = String(header).trim().split(/\s+/);
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    return null;
+  }
+  return { algorithm, digest };
+}
+
+/**
+ * 校验数据摘要
+ * @param {Buffer} buffer
+ * @param {{algorithm: string, digest: string}} checksum
+ * @returns {boolean}
+ */
+export function verifyChecksum(buffer, checksum) {
+  return crypto.createHash(checksum.algorithm).update(buffer).digest('base64') === checksum.digest;
+}
+
+/**
+ * 追加分片
+ * @param {object} upload - 上传元数据（offset 必须与请求的偏移一致，由调用方检查）
+ * @param {Buffer} chunk - 分片数据
+ * @returns {object} - 更新后的上传元数据
+ */
+export function appendChunk(upload, chunk) {
+  fs.appendFileSync(partPath(upload.id), chunk);
+  upload.offset += chunk.length;
+  saveUpload(upload);
+  return upload;
+}
+
+/**
+ * 校验已上传的整个文件
+ * @param {object} upload - 上传元数据
+ * @param {{algorithm: string, digest: string}} checksum
+ * @returns {Promise<boolean>}
+ */
+export function verifyUploadChecksum(upload, checksum) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(checksum.algorithm);
+    fs.createReadStream(partPath(upload.id))
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('base64') === checksum.digest))
+      .on('error', reject);
+  });
+}
+
+/**
+ * 完成上传：把分片文件移动为普通的上传音频文件
+ * @param {object} upload - 上传元数据（offset 必须等于 size）
+ * @returns {string} - 音频文件路径
+ */
+export function completeUpload(upload) {
+  const ext = path.extname(upload.filename || '').toLowerCase() || '.mp3';
+  const audioFile = path.join(uploadsDir, `audio-${Date.now()}-${upload.id}${ext}`);
+  fs.renameSync(partPath(upload.id), audioFile);
+  fs.rmSync(metaPath(upload.id), { force: true });
+  return audioFile;
+}
+
+/**
+ * 放弃上传，删除已上传的分片
+ * @param {string} uploadId
+ */
+export function removeUpload(uploadId) {
+  if (!UPLOAD_ID_PATTERN.test(uploadId)) return;
+  fs.rmSync(partPath(uploadId), { force: true });
+  fs.rmSync(metaPath(uploadId), { force: true });
+}
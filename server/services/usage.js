@@ -0,0 +1,231 @@
+/**
+ * 服务商用量与成本统计
+ * - 各服务调用成功后记录用量：LLM 输入/输出 token、ASR 音频秒数、TTS 字符数、图片张数、ffmpeg CPU 秒数
+ * - 用量按当前日志上下文（taskId、outputId）归属到任务的标记点，保存在任务的 usage 中（outputId -> 用量）
+ * - 同时按服务器本地日期和用户累计，保存在 config.dataDir/usage.json，删除任务不影响统计
+ *
+ * 成本按 config.pricing 中的当前单价计算，修改单价后历史用量也按新单价显示
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { getTask, saveTaskLater } from './taskStore.js';
+import { logger, getLogContext } from './logger.js';
+
+const USAGE_FILE = 'usage.json';
+
+// 延迟保存的合并间隔（毫秒）
+const SAVE_DEBOUNCE_MS = 1000;
+
+export const USAGE_FIELDS = [
+  'llmPromptTokens',
+  'llmCompletionTokens',
+  'asrSeconds',
+  'ttsCharacters',
+  'images',
+  'ffmpegCpuSeconds',
+];
+
+// 每天每个用户的用量：{ 'YYYY-MM-DD': { userId: { ...用量, videos } } }
+let dailyUsage = null;
+let saveTimer = null;
+
+function usagePath() {
+  return path.join(config.dataDir, USAGE_FILE);
+}
+
+function loadDailyUsage() {
+  if (dailyUsage) return dailyUsage;
+  dailyUsage = {};
+  if (fs.existsSync(usagePath())) {
+    try {
+      dailyUsage = JSON.parse(fs.readFileSync(usagePath(), 'utf-8')).days || {};
+    } catch (error) {
+      logger.error('读取用量统计失败', { error });
+    }
+  }
+  return dailyUsage;
+}
+
+/**
+ * 把用量统计立即写入磁盘（退出前调用）
+ */
+export function flushUsage() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (!dailyUsage) return;
+
+  if (!fs.existsSync(config.dataDir)) {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+  }
+  const tempPath = `${usagePath()}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ days: dailyUsage }));
+  fs.renameSync(tempPath, usagePath());
+}
+
+function saveDailyUsageLater() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    flushUsage();
+  }, SAVE_DEBOUNCE_MS);
+}
+
+/**
+ * 服务器本地日期（YYYY-MM-DD）
+ */
+function today() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 空的用量
+ */
+function emptyUsage() {
+  return Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+}
+
+/**
+ * 累加用量（保留 3 位小数，避免浮点误差累积）
+ */
+function addUsage(target, fields) {
+  const result = { ...emptyUsage(), ...target };
+  for (const [field, value] of Object.entries(fields)) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      result[field] = Math.round(((result[field] || 0) + value) * 1000) / 1000;
+    }
+  }
+  return result;
+}
+
+function addDailyUsage(userId, fields) {
+  const days = loadDailyUsage();
+  const day = today();
+  days[day] = days[day] || {};
+  days[day][userId] = addUsage(days[day][userId], fields);
+  saveDailyUsageLater();
+}
+
+/**
+ * 记录服务商用量，归属到当前上下文的任务标记点和用户
+ * 没有任务上下文时（如同步处理接口），上下文中有 userId 则只计入每日统计；服务商自检不计入
+ * @param {object} fields - 如 { llmPromptTokens: 120, llmCompletionTokens: 80 }、{ images: 1 }
+ */
+export function recordProviderUsage(fields) {
+  const { taskId, outputId, userId } = getLogContext();
+  const task = taskId ? getTask(taskId) : undefined;
+
+  if (task && outputId) {
+    task.usage = { ...task.usage, [outputId]: addUsage(task.usage?.[outputId], fields) };
+    saveTaskLater(task);
+  }
+
+  const owner = task?.userId || userId;
+  if (owner) {
+    addDailyUsage(owner, fields);
+  }
+}
+
+/**
+ * 记录一个生成完成的视频（标记点），用于计算每个视频的平均成本
+ * @param {string} userId
+ */
+export function recordVideoCompleted(userId) {
+  if (userId) {
+    addDailyUsage(userId, { videos: 1 });
+  }
+}
+
+/**
+ * 从 ffmpeg -benchmark 的输出中读取 CPU 时间并记录
+ * 输出末尾形如 "bench: utime=1.234s stime=0.056s rtime=0.789s"
+ * @param {string} output - ffmpeg 的 stderr
+ */
+export function recordFfmpegUsage(output) {
+  const match = /bench: utime=([\d.]+)s stime=([\d.]+)s/.exec(output || '');
+  if (match) {
+    recordProviderUsage({ ffmpegCpuSeconds: parseFloat(match[1]) + parseFloat(match[2]) });
+  }
+}
+
+/**
+ * 按当前单价计算成本
+ * @param {object} usage
+ * @returns {number} - 保留 4 位小数
+ */
+export function calculateCost(usage) {
+  const prices = config.pricing;
+  const cost = (usage.llmPromptTokens || 0) / 1000 * prices.llmPromptPer1kTokens
+    + (usage.llmCompletionTokens || 0) / 1000 * prices.llmCompletionPer1kTokens
+    + (usage.asrSeconds || 0) / 60 * prices.asrPerMinute
+    + (usage.ttsCharacters || 0) / 1000 * prices.ttsPer1kCharacters
+    + (usage.images || 0) * prices.imagePerImage
+    + (usage.ffmpegCpuSeconds || 0) / 3600 * prices.ffmpegPerCpuHour;
+  return Math.round(cost * 10000) / 10000;
+}
+
+function withCost(usage) {
+  const result = addUsage(usage, {});
+  return { ...result, cost: calculateCost(result) };
+}
+
+/**
+ * 任务的用量和成本：各标记点及合计
+ * @param {object} task
+ * @returns {{currency: string, markers: object[], total: object}}
+ */
+export function summarizeTaskUsage(task) {
+  const usage = task.usage || {};
+  const markers = (task.results || []).map((result, index) => {
+    const outputId = result?.taskId || `${task.id}-${index + 1}`;
+    return { markerIndex: index, outputId, ...withCost(usage[outputId]) };
+  });
+  const total = Object.values(usage).reduce((sum, item) => addUsage(sum, item), emptyUsage());
+
+  return { currency: config.pricing.currency, markers, total: withCost(total) };
+}
+
+/**
+ * 按日期和用户汇总用量
+ * @param {object} [options] - userIds: 只统计这些用户（不传时统计所有用户）；from / to: 日期范围 YYYY-MM-DD（含两端）
+ * @returns {{currency: string, prices: object, days: object[], users: object[], total: object}}
+ *   days 按日期从新到旧；users 为范围内各用户的合计
+ */
+export function getUsageReport(options = {}) {
+  const { userIds, from, to } = options;
+  const days = [];
+  const users = new Map();
+  let total = emptyUsage();
+
+  for (const [date, byUser] of Object.entries(loadDailyUsage())) {
+    if ((from && date < from) || (to && date > to)) continue;
+    for (const [userId, usage] of Object.entries(byUser)) {
+      if (userIds && !userIds.includes(userId)) continue;
+      days.push({ date, userId, ...withCost(usage), videos: usage.videos || 0 });
+      users.set(userId, addUsage(users.get(userId), usage));
+      total = addUsage(total, usage);
+    }
+  }
+
+  const withVideoCost = (usage) => {
+    const item = withCost(usage);
+    const videos = usage.videos || 0;
+    return {
+      ...item,
+      videos,
+      costPerVideo: videos > 0 ? Math.round(item.cost / videos * 10000) / 10000 : undefined,
+    };
+  };
+
+  const { currency, ...prices } = config.pricing;
+  return {
+    currency,
+    prices,
+    days: days.sort((a, b) => b.date.localeCompare(a.date) || a.userId.localeCompare(b.userId)),
+    users: [...users.entries()].map(([userId, usage]) => ({ userId, ...withVideoCost(usage) })),
+    total: withVideoCost(total),
+  };
+}
@@ -0,0 +1,402 @@
+/**
+ * 请求校验
+ * 按 openapi.json 中的接口定义校验路径参数、查询参数、请求头和请求体，
+ * 不符合时返回 400，并指出出错的字段：
+ *   { error: 'markers[1] 必须是数字', in: 'body', field: 'markers[1]', details: [...] }
+ *
+ * 路径参数、查询参数、请求头和 multipart 字段都是字符串，按定义的类型转换（数组和对象按 JSON 解析）；
+ * 校验通过后，转换后的值和默认值写回 req.params、req.query、req.body
+ *
+ * 只实现了 openapi.json 用到的关键字：$ref、allOf、oneOf、type、nullable、enum、default、
+ * minimum、maximum、minLength、maxLength、pattern、format（uri、binary）、
+ * items、minItems、maxItems、properties、required、additionalProperties、minProperties
+ */
+import fs from 'fs';
+
+const spec = JSON.parse(fs.readFileSync(new URL('../openapi.json', import.meta.url), 'utf-8'));
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+// 接口定义缓存（"METHOD /express/path" -> { operation, parameters }）
+const operationCache = new Map();
+
+/**
+ * OpenAPI 文档
+ * @returns {object}
+ */
+export function getOpenApiSpec() {
+  return spec;
+}
+
+function resolveSchema(schema) {
+  let resolved = schema;
+  while (resolved?.$ref) {
+    resolved = spec.components.schemas[resolved.$ref.slice(SCHEMA_REF_PREFIX.length)];
+  }
+  return resolved || {};
+}
+
+/**
+ * 查找 Express 路由对应的接口定义
+ * @param {string} method - HTTP 方法
+ * @param {string} routePath - Express 路由路径，如 /api/tasks/:taskId
+ */
+function findOperation(method, routePath) {
+  const key = `${method.toUpperCase()} ${routePath}`;
+  if (operationCache.has(key)) return operationCache.get(key);
+
+  const pathItem = spec.paths[routePath.replace(/:(\w+)/g, '{$1}')];
+  const methodName = method.toLowerCase();
+  // Express 的 GET 路由同时响应 HEAD 请求
+  const operation = pathItem?.[methodName] || (methodName === 'head' ? pathItem?.get : undefined);
+  const found = operation
+    ? { operation, parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])] }
+    : null;
+
+  operationCache.set(key, found);
+  return found;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+function joinField(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * 把字符串转换为定义的类型，无法转换时原样返回（由校验报错）
+ */
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') return value;
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    case 'array':
+    case 'object': {
+      let parsed;
+      try {
+        parsed = JSON.parse(value);
+      } catch {
+        return value;
+      }
+      // 数组字段也接受单个值，如 markers=600
+      return schema.type === 'array' && !Array.isArray(parsed) ? [parsed] : parsed;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * 按 schema 校验并转换值
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} field - 字段路径，用于错误信息
+ * @param {object} context - coerce: 是否转换字符串，errors: 收集错误
+ * @returns {*} - 转换后的值
+ */
+function validateValue(schema, value, field, context) {
+  const nullable = schema.nullable;
+  schema = resolveSchema(schema);
+
+  if (value === null) {
+    if (!nullable && !schema.nullable) {
+      context.errors.push({ field, message: '不能为 null' });
+    }
+    return value;
+  }
+
+  if (schema.allOf) {
+    return schema.allOf.reduce((current, part) => validateValue(part, current, field, context), value);
+  }
+
+  if (schema.oneOf) {
+    return validateOneOf(schema.oneOf, value, field, context);
+  }
+
+  // 上传的文件由 multer 解析，这里只检查是否存在
+  if (schema.format === 'binary') {
+    if (!isPlainObject(value) || typeof value.path !== 'string') {
+      context.errors.push({ field, message: '必须是文件' });
+    }
+    return value;
+  }
+
+  if (context.coerce) {
+    value = coerceValue(schema, value);
+  }
+
+  const fail = (message) => {
+    context.errors.push({ field, message });
+    return value;
+  };
+
+  switch (schema.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return fail('必须是整数');
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('必须是数字');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('必须是 true 或 false');
+      break;
+    case 'string':
+      if (typeof value !== 'string') return fail('必须是字符串');
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail('必须是数组');
+      break;
+    case 'object':
+      if (!isPlainObject(value)) return fail('必须是对象');
+      break;
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`必须是 ${schema.enum.join('、')} 之一`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`不能小于 ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`不能大于 ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? '不能为空' : `长度不能少于 ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`长度不能超过 ${schema.maxLength}`);
+    if (schema.format === 'uri' && !URL.canParse(value)) return fail('必须是有效的 URL');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail('格式不正确');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`至少需要 ${schema.minItems} 项`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`最多 ${schema.maxItems} 项`);
+    if (schema.items) {
+      value = value.map((item, i) => validateValue(schema.items, item, `${field}[${i}]`, context));
+    }
+  }
+
+  if (isPlainObject(value) && schema.type === 'object') {
+    value = validateObject(schema, value, field, context);
+  }
+
+  return value;
+}
+
+/**
+ * 值的类型是否与 schema 的 type 一致（字符串先按类型转换）
+ */
+function matchesType(schema, value, coerce) {
+  schema = resolveSchema(schema);
+  const coerced = coerce ? coerceValue(schema, value) : value;
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return typeof coerced === 'number';
+    case 'array':
+      return Array.isArray(coerced);
+    case 'object':
+      return isPlainObject(coerced);
+    default:
+      return typeof coerced === schema.type;
+  }
+}
+
+/**
+ * 依次尝试各个候选 schema，使用第一个校验通过的；都不通过时报告与值类型一致的候选的错误
+ * （如 window 为对象时报告对象字段的错误，而不是"必须是字符串"）
+ */
+function validateOneOf(candidates, value, field, context) {
+  let closest = null;
+  for (const candidate of candidates) {
+    const attempt = { ...context, errors: [] };
+    const result = validateValue(candidate, value, field, attempt);
+    if (attempt.errors.length === 0) return result;
+    if (!closest && matchesType(candidate, value, context.coerce)) {
+      closest = attempt.errors;
+    }
+  }
+
+  context.errors.push(...(closest || [{ field, message: '格式不正确' }]));
+  return value;
+}
+
+function validateObject(schema, value, field, context) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    // 表单中留空的字段视为未填写
+    if (context.coerce && result[key] === '') {
+      delete result[key];
+    }
+    if (result[key] === undefined) {
+      const defaultValue = resolveSchema(propertySchema).default ?? propertySchema.default;
+      if (defaultValue !== undefined) {
+        result[key] = structuredClone(defaultValue);
+      } else if (schema.required?.includes(key)) {
+        context.errors.push({ field: joinField(field, key), message: '缺少必填字段' });
+      }
+      continue;
+    }
+    result[key] = validateValue(propertySchema, result[key], joinField(field, key), context);
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const key of Object.keys(result)) {
+      if (!(key in properties)) {
+        context.errors.push({ field: joinField(field, key), message: '不支持该字段' });
+      }
+    }
+  }
+
+  if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    context.errors.push({ field: field || 'body', message: `至少需要 ${schema.minProperties} 个字段` });
+  }
+
+  return result;
+}
+
+/**
+ * 校验路径参数、查询参数和请求头
+ */
+function validateParameters(req, parameters, errors) {
+  for (const parameter of parameters) {
+    const sources = {
+      path: () => req.params[parameter.name],
+      query: () => req.query[parameter.name],
+      header: () => req.get(parameter.name),
+    };
+    if (!sources[parameter.in]) continue;
+
+    const context = { coerce: true, errors: [] };
+    let value = sources[parameter.in]();
+    if (value === '' || value === undefined) {
+      value = parameter.schema?.default;
+      if (value === undefined) {
+        if (parameter.required) {
+          errors.push({ in: parameter.in, field: parameter.name, message: '缺少必填参数' });
+        }
+        continue;
+      }
+    } else {
+      value = validateValue(parameter.schema || {}, value, parameter.name, context);
+    }
+    errors.push(...context.errors.map(error => ({ in: parameter.in, ...error })));
+
+    if (context.errors.length === 0) {
+      if (parameter.in === 'path') req.params[parameter.name] = value;
+      if (parameter.in === 'query') req.query[parameter.name] = value;
+    }
+  }
+}
+
+/**
+ * 校验请求体，Content-Type 不在定义中时返回需要的类型列表
+ * @returns {Array<string>|null}
+ */
+function validateBody(req, requestBody, errors) {
+  if (!requestBody) return null;
+  const mediaTypes = Object.keys(requestBody.content);
+
+  const hasBody = !!req.get('Content-Type') || Number(req.get('Content-Length')) > 0 || !!req.get('Transfer-Encoding');
+  let mediaType;
+  if (hasBody) {
+    mediaType = req.is(mediaTypes);
+    if (!mediaType) return mediaTypes;
+  } else if (requestBody.required) {
+    errors.push({ in: 'body', field: 'body', message: '缺少请求体' });
+    return null;
+  } else {
+    // 可选的请求体为空时按 JSON 空对象校验，以便填入默认值
+    mediaType = mediaTypes.includes('application/json') ? 'application/json' : null;
+    req.body = {};
+  }
+  if (!mediaType) return null;
+
+  const schema = requestBody.content[mediaType].schema;
+  // 二进制请求体（上传分片）由 express.raw 解析，不做结构校验
+  if (resolveSchema(schema).format === 'binary') return null;
+
+  const multipart = mediaType === 'multipart/form-data';
+  let body = isPlainObject(req.body) ? { ...req.body } : req.body;
+  if (multipart && req.file) {
+    body[req.file.fieldname] = req.file;
+  }
+
+  const context = { coerce: multipart, errors: [] };
+  body = validateValue(schema, body, '', context);
+  errors.push(...context.errors.map(error => ({ in: 'body', ...error, field: error.field || 'body' })));
+
+  if (context.errors.length === 0) {
+    if (multipart && req.file) {
+      delete body[req.file.fieldname];
+    }
+    req.body = body;
+  }
+  return null;
+}
+
+/**
+ * Express 中间件：按 OpenAPI 定义校验请求
+ * 需要放在 multer、express.raw 等请求体解析中间件之后
+ */
+export function validateRequest(req, res, next) {
+  const found = req.route && findOperation(req.method, req.route.path);
+  if (!found) return next();
+
+  const errors = [];
+  validateParameters(req, found.parameters, errors);
+  const expectedTypes = validateBody(req, found.operation.requestBody, errors);
+
+  if (expectedTypes || errors.length > 0) {
+    // 校验失败时删除已上传的文件
+    if (req.file?.path && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+
+  if (expectedTypes) {
+    return res.status(415).json({ error: `Content-Type 必须为 ${expectedTypes.join(' 或 ')}` });
+  }
+  if (errors.length > 0) {
+    const [first] = errors;
+    return res.status(400).json({
+      error: `${first.field} ${first.message}`,
+      in: first.in,
+      field: first.field,
+      details: errors,
+    });
+  }
+  next();
+}
+
+/**
+ * 列出 openapi.json 中没有定义的 Express 路由（启动时检查文档是否遗漏）
+ * @param {import('express').Express} app
+ * @returns {Array<string>} - 如 ["GET /api/foo"]
+ */
+export function findUndocumentedRoutes(app) {
+  const routes = [];
+  for (const layer of app._router?.stack || []) {
+    if (!layer.route || typeof layer.route.path !== 'string') continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      if (!findOperation(method, layer.route.path)) {
+        routes.push(`${method.toUpperCase()} ${layer.route.path}`);
+      }
+    }
+  }
+  return routes;
+}
@@ -6,6 +6,12 @@ import fs from 'fs';
 import path from 'path';
 import { execSync, exec } from 'child_process';
 import { config } from '../config.js';
+import { logger } from './logger.js';
+import { recordFfmpegUsage } from './usage.js';
+import { withFfmpegLimit, settleAll } from './limiter.js';
+
+// 日志中只保留 ffmpeg 输出的末尾部分（错误信息在最后）
+const FFMPEG_STDERR_LOG_LENGTH = 2000;
 
 /**
  * 检查 ffmpeg 是否可用
@@ -247,7 +253,7 @@ function formatASSTime(seconds) {
  * @param {string} imagePath - 图片路径
  * @param {string} audioPath - 音频路径
  * @param {string} outputPath - 输出视频路径
- * @param {object} options - 选项
+ * @param {object} options - 选项（duration、resolution、signal: 取消信号）
  */
 export async function createSlideVideo(imagePath, audioPath, outputPath, options = {}) {
   const duration = options.duration || getAudioDuration(audioPath);
@@ -263,27 +269,31 @@ export async function createSlideVideo(imagePath, audioPath, outputPath, options
   // 使用 scale 确保图片适配分辨率，使用 pad 填充黑边
   // -shortest: 以最短的输入流（音频）为准，确保视频长度等于音频长度
   // -ar 44100: 统一音频采样率为 44100Hz，避免后续合并时音频参数不一致
-  const cmd = `ffmpeg -loop 1 -i "${imagePath}" -i "${audioPath}" -c:v libx264 -tune stillimage -c:a aac -b:a 192k -ar 44100 -pix_fmt yuv420p -vf "scale=${resolution.replace('x', ':')}:force_original_aspect_ratio=decrease,pad=${resolution.replace('x', ':')}:(ow-iw)/2:(oh-ih)/2:color=white" -shortest "${outputPath}" -y`;
+  const cmd = `ffmpeg -benchmark -loop 1 -i "${imagePath}" -i "${audioPath}" -c:v libx264 -tune stillimage -c:a aac -b:a 192k -ar 44100 -pix_fmt yuv420p -vf "scale=${resolution.replace('x', ':')}:force_original_aspect_ratio=decrease,pad=${resolution.replace('x', ':')}:(ow-iw)/2:(oh-ih)/2:color=white" -shortest "${outputPath}" -y`;
   
-  return new Promise((resolve, reject) => {
-    exec(cmd, { maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
+  return withFfmpegLimit(() => new Promise((resolve, reject) => {
+    exec(cmd, { maxBuffer: 50 * 1024 * 1024, signal: options.signal }, (error, stdout, stderr) => {
+      recordFfmpegUsage(stderr);
       if (error) {
-        console.error('视频片段生成失败:', stderr);
+        if (!options.signal?.aborted) {
+          logger.error('视频片段生成失败', { stderr: stderr?.slice(-FFMPEG_STDERR_LOG_LENGTH) });
+        }
         reject(error);
       } else {
         resolve({ filepath: outputPath, duration });
       }
     });
-  });
+  }), options.signal);
 }
 
 /**
  * 合并多个视频片段
  * @param {string[]} videoPaths - 视频文件路径数组
  * @param {string} outputPath - 输出视频路径
+ * @param {object} options - 选项（signal: 取消信号，tempDir: 中间文件目录）
  */
-export async function concatenateVideos(videoPaths, outputPath) {
-  const tempDir = config.tempDir;
+export async function concatenateVideos(videoPaths, outputPath, options = {}) {
+  const tempDir = options.tempDir || config.tempDir;
   const listFile = path.join(tempDir, `concat_${Date.now()}.txt`);
   
   // 创建视频列表文件
@@ -299,23 +309,26 @@ export async function concatenateVideos(videoPaths, outputPath) {
   // 使用重新编码而不是直接复制，避免音频重叠问题
   // -c:v copy: 视频流直接复制（快速）
   // -c:a aac -b:a 192k: 音频重新编码为 AAC，确保音频流正确合并
-  const cmd = `ffmpeg -f concat -safe 0 -i "${listFile}" -c:v copy -c:a aac -b:a 192k -ar 44100 "${outputPath}" -y`;
+  const cmd = `ffmpeg -benchmark -f concat -safe 0 -i "${listFile}" -c:v copy -c:a aac -b:a 192k -ar 44100 "${outputPath}" -y`;
   
-  return new Promise((resolve, reject) => {
-    exec(cmd, { maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
+  return withFfmpegLimit(() => new Promise((resolve, reject) => {
+    exec(cmd, { maxBuffer: 50 * 1024 * 1024, signal: options.signal }, (error, stdout, stderr) => {
+      recordFfmpegUsage(stderr);
       // 清理临时文件
       if (fs.existsSync(listFile)) {
         fs.unlinkSync(listFile);
       }
       
       if (error) {
-        console.error('视频合并失败:', stderr);
+        if (!options.signal?.aborted) {
+          logger.error('视频合并失败', { stderr: stderr?.slice(-FFMPEG_STDERR_LOG_LENGTH) });
+        }
         reject(error);
       } else {
         resolve({ filepath: outputPath });
       }
     });
-  });
+  }), options.signal);
 }
 
 /**
@@ -323,9 +336,10 @@ export async function concatenateVideos(videoPaths, outputPath) {
  * @param {string} videoPath - 视频路径
  * @param {Array<{text: string, start: number, duration: number}>} subtitles - 字幕数组
  * @param {string} outputPath - 输出视频路径
+ * @param {object} options - 选项（signal: 取消信号，tempDir: 中间文件目录）
  */
-export async function addSubtitles(videoPath, subtitles, outputPath) {
-  const tempDir = config.tempDir;
+export async function addSubtitles(videoPath, subtitles, outputPath, options = {}) {
+  const tempDir = options.tempDir || config.tempDir;
   if (!fs.existsSync(tempDir)) {
     fs.mkdirSync(tempDir, { recursive: true });
   }
@@ -341,24 +355,28 @@ export async function addSubtitles(videoPath, subtitles, outputPath) {
   }
 
   // 使用 ffmpeg 烧录字幕
-  const cmd = `ffmpeg -i "${videoPath}" -vf "ass='${assFile.replace(/'/g, "'\\''").replace(/\\/g, '/')}'" -c:a copy "${outputPath}" -y`;
+  const cmd = `ffmpeg -benchmark -i "${videoPath}" -vf "ass='${assFile.replace(/'/g, "'\\''").replace(/\\/g, '/')}'" -c:a copy "${outputPath}" -y`;
   
-  return new Promise((resolve, reject) => {
-    exec(cmd, { maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
+  return withFfmpegLimit(() => new Promise((resolve, reject) => {
+    exec(cmd, { maxBuffer: 50 * 1024 * 1024, signal: options.signal }, (error, stdout, stderr) => {
+      recordFfmpegUsage(stderr);
       // 清理临时字幕文件
       if (fs.existsSync(assFile)) {
         fs.unlinkSync(assFile);
       }
       
-      if (error) {
-        console.error('字幕添加失败:', stderr);
+      // 任务被取消时不回退到无字幕版本
+      if (error && options.signal?.aborted) {
+        reject(error);
+      } else if (error) {
+        logger.error('字幕添加失败', { stderr: stderr?.slice(-FFMPEG_STDERR_LOG_LENGTH) });
         // 字幕添加失败时，返回原视频
         resolve({ filepath: videoPath, subtitlesAdded: false });
       } else {
         resolve({ filepath: outputPath, subtitlesAdded: true });
       }
     });
-  });
+  }), options.signal);
 }
 
 /**
@@ -366,13 +384,17 @@ export async function addSubtitles(videoPath, subtitles, outputPath) {
  * @param {Array<{imagePath: string, audioPath: string, subtitle: string}>} slides - 幻灯片数组
  * @param {string} outputPath - 最终输出路径
  * @param {function} onProgress - 进度回调
+ * @param {object} options - 选项（signal: 取消信号，tempDir: 中间文件目录）
  */
-export async function synthesizeVideo(slides, outputPath, onProgress) {
+export async function synthesizeVideo(slides, outputPath, onProgress, options = {}) {
+  const { signal } = options;
+
   if (!checkFFmpeg()) {
     throw new Error('ffmpeg 未安装');
   }
 
-  const tempDir = config.tempDir;
+  // 中间文件写入调用方指定的临时目录，便于任务取消或失败时统一清理
+  const tempDir = options.tempDir || config.tempDir;
   if (!fs.existsSync(tempDir)) {
     fs.mkdirSync(tempDir, { recursive: true });
   }
@@ -381,78 +403,85 @@ export async function synthesizeVideo(slides, outputPath, onProgress) {
   const subtitles = [];
   let currentTime = 0;
 
-  console.log(`开始合成视频，共 ${slides.length} 页`);
-
-  // 1. 为每页生成视频片段
-  for (let i = 0; i < slides.length; i++) {
-    const slide = slides[i];
-    onProgress?.(
-      Math.round((i / slides.length) * 60),
-      `合成第 ${i + 1}/${slides.length} 页视频...`
-    );
+  logger.info('开始合成视频', { slideCount: slides.length });
 
+  // 1. 并发为每页生成视频片段（同时运行的 ffmpeg 进程数受全局并发上限限制）
+  let slidesDone = 0;
+  onProgress?.(0, `合成 ${slides.length} 页视频...`);
+  const slideResults = await settleAll(slides.map(async (slide, i) => {
     const slideVideoPath = path.join(tempDir, `slide_${Date.now()}_${i}.mp4`);
-    
     try {
       const result = await createSlideVideo(
         slide.imagePath,
         slide.audioPath,
-        slideVideoPath
+        slideVideoPath,
+        { signal }
       );
-      
-      slideVideos.push(slideVideoPath);
-      
-      // 收集字幕信息
-      // 优先使用 script（逐字稿）生成分段字幕，而非简短的标题
-      if (slide.script) {
-        // 根据 script（逐字稿）自动分段生成字幕
-        const autoSubtitles = generateSubtitlesFromScript(slide.script, result.duration);
-        autoSubtitles.forEach(sub => {
-          subtitles.push({
-            text: sub.text,
-            start: currentTime + sub.start,
-            duration: sub.duration,
-          });
-        });
-      } else if (slide.subtitles && Array.isArray(slide.subtitles) && slide.subtitles.length > 0) {
-        // 使用提供的分段字幕（但时间需要根据实际音频时长重新计算）
-        const totalSubDuration = slide.subtitles.reduce((sum, sub) => sum + (sub.duration || 2), 0);
-        const timeScale = totalSubDuration > 0 ? result.duration / totalSubDuration : 1;
-        let subCurrentTime = 0;
-        
-        slide.subtitles.forEach(sub => {
-          const scaledDuration = (sub.duration || 2) * timeScale;
-          subtitles.push({
-            text: sub.text,
-            start: currentTime + subCurrentTime,
-            duration: scaledDuration,
-          });
-          subCurrentTime += scaledDuration;
-        });
-      } else if (slide.subtitle) {
-        // 使用默认字幕（整页显示）- 仅作为兜底方案
+      slidesDone++;
+      onProgress?.(
+        Math.round((slidesDone / slides.length) * 60),
+        `已合成 ${slidesDone}/${slides.length} 页视频...`
+      );
+      logger.debug('幻灯片视频片段生成完成', { slideIndex: i + 1, duration: Number(result.duration.toFixed(2)) });
+      return result;
+    } catch (error) {
+      if (!signal?.aborted) {
+        logger.error('幻灯片视频片段生成失败', { slideIndex: i + 1, error: error.message });
+      }
+      throw error;
+    }
+  }));
+
+  // 按页的顺序排列片段并计算字幕时间
+  slides.forEach((slide, i) => {
+    const result = slideResults[i];
+    slideVideos.push(result.filepath);
+
+    // 收集字幕信息
+    // 优先使用 script（逐字稿）生成分段字幕，而非简短的标题
+    if (slide.script) {
+      // 根据 script（逐字稿）自动分段生成字幕
+      const autoSubtitles = generateSubtitlesFromScript(slide.script, result.duration);
+      autoSubtitles.forEach(sub => {
         subtitles.push({
-          text: slide.subtitle,
-          start: currentTime,
-          duration: result.duration,
+          text: sub.text,
+          start: currentTime + sub.start,
+          duration: sub.duration,
         });
-      }
-      
-      currentTime += result.duration;
+      });
+    } else if (slide.subtitles && Array.isArray(slide.subtitles) && slide.subtitles.length > 0) {
+      // 使用提供的分段字幕（但时间需要根据实际音频时长重新计算）
+      const totalSubDuration = slide.subtitles.reduce((sum, sub) => sum + (sub.duration || 2), 0);
+      const timeScale = totalSubDuration > 0 ? result.duration / totalSubDuration : 1;
+      let subCurrentTime = 0;
       
-      console.log(`幻灯片 ${i + 1} 视频生成完成: ${result.duration.toFixed(2)}s`);
-    } catch (error) {
-      console.error(`幻灯片 ${i + 1} 视频生成失败:`, error);
-      throw error;
+      slide.subtitles.forEach(sub => {
+        const scaledDuration = (sub.duration || 2) * timeScale;
+        subtitles.push({
+          text: sub.text,
+          start: currentTime + subCurrentTime,
+          duration: scaledDuration,
+        });
+        subCurrentTime += scaledDuration;
+      });
+    } else if (slide.subtitle) {
+      // 使用默认字幕（整页显示）- 仅作为兜底方案
+      subtitles.push({
+        text: slide.subtitle,
+        start: currentTime,
+        duration: result.duration,
+      });
     }
-  }
+    
+    currentTime += result.duration;
+  });
 
   // 2. 合并所有视频片段
   onProgress?.(70, '合并视频片段...');
   const mergedVideoPath = path.join(tempDir, `merged_${Date.now()}.mp4`);
-  await concatenateVideos(slideVideos, mergedVideoPath);
+  await concatenateVideos(slideVideos, mergedVideoPath, { signal, tempDir });
   
-  console.log('视频片段合并完成');
+  logger.debug('视频片段合并完成', { segmentCount: slideVideos.length });
 
   // 3. 添加字幕
   onProgress?.(85, '添加字幕...');
@@ -466,11 +495,17 @@ export async function synthesizeVideo(slides, outputPath, onProgress) {
   let finalVideoPath = outputPath;
   if (subtitles.length > 0) {
     try {
-      const result = await addSubtitles(mergedVideoPath, subtitles, outputPath);
-      finalVideoPath = result.filepath;
-      console.log('字幕添加完成');
+      const result = await addSubtitles(mergedVideoPath, subtitles, outputPath, { signal, tempDir });
+      if (result.subtitlesAdded) {
+        finalVideoPath = result.filepath;
+        logger.debug('字幕添加完成', { subtitleCount: subtitles.length });
+      } else {
+        // 无字幕版本位于临时目录，复制到输出路径，避免随临时目录一起被清理
+        fs.copyFileSync(mergedVideoPath, outputPath);
+      }
     } catch (error) {
-      console.warn('字幕添加失败，使用无字幕版本:', error);
+      if (signal?.aborted) throw error;
+      logger.warn('字幕添加失败，使用无字幕版本', { error: error.message });
       fs.copyFileSync(mergedVideoPath, outputPath);
     }
   } else {
@@ -489,7 +524,7 @@ export async function synthesizeVideo(slides, outputPath, onProgress) {
   }
 
   onProgress?.(100, '视频合成完成');
-  console.log(`最终视频: ${finalVideoPath}`);
+  logger.info('视频合成完成', { file: finalVideoPath, duration: Number(currentTime.toFixed(2)) });
   
   return {
     filepath: finalVideoPath,
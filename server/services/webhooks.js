@@ -0,0 +1,195 @@
+/**
+ * 任务回调（Webhook）
+ * 任务或标记点完成、失败、取消时向 callbackUrl 推送 JSON，带 HMAC 签名，失败按指数退避重试，
+ * 每次投递的结果记录在任务的 webhookDeliveries 中
+ * 回调地址只能是公网地址：提交时检查 URL，投递时在建立连接时检查解析出的地址（见 publicNetwork.js），不跟随重定向
+ */
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { getTask, listTasks, saveTaskLater } from './taskStore.js';
+import { logger } from './logger.js';
+import { fetchPublic, isPrivateHost, BlockedAddressError } from './publicNetwork.js';
+
+// 单个任务最多保留的投递记录数
+const MAX_DELIVERIES_PER_TASK = 50;
+
+/**
+ * 校验回调地址
+ * @param {string} value
+ * @returns {string|undefined} - 规范化后的地址，未传时返回 undefined
+ */
+export function parseCallbackUrl(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('callbackUrl 不是有效的 URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('callbackUrl 只支持 http 和 https');
+  }
+  if (isPrivateHost(url)) {
+    throw new Error('callbackUrl 不能指向本机或内网地址');
+  }
+  if (!config.webhook.secret) {
+    throw new Error('服务器未配置 WEBHOOK_SECRET，无法使用回调');
+  }
+  return url.href;
+}
+
+/**
+ * 计算签名：HMAC-SHA256(secret, `${timestamp}.${body}`)，十六进制
+ * 接收方用同样的方式计算，与 X-Webhook-Signature 头中 sha256= 之后的值比较
+ * @param {string} timestamp - X-Webhook-Timestamp 头的值
+ * @param {string} body - 原始请求体
+ * @returns {string}
+ */
+export function signPayload(timestamp, body) {
+  return crypto.createHmac('sha256', config.webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * 把输出文件的相对地址转换为外部可访问的地址（配置了 PUBLIC_BASE_URL 时）
+ */
+function toPublicUrl(url) {
+  if (!url || !config.publicBaseUrl) return url;
+  return new URL(url, config.publicBaseUrl).href;
+}
+
+/**
+ * 标记点结果中推送给回调方的字段
+ */
+export function summarizeMarkerResult(result, index) {
+  return {
+    markerIndex: index,
+    markerTime: result?.markerTime,
+    outputId: result?.taskId,
+    success: result?.success === true,
+    error: result?.error,
+    knowledgePoint: result?.knowledgePoint,
+    summary: result?.summary,
+    subject: result?.subject,
+    slidesCount: result?.slides?.length,
+    video: result?.video ? {
+      url: toPublicUrl(result.video.url),
+      duration: result.video.duration,
+    } : null,
+  };
+}
+
+/**
+ * 发送任务回调（任务没有 callbackUrl 时忽略）
+ * @param {object} task - 任务
+ * @param {string} event - 事件（task.completed、task.failed、task.cancelled、task.markers_proposed、marker.completed、marker.failed）
+ * @param {object} data - 事件数据
+ */
+export function sendTaskWebhook(task, event, data = {}) {
+  if (!task.callbackUrl) return;
+
+  const id = crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+  const delivery = {
+    id,
+    event,
+    url: task.callbackUrl,
+    status: 'pending',
+    payload: { id, event, taskId: task.id, createdAt, data },
+    attempts: [],
+    createdAt,
+  };
+
+  task.webhookDeliveries = [...(task.webhookDeliveries || []), delivery].slice(-MAX_DELIVERIES_PER_TASK);
+  saveDelivery(task);
+  attemptDelivery(task, delivery);
+}
+
+/**
+ * 服务启动时继续投递上次未完成的回调
+ * @returns {number} - 继续投递的数量
+ */
+export function resumePendingWebhooks() {
+  let count = 0;
+  for (const task of listTasks()) {
+    for (const delivery of task.webhookDeliveries || []) {
+      if (delivery.status === 'pending') {
+        attemptDelivery(task, delivery);
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * 获取任务的回调投递记录
+ * @param {object} task
+ */
+export function getTaskDeliveries(task) {
+  return task.webhookDeliveries || [];
+}
+
+/**
+ * 保存投递记录（任务已被删除时不再写回，避免把任务重新加入存储）
+ */
+function saveDelivery(task) {
+  if (getTask(task.id) === task) {
+    saveTaskLater(task);
+  }
+}
+
+/**
+ * 投递一次，失败时按 retryBaseMs * 4^n 安排重试，直到 maxAttempts 次
+ */
+async function attemptDelivery(task, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const attempt = { at: new Date().toISOString() };
+  const startTime = Date.now();
+
+  try {
+    const response = await fetchPublic(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'xiaojixing-webhook/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(timestamp, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(config.webhook.timeout),
+    });
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error instanceof BlockedAddressError ? '回调地址指向本机或内网地址' : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startTime;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = attempt.at;
+  } else if (delivery.attempts.length >= config.webhook.maxAttempts) {
+    delivery.status = 'failed';
+    logger.warn('回调投递失败', { taskId: task.id, event: delivery.event, attempts: delivery.attempts.length, error: attempt.error });
+  } else {
+    const delay = config.webhook.retryBaseMs * 4 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    setTimeout(() => {
+      // 任务已删除则放弃重试
+      if (getTask(task.id) === task) attemptDelivery(task, delivery);
+    }, delay).unref();
+  }
+
+  if (delivery.status !== 'pending') {
+    delete delivery.nextAttemptAt;
+  }
+  saveDelivery(task);
+}
@@ -0,0 +1,61 @@
+import { testRoot } from './helpers.js';
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { transcribeAudio } from '../services/asr.js';
+
+const binDir = path.join(testRoot, 'bin');
+const originalPath = process.env.PATH;
+const originalFetch = globalThis.fetch;
+
+// 模拟 ffmpeg：输出文件内容为 "<输入文件名>@<开始时间>"，写完后稍等片刻再退出，让同时进行的截取重叠
+const FAKE_FFMPEG = `#!/bin/sh
+[ "$1" = "-version" ] && exit 0
+prev=""
+for arg; do
+  case "$prev" in
+    -i) input="$arg" ;;
+    -ss) start="$arg" ;;
+  esac
+  [ "$arg" = "-y" ] && output="$prev"
+  prev="$arg"
+done
+printf '%s@%s' "$(basename "$input")" "$start" > "$output"
+sleep 0.2
+`;
+
+before(() => {
+  fs.mkdirSync(binDir, { recursive: true });
+  fs.writeFileSync(path.join(binDir, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+  process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+
+  // 模拟 ASR：识别结果为片段文件的内容
+  globalThis.fetch = async (url, init) => {
+    const text = Buffer.from(JSON.parse(init.body).audio.data, 'base64').toString();
+    return Response.json({ result: { text } }, { headers: { 'X-Api-Status-Code': '20000000' } });
+  };
+});
+
+after(() => {
+  process.env.PATH = originalPath;
+  globalThis.fetch = originalFetch;
+});
+
+test('同时识别多个音频时片段文件互不覆盖，完成后删除临时目录', async (t) => {
+  // 两次识别在同一毫秒内开始
+  mock.method(Date, 'now', () => 1700000000000);
+  t.after(() => mock.restoreAll());
+
+  const inputs = ['lesson-a.mp3', 'lesson-b.mp3'].map(name => {
+    const filePath = path.join(testRoot, name);
+    fs.writeFileSync(filePath, name);
+    return filePath;
+  });
+
+  const transcripts = await Promise.all(inputs.map(input => transcribeAudio(input, 0, 120)));
+
+  assert.deepEqual(transcripts, ['lesson-a.mp3@0\nlesson-a.mp3@60', 'lesson-b.mp3@0\nlesson-b.mp3@60']);
+  assert.deepEqual(fs.readdirSync(config.tempDir), []);
+});
@@ -0,0 +1,70 @@
+import './helpers.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { withCache } from '../services/cache.js';
+import { analyzeKnowledgePoint } from '../services/llm.js';
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+/**
+ * 依次返回给定内容的 LLM 响应，记录请求次数
+ */
+function mockLLMResponses(contents) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push(JSON.parse(init.body));
+    const content = contents[Math.min(calls.length - 1, contents.length - 1)];
+    return Response.json({ id: `req-${calls.length}`, choices: [{ message: { content } }], usage: {} });
+  };
+  return calls;
+}
+
+test('解析成功后才缓存结果', async () => {
+  let requests = 0;
+  const request = async () => `value-${++requests}`;
+  const rejectFirst = (value) => {
+    if (value === 'value-1') throw new Error('bad');
+    return value.toUpperCase();
+  };
+
+  await assert.rejects(withCache('llm', { case: 'parse' }, request, rejectFirst), /bad/);
+  assert.equal(await withCache('llm', { case: 'parse' }, request, rejectFirst), 'VALUE-2');
+  // 命中缓存时同样经过 parse，不再请求
+  assert.equal(await withCache('llm', { case: 'parse' }, request, rejectFirst), 'VALUE-2');
+  assert.equal(requests, 2);
+});
+
+test('已缓存的结果无法解析时删除并重新请求', async () => {
+  await withCache('llm', { case: 'stale' }, async () => 'stale');
+
+  let requests = 0;
+  const parse = (value) => {
+    if (value === 'stale') throw new Error('bad');
+    return value;
+  };
+  assert.equal(await withCache('llm', { case: 'stale' }, async () => `fresh-${++requests}`, parse), 'fresh-1');
+  assert.equal(await withCache('llm', { case: 'stale' }, async () => `fresh-${++requests}`, parse), 'fresh-1');
+  assert.equal(requests, 1);
+});
+
+test('无法解析的 LLM 响应不缓存，再次分析时重新请求', async () => {
+  const calls = mockLLMResponses([
+    '{"knowledgePoint": "一元二次方程", "summary": "截断',
+    '{"knowledgePoint": "一元二次方程", "summary": "求根公式", "subject": "math", "keyPoints": []}',
+  ]);
+
+  const fallback = await analyzeKnowledgePoint('今天我们讲一元二次方程');
+  assert.equal(fallback.knowledgePoint, '课堂知识点');
+
+  const analyzed = await analyzeKnowledgePoint('今天我们讲一元二次方程');
+  assert.equal(analyzed.knowledgePoint, '一元二次方程');
+  assert.equal(calls.length, 2);
+
+  // 解析成功的响应已缓存
+  assert.equal((await analyzeKnowledgePoint('今天我们讲一元二次方程')).summary, '求根公式');
+  assert.equal(calls.length, 2);
+});
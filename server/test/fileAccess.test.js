@@ -0,0 +1,70 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { config } from '../config.js';
+import { signFileUrl, signResultUrls, verifyFileSignature, resolveOutputFile } from '../services/fileAccess.js';
+
+/**
+ * 解析签名地址中的 outputId、filename 和查询参数
+ */
+function parseSignedUrl(url) {
+  const parsed = new URL(url, 'http://localhost');
+  const [, , , outputId, filename] = parsed.pathname.split('/');
+  return { outputId, filename, query: Object.fromEntries(parsed.searchParams) };
+}
+
+test('签名地址校验通过并返回签名中的用户', () => {
+  const { outputId, filename, query } = parseSignedUrl(signFileUrl('task1', 'slide_1.jpg', 'user-a'));
+
+  assert.deepEqual(verifyFileSignature(outputId, filename, query), { ok: true, uid: 'user-a' });
+});
+
+test('没有所属用户时签名中的用户为空', () => {
+  const { outputId, filename, query } = parseSignedUrl(signFileUrl('task1', 'slide_1.jpg'));
+
+  assert.equal(query.uid, undefined);
+  assert.deepEqual(verifyFileSignature(outputId, filename, query), { ok: true, uid: '' });
+});
+
+test('修改用户、文件或过期时间后签名无效', () => {
+  const { outputId, filename, query } = parseSignedUrl(signFileUrl('task1', 'slide_1.jpg', 'user-a'));
+
+  assert.equal(verifyFileSignature(outputId, filename, { ...query, uid: 'user-b' }).ok, false);
+  assert.equal(verifyFileSignature(outputId, filename, { ...query, uid: undefined }).ok, false);
+  assert.equal(verifyFileSignature(outputId, 'slide_2.jpg', query).ok, false);
+  assert.equal(verifyFileSignature('task2', filename, query).ok, false);
+  assert.equal(verifyFileSignature(outputId, filename, { ...query, exp: String(Number(query.exp) + 3600) }).ok, false);
+  assert.deepEqual(verifyFileSignature(outputId, filename, { exp: query.exp }), { ok: false, error: '缺少访问签名' });
+});
+
+test('过期的签名地址被拒绝', (t) => {
+  const ttl = config.files.urlTtlSeconds;
+  t.after(() => { config.files.urlTtlSeconds = ttl; });
+  config.files.urlTtlSeconds = -1;
+
+  const { outputId, filename, query } = parseSignedUrl(signFileUrl('task1', 'slide_1.jpg', 'user-a'));
+
+  assert.deepEqual(verifyFileSignature(outputId, filename, query), { ok: false, error: '链接已过期' });
+});
+
+test('结果中的文件地址都带上所属用户的签名，其他地址不变', () => {
+  const signed = signResultUrls({
+    imageUrl: '/api/files/task1/slide_1.jpg',
+    slides: [{ imageUrl: '/api/files/task1/slide_1.jpg', audioUrl: 'https://example.com/a.mp3' }],
+    video: { url: '/api/files/task1/video.mp4' },
+  }, 'user-a');
+
+  for (const url of [signed.imageUrl, signed.slides[0].imageUrl, signed.video.url]) {
+    const { outputId, filename, query } = parseSignedUrl(url);
+    assert.deepEqual(verifyFileSignature(outputId, filename, query), { ok: true, uid: 'user-a' });
+  }
+  assert.equal(signed.slides[0].audioUrl, 'https://example.com/a.mp3');
+});
+
+test('拒绝可能越出输出目录的路径', () => {
+  assert.equal(resolveOutputFile('task1', 'slide_1.jpg'), path.join(path.resolve(config.outputDir), 'task1', 'slide_1.jpg'));
+  assert.equal(resolveOutputFile('..', 'users.json'), null);
+  assert.equal(resolveOutputFile('task1', '.hidden'), null);
+  assert.equal(resolveOutputFile('task1', 'a/b.jpg'), null);
+});
@@ -0,0 +1,44 @@
+import { startServer } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { signFileUrl } from '../services/fileAccess.js';
+
+let server;
+
+/**
+ * 创建没有任务记录的输出目录（如同步处理的结果），ownerId 为空时不写 owner.json
+ */
+function createOutputDir(outputId, ownerId) {
+  const outputDir = path.join(config.outputDir, outputId);
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, 'slide_1.jpg'), 'image');
+  if (ownerId) {
+    fs.writeFileSync(path.join(outputDir, 'owner.json'), JSON.stringify({ userId: ownerId }));
+  }
+}
+
+function fetchFile(outputId, uid) {
+  return fetch(`${server.baseUrl}${signFileUrl(outputId, 'slide_1.jpg', uid)}`);
+}
+
+before(async () => {
+  createOutputDir('sync-output-1', 'user-a');
+  createOutputDir('legacy-output-1');
+  server = await startServer();
+});
+
+after(() => server?.stop());
+
+test('没有任务记录的输出目录只接受签给 owner.json 所记录用户的链接', async () => {
+  assert.equal((await fetchFile('sync-output-1', 'user-a')).status, 200);
+  assert.equal((await fetchFile('sync-output-1', 'user-b')).status, 403);
+  assert.equal((await fetchFile('sync-output-1')).status, 403);
+});
+
+test('没有 owner.json 的输出目录只接受不带用户的链接', async () => {
+  assert.equal((await fetchFile('legacy-output-1')).status, 200);
+  assert.equal((await fetchFile('legacy-output-1', 'user-a')).status, 403);
+});
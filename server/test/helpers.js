@@ -0,0 +1,105 @@
+/**
+ * 测试辅助
+ * 每个测试文件使用独立的数据、临时文件和输出目录，不影响本地运行的服务；
+ * 需在导入 config.js 和各服务模块之前导入
+ */
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const serverDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const ADMIN_PASSWORD = 'test-admin-password';
+export const testRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'xiaojixing-test-'));
+
+Object.assign(process.env, {
+  DATA_DIR: path.join(testRoot, 'data'),
+  TEMP_DIR: path.join(testRoot, 'temp'),
+  OUTPUT_DIR: path.join(testRoot, 'output'),
+  FILE_URL_SECRET: 'test-file-url-secret',
+  ADMIN_USERNAME: 'admin',
+  ADMIN_PASSWORD,
+  LOG_LEVEL: 'error',
+});
+
+process.on('exit', () => {
+  fs.rmSync(testRoot, { recursive: true, force: true });
+});
+
+/**
+ * 获取一个空闲端口
+ * @returns {Promise<number>}
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * 在子进程中启动服务（使用本文件设置的目录），等待健康检查通过
+ * @returns {Promise<{baseUrl: string, stop: function}>}
+ */
+export async function startServer() {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: serverDir,
+    env: { ...process.env, PORT: String(port) },
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const deadline = Date.now() + 15000;
+  while (true) {
+    if (child.exitCode !== null) {
+      throw new Error(`服务启动失败，退出码 ${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/api/health`);
+      if (response.ok) break;
+    } catch {
+      // 尚未开始监听
+    }
+    if (Date.now() > deadline) {
+      child.kill('SIGKILL');
+      throw new Error('等待服务启动超时');
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return {
+    baseUrl,
+    stop: () => {
+      if (child.exitCode === null) child.kill('SIGTERM');
+      return exited;
+    },
+  };
+}
+
+/**
+ * 登录并返回 token
+ * @param {string} baseUrl
+ * @param {string} [username]
+ * @param {string} [password]
+ * @returns {Promise<string>}
+ */
+export async function login(baseUrl, username = 'admin', password = ADMIN_PASSWORD) {
+  const response = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  if (!response.ok) {
+    throw new Error(`登录失败: ${response.status} ${await response.text()}`);
+  }
+  return (await response.json()).token;
+}
@@ -0,0 +1,60 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import {
+  enqueueJob,
+  removeJob,
+  getQueuePosition,
+  getQueueStats,
+  waitForRunningJobs,
+} from '../services/jobQueue.js';
+
+config.queue.concurrency = 1;
+
+test('按优先级从高到低、同优先级按入队顺序执行，可取消排队中的任务', async () => {
+  const order = [];
+  let releaseBlocker;
+  const blocker = new Promise(resolve => { releaseBlocker = resolve; });
+
+  // 先占住唯一的槽位，后面的任务都进入排队
+  enqueueJob('blocker', () => blocker);
+  enqueueJob('low', async () => order.push('low'), { priority: -1 });
+  enqueueJob('normal-1', async () => order.push('normal-1'));
+  enqueueJob('high', async () => order.push('high'), { priority: 5 });
+  enqueueJob('normal-2', async () => order.push('normal-2'));
+  enqueueJob('cancelled', async () => order.push('cancelled'));
+
+  assert.equal(getQueuePosition('blocker'), null);
+  assert.equal(getQueuePosition('high'), 1);
+  assert.equal(getQueuePosition('normal-1'), 2);
+  assert.equal(getQueuePosition('normal-2'), 3);
+  assert.equal(getQueuePosition('low'), 5);
+  assert.deepEqual(getQueueStats(), { queued: 5, running: 1, concurrency: 1, maxLength: config.queue.maxLength });
+
+  assert.equal(removeJob('cancelled'), true);
+  assert.equal(removeJob('cancelled'), false);
+  // 已开始执行的任务不能从队列中移除
+  assert.equal(removeJob('blocker'), false);
+  assert.equal(getQueuePosition('low'), 4);
+
+  releaseBlocker();
+  while (getQueueStats().queued > 0) {
+    await waitForRunningJobs(1000);
+  }
+  assert.equal(await waitForRunningJobs(1000), true);
+
+  assert.deepEqual(order, ['high', 'normal-1', 'normal-2', 'low']);
+});
+
+test('任务抛出错误时继续执行后续任务', async () => {
+  let ran = false;
+  enqueueJob('failing', async () => { throw new Error('boom'); });
+  enqueueJob('after', async () => { ran = true; });
+
+  while (getQueueStats().queued > 0) {
+    await waitForRunningJobs(1000);
+  }
+  assert.equal(await waitForRunningJobs(1000), true);
+  assert.equal(ran, true);
+});
@@ -0,0 +1,91 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createLimiter } from '../services/limiter.js';
+
+/**
+ * 返回 { promise, resolve }，用于控制任务何时结束
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(res => { resolve = res; });
+  return { promise, resolve };
+}
+
+test('不超过并发上限，按入队顺序启动', async () => {
+  const limit = createLimiter(2);
+  const started = [];
+  const gates = [1, 2, 3, 4].map(() => deferred());
+
+  const results = gates.map((gate, i) => limit(async () => {
+    started.push(i);
+    await gate.promise;
+    return i;
+  }));
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual(limit.stats(), { active: 2, waiting: 2, concurrency: 2 });
+
+  gates[1].resolve();
+  await results[1];
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(started, [0, 1, 2]);
+
+  gates.forEach(gate => gate.resolve());
+  assert.deepEqual(await Promise.all(results), [0, 1, 2, 3]);
+  assert.deepEqual(limit.stats(), { active: 0, waiting: 0, concurrency: 2 });
+});
+
+test('任务失败时释放槽位并把错误交给调用方', async () => {
+  const limit = createLimiter(1);
+
+  await assert.rejects(limit(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await limit(() => 'next'), 'next');
+});
+
+test('排队期间取消时不再执行，已在执行的任务不受影响', async () => {
+  const limit = createLimiter(1);
+  const gate = deferred();
+  const controller = new AbortController();
+  let ran = false;
+
+  const first = limit(() => gate.promise);
+  const second = limit(() => { ran = true; }, { signal: controller.signal });
+
+  controller.abort(new Error('cancelled'));
+  await assert.rejects(second, /cancelled/);
+  assert.equal(limit.stats().waiting, 0);
+
+  gate.resolve('done');
+  assert.equal(await first, 'done');
+  assert.equal(ran, false);
+});
+
+test('排队的任务在入队时的异步上下文中执行', async () => {
+  const limit = createLimiter(1);
+  const storage = new AsyncLocalStorage();
+  const gate = deferred();
+  const seen = [];
+
+  const results = ['A', 'B', 'C'].map(name => storage.run(name, () => limit(async () => {
+    seen.push(storage.getStore());
+    if (name === 'A') await gate.promise;
+    await new Promise(resolve => setImmediate(resolve));
+    seen.push(storage.getStore());
+  })));
+
+  gate.resolve();
+  await Promise.all(results);
+  assert.deepEqual(seen, ['A', 'A', 'B', 'B', 'C', 'C']);
+});
+
+test('已取消的信号直接拒绝', async () => {
+  const limit = createLimiter(1);
+  const controller = new AbortController();
+  controller.abort(new Error('already'));
+
+  await assert.rejects(limit(() => 'never', { signal: controller.signal }), /already/);
+  assert.equal(limit.stats().active, 0);
+});
@@ -0,0 +1,37 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { withFfmpegLimit, getProviderLimitStats } from '../services/limiter.js';
+import { logger, runWithLogContext, readTaskLogs } from '../services/logger.js';
+
+test('排队等待 ffmpeg 槽位的命令及其回调中的日志写入各自的任务日志', async () => {
+  const { concurrency } = getProviderLimitStats().ffmpeg;
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const blockers = Array.from({ length: concurrency }, () => runWithLogContext(
+    { taskId: 'blocker-task', markerIndex: 9 },
+    () => withFfmpegLimit(() => gate)
+  ));
+
+  // 与 videoSynth.js 相同：在槽位内启动子进程，在子进程回调中输出日志
+  const queued = [['task-a', 0], ['task-b', 1]].map(([taskId, markerIndex]) => runWithLogContext(
+    { taskId, markerIndex },
+    () => withFfmpegLimit(() => new Promise((resolve, reject) => {
+      logger.info('开始合成');
+      execFile(process.execPath, ['-e', ''], (error) => {
+        if (error) return reject(error);
+        logger.info('合成完成');
+        resolve();
+      });
+    }))
+  ));
+
+  release();
+  await Promise.all([...blockers, ...queued]);
+
+  const messages = (taskId) => readTaskLogs(taskId).map(entry => `${entry.markerIndex}:${entry.msg}`);
+  assert.deepEqual(messages('task-a'), ['0:开始合成', '0:合成完成']);
+  assert.deepEqual(messages('task-b'), ['1:开始合成', '1:合成完成']);
+  assert.deepEqual(messages('blocker-task'), []);
+});
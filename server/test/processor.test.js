@@ -0,0 +1,96 @@
+import { testRoot } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { regenerateSlide } from '../services/processor.js';
+
+const outputId = 'regen-task-1';
+const outputDir = path.join(config.outputDir, outputId);
+const originalFetch = globalThis.fetch;
+const originalPath = process.env.PATH;
+
+function readJson(filename) {
+  return JSON.parse(fs.readFileSync(path.join(outputDir, filename), 'utf-8'));
+}
+
+/**
+ * 模拟图片和 TTS 接口，ttsOk 为 false 时 TTS 返回 500
+ */
+function mockProviders({ ttsOk }) {
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    if (body.request) {
+      if (!ttsOk) return new Response('unavailable', { status: 500 });
+      return Response.json({ code: 3000, data: Buffer.from('new-audio').toString('base64'), addition: { duration: '4000' } });
+    }
+    const image = Buffer.from('new-image').toString('base64');
+    return Response.json({
+      id: 'img-1',
+      choices: [{ message: { images: [{ type: 'image_url', image_url: { url: `data:image/jpg;base64,${image}` } }] } }],
+    });
+  };
+}
+
+beforeEach(() => {
+  // 不合成视频（测试环境可能装有 ffmpeg）
+  process.env.PATH = path.join(testRoot, 'no-bin');
+
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, 'slide_1.jpg'), 'old-image');
+  fs.writeFileSync(path.join(outputDir, 'slide_1_audio.mp3'), 'old-audio');
+
+  const slides = [{ title: '第一页', script: '旧的讲解词', imagePrompt: '旧的图片描述', subtitle: '旧字幕' }];
+  const assets = [{
+    image: { index: 0, path: path.join(outputDir, 'slide_1.jpg'), success: true },
+    audio: { index: 0, path: path.join(outputDir, 'slide_1_audio.mp3'), duration: 2000, success: true },
+  }];
+  fs.writeFileSync(path.join(outputDir, 'ppt_script.json'), JSON.stringify({ slides }));
+  fs.writeFileSync(path.join(outputDir, 'slide_assets.json'), JSON.stringify(assets));
+  fs.writeFileSync(path.join(outputDir, 'result.json'), JSON.stringify({
+    taskId: outputId,
+    slides: [{ ...slides[0], imagePath: assets[0].image.path, audioPath: assets[0].audio.path, audioDuration: 2000 }],
+    video: null,
+  }));
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+  process.env.PATH = originalPath;
+});
+
+test('语音重新生成失败时不替换已生成的图片，步骤结果保持不变', async () => {
+  mockProviders({ ttsOk: false });
+  const before = ['ppt_script.json', 'slide_assets.json', 'result.json'].map(readJson);
+
+  await assert.rejects(
+    regenerateSlide(outputId, 1, { imagePrompt: '新的图片描述', script: '新的讲解词' }),
+    (error) => {
+      assert.match(error.message, /讲解音频重新生成失败/);
+      assert.match(error.message, /已生成的图片未保存/);
+      return true;
+    }
+  );
+
+  assert.equal(fs.readFileSync(path.join(outputDir, 'slide_1.jpg'), 'utf-8'), 'old-image');
+  assert.equal(fs.readFileSync(path.join(outputDir, 'slide_1_audio.mp3'), 'utf-8'), 'old-audio');
+  assert.deepEqual(['ppt_script.json', 'slide_assets.json', 'result.json'].map(readJson), before);
+  assert.equal(fs.existsSync(path.join(config.tempDir, `${outputId}-regen`)), false);
+});
+
+test('图片和语音都成功后替换文件并更新步骤结果', async () => {
+  mockProviders({ ttsOk: true });
+
+  const result = await regenerateSlide(outputId, 1, { imagePrompt: '新的图片描述', script: '新的讲解词' });
+
+  assert.equal(fs.readFileSync(path.join(outputDir, 'slide_1.jpg'), 'utf-8'), 'new-image');
+  assert.equal(fs.readFileSync(path.join(outputDir, 'slide_1_audio.mp3'), 'utf-8'), 'new-audio');
+  assert.equal(readJson('ppt_script.json').slides[0].script, '新的讲解词');
+  assert.deepEqual(readJson('slide_assets.json')[0].audio, {
+    index: 0, path: path.join(outputDir, 'slide_1_audio.mp3'), duration: '4000', success: true,
+  });
+  assert.equal(result.slides[0].audioPath, path.join(outputDir, 'slide_1_audio.mp3'));
+  assert.equal(readJson('result.json').slides[0].script, '新的讲解词');
+});
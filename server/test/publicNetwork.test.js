@@ -0,0 +1,91 @@
+import './helpers.js';
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import dns from 'dns';
+import path from 'path';
+import { config } from '../config.js';
+import { fetchPublic, isPrivateHost, BlockedAddressError } from '../services/publicNetwork.js';
+import { parseSourceUrl, downloadAudio } from '../services/audioSource.js';
+
+let server;
+let port;
+let requests = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests++;
+    res.end('audio');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+/**
+ * 模拟域名解析：所有域名都解析到 address（模拟校验后重新解析到内网地址的域名）
+ */
+function resolveEverythingTo(address) {
+  mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const family = address.includes(':') ? 6 : 4;
+    if (options?.all) return callback(null, [{ address, family }]);
+    callback(null, address, family);
+  });
+}
+
+test('识别直接写本机或内网地址的 URL', () => {
+  for (const url of [
+    'http://localhost/a.mp3',
+    'http://api.localhost/a.mp3',
+    'http://127.0.0.1/a.mp3',
+    'http://10.1.2.3/a.mp3',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/a.mp3',
+    'http://[::ffff:127.0.0.1]/a.mp3',
+    'http://[fd00::1]/a.mp3',
+  ]) {
+    assert.equal(isPrivateHost(new URL(url)), true, url);
+  }
+  for (const url of ['https://example.com/a.mp3', 'http://8.8.8.8/a.mp3', 'http://[2001:4860::8888]/a.mp3']) {
+    assert.equal(isPrivateHost(new URL(url)), false, url);
+  }
+});
+
+test('拒绝直接写内网地址的 URL，不发出请求', async () => {
+  await assert.rejects(fetchPublic(`http://127.0.0.1:${port}/`), BlockedAddressError);
+  assert.throws(() => parseSourceUrl(`http://127.0.0.1:${port}/a.mp3`), /不能指向本机或内网地址/);
+  assert.equal(requests, 0);
+});
+
+test('域名在建立连接时解析到内网地址时拒绝连接', async () => {
+  resolveEverythingTo('127.0.0.1');
+
+  await assert.rejects(fetchPublic(`http://rebind.example:${port}/`), BlockedAddressError);
+  assert.ok(dns.lookup.mock.calls.length > 0);
+  assert.equal(requests, 0);
+});
+
+test('下载音频时域名解析到内网地址则失败', async () => {
+  resolveEverythingTo('::1');
+
+  await assert.rejects(
+    downloadAudio(`http://rebind.example:${port}/a.mp3`, path.join(config.tempDir, 'a.mp3')),
+    /source\.url 不能指向本机或内网地址/
+  );
+  assert.equal(requests, 0);
+});
+
+test('允许列表中的主机不检查地址', async (t) => {
+  const allowedHosts = config.source.allowedHosts;
+  t.after(() => { config.source.allowedHosts = allowedHosts; });
+  config.source.allowedHosts = ['127.0.0.1'];
+
+  const outputPath = path.join(config.tempDir, 'allowed.mp3');
+  await downloadAudio(`http://127.0.0.1:${port}/a.mp3`, outputPath);
+  assert.equal(requests, 1);
+});
@@ -0,0 +1,117 @@
+import { startServer, login } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+let server;
+let headers;
+
+before(async () => {
+  server = await startServer();
+  headers = { Authorization: `Bearer ${await login(server.baseUrl)}` };
+});
+
+after(() => server?.stop());
+
+function createUpload(size) {
+  return fetch(`${server.baseUrl}/api/uploads`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: 'lesson.mp3', size }),
+  }).then(response => response.json());
+}
+
+function sendChunk(uploadId, offset, chunk, extraHeaders = {}) {
+  return fetch(`${server.baseUrl}/api/uploads/${uploadId}`, {
+    method: 'PATCH',
+    headers: {
+      ...headers,
+      'Content-Type': 'application/offset+octet-stream',
+      'Upload-Offset': String(offset),
+      ...extraHeaders,
+    },
+    body: chunk,
+  });
+}
+
+function digest(buffer) {
+  return `sha256 ${crypto.createHash('sha256').update(buffer).digest('base64')}`;
+}
+
+test('按偏移追加分片，偏移不一致时返回 409 和服务端的偏移', async () => {
+  const data = crypto.randomBytes(300);
+  const { uploadId, offset } = await createUpload(data.length);
+  assert.equal(offset, 0);
+
+  let response = await sendChunk(uploadId, 0, data.subarray(0, 100));
+  assert.equal(response.status, 204);
+  assert.equal(response.headers.get('upload-offset'), '100');
+
+  // 重发已写入的分片（例如客户端没收到上次的响应）
+  response = await sendChunk(uploadId, 0, data.subarray(0, 100));
+  assert.equal(response.status, 409);
+  assert.equal(response.headers.get('upload-offset'), '100');
+  assert.equal((await response.json()).offset, 100);
+
+  // 跳过一段
+  response = await sendChunk(uploadId, 200, data.subarray(200));
+  assert.equal(response.status, 409);
+
+  response = await fetch(`${server.baseUrl}/api/uploads/${uploadId}`, { method: 'HEAD', headers });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('upload-offset'), '100');
+  assert.equal(response.headers.get('upload-length'), '300');
+
+  response = await sendChunk(uploadId, 100, data.subarray(100));
+  assert.equal(response.status, 204);
+  assert.equal(response.headers.get('upload-offset'), '300');
+});
+
+test('分片超出文件大小时拒绝', async () => {
+  const { uploadId } = await createUpload(10);
+
+  const response = await sendChunk(uploadId, 0, crypto.randomBytes(11));
+  assert.equal(response.status, 400);
+});
+
+test('分片校验失败时返回 460 且不写入', async () => {
+  const data = crypto.randomBytes(50);
+  const { uploadId } = await createUpload(data.length);
+
+  let response = await sendChunk(uploadId, 0, data, { 'Upload-Checksum': digest(Buffer.from('other')) });
+  assert.equal(response.status, 460);
+
+  response = await fetch(`${server.baseUrl}/api/uploads/${uploadId}`, { method: 'HEAD', headers });
+  assert.equal(response.headers.get('upload-offset'), '0');
+
+  response = await sendChunk(uploadId, 0, data, { 'Upload-Checksum': digest(data) });
+  assert.equal(response.status, 204);
+});
+
+test('未上传完成时不能完成上传', async () => {
+  const data = crypto.randomBytes(50);
+  const { uploadId } = await createUpload(data.length);
+  await sendChunk(uploadId, 0, data.subarray(0, 20));
+
+  const response = await fetch(`${server.baseUrl}/api/uploads/${uploadId}/finalize`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ markers: [10] }),
+  });
+  assert.equal(response.status, 409);
+  assert.equal((await response.json()).offset, 20);
+});
+
+test('其他用户看不到上传', async () => {
+  const { uploadId } = await createUpload(10);
+
+  await fetch(`${server.baseUrl}/api/admin/users`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'other', password: 'other-password', role: 'user' }),
+  });
+  const otherHeaders = { Authorization: `Bearer ${await login(server.baseUrl, 'other', 'other-password')}` };
+
+  const response = await fetch(`${server.baseUrl}/api/uploads/${uploadId}`, { method: 'HEAD', headers: otherHeaders });
+  assert.equal(response.status, 404);
+});
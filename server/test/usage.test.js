@@ -0,0 +1,64 @@
+import './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTasks, saveTask, getTask, flushTasks } from '../services/taskStore.js';
+import { recordFfmpegUsage, recordProviderUsage, getUsageReport, flushUsage } from '../services/usage.js';
+import { withFfmpegLimit, withProviderLimit, getProviderLimitStats } from '../services/limiter.js';
+import { runWithLogContext } from '../services/logger.js';
+
+after(() => {
+  flushTasks();
+  flushUsage();
+});
+
+/**
+ * 占满服务商的全部并发槽位，返回释放函数；之后的请求都要等释放后才由这些请求启动
+ */
+function occupySlots(provider) {
+  const { concurrency } = getProviderLimitStats()[provider];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const blockers = Array.from({ length: concurrency }, () => runWithLogContext(
+    { taskId: 'blocker-task', outputId: 'blocker-task-1', userId: 'blocker-user' },
+    () => provider === 'ffmpeg' ? withFfmpegLimit(() => gate) : withProviderLimit(provider, () => gate)
+  ));
+  return () => {
+    release(new Response(''));
+    return Promise.all(blockers);
+  };
+}
+
+test('排队等待槽位的 ffmpeg 和服务商用量计入各自的任务和用户', async () => {
+  loadTasks();
+  saveTask({ id: 'task-a', userId: 'user-a', status: 'processing', createdAt: new Date().toISOString() });
+  saveTask({ id: 'task-b', userId: 'user-b', status: 'processing', createdAt: new Date().toISOString() });
+
+  const releaseFfmpeg = occupySlots('ffmpeg');
+  const releaseImage = occupySlots('image');
+
+  const queued = [
+    ['task-a', 1],
+    ['task-b', 2],
+  ].flatMap(([taskId, seconds]) => runWithLogContext({ taskId, outputId: `${taskId}-1` }, () => [
+    withFfmpegLimit(async () => recordFfmpegUsage(`bench: utime=${seconds}.000s stime=0.000s rtime=1.000s`)),
+    withProviderLimit('image', async () => {
+      recordProviderUsage({ images: seconds });
+      return new Response('');
+    }),
+  ]));
+
+  await releaseFfmpeg();
+  await releaseImage();
+  await Promise.all(queued);
+
+  assert.equal(getTask('task-a').usage['task-a-1'].ffmpegCpuSeconds, 1);
+  assert.equal(getTask('task-a').usage['task-a-1'].images, 1);
+  assert.equal(getTask('task-b').usage['task-b-1'].ffmpegCpuSeconds, 2);
+  assert.equal(getTask('task-b').usage['task-b-1'].images, 2);
+  assert.equal(getTask('blocker-task'), undefined);
+
+  const users = Object.fromEntries(getUsageReport().users.map(({ userId, ...usage }) => [userId, usage]));
+  assert.equal(users['user-a'].ffmpegCpuSeconds, 1);
+  assert.equal(users['user-b'].ffmpegCpuSeconds, 2);
+  assert.equal(users['blocker-user'], undefined);
+});
@@ -0,0 +1,100 @@
+import './helpers.js';
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import dns from 'dns';
+import { config } from '../config.js';
+import { loadTasks, saveTask, flushTasks } from '../services/taskStore.js';
+import { parseCallbackUrl, sendTaskWebhook, signPayload } from '../services/webhooks.js';
+
+let server;
+let port;
+const received = [];
+
+config.webhook.secret = 'test-webhook-secret';
+config.webhook.maxAttempts = 1;
+
+before(async () => {
+  loadTasks();
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  flushTasks();
+  return new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+/**
+ * 模拟域名解析：所有域名都解析到 address
+ */
+function resolveEverythingTo(address) {
+  mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (options?.all) return callback(null, [{ address, family: 4 }]);
+    callback(null, address, 4);
+  });
+}
+
+/**
+ * 发送回调并等待投递结束
+ */
+async function deliver(callbackUrl) {
+  const task = { id: `hook-${Date.now()}`, status: 'completed', callbackUrl, createdAt: new Date().toISOString() };
+  saveTask(task);
+  sendTaskWebhook(task, 'task.completed', {});
+  const [delivery] = task.webhookDeliveries;
+  while (delivery.status === 'pending') {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return delivery;
+}
+
+test('拒绝指向本机或内网的回调地址', () => {
+  for (const url of [
+    'http://127.0.0.1:8080/hook',
+    'http://localhost/hook',
+    'http://10.0.0.5/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hook',
+  ]) {
+    assert.throws(() => parseCallbackUrl(url), /不能指向本机或内网地址/, url);
+  }
+  assert.equal(parseCallbackUrl('https://example.com/hook'), 'https://example.com/hook');
+});
+
+test('投递时域名解析到内网地址则不发送请求，投递记录中没有状态码', async () => {
+  resolveEverythingTo('127.0.0.1');
+
+  const delivery = await deliver(`http://rebind.example:${port}/hook`);
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts[0].error, '回调地址指向本机或内网地址');
+  assert.equal(delivery.attempts[0].statusCode, undefined);
+  assert.equal(received.length, 0);
+});
+
+test('提交前保存的内网回调地址在投递时同样被拒绝', async () => {
+  const delivery = await deliver(`http://127.0.0.1:${port}/hook`);
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts[0].error, '回调地址指向本机或内网地址');
+  assert.equal(received.length, 0);
+});
+
+test('签名为 HMAC-SHA256(secret, "<timestamp>.<body>")', () => {
+  const expected = crypto.createHmac('sha256', 'test-webhook-secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signPayload('1700000000', '{"a":1}'), expected);
+});
@@ -1,13 +1,33 @@
-import { Routes, Route } from 'react-router-dom'
+import { useEffect } from 'react'
+import { Routes, Route, Navigate, useNavigate } from 'react-router-dom'
 import HomePage from './pages/HomePage'
 import VideoDetailPage from './pages/VideoDetailPage'
+import LoginPage from './pages/LoginPage'
+import AdminPage from './pages/AdminPage'
+import { AUTH_EXPIRED_EVENT, getAuthToken } from './services/api'
+
+// 未登录时跳转登录页
+function RequireAuth({ children }: { children: JSX.Element }) {
+  return getAuthToken() ? children : <Navigate to="/login" replace />
+}
 
 function App() {
+  const navigate = useNavigate()
+
+  // 登录失效时回到登录页
+  useEffect(() => {
+    const handleExpired = () => navigate('/login', { replace: true })
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired)
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired)
+  }, [navigate])
+
   return (
     <div className="w-[1120px] h-[800px] overflow-hidden relative">
       <Routes>
-        <Route path="/" element={<HomePage />} />
-        <Route path="/video/:id" element={<VideoDetailPage />} />
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/" element={<RequireAuth><HomePage /></RequireAuth>} />
+        <Route path="/video/:id" element={<RequireAuth><VideoDetailPage /></RequireAuth>} />
+        <Route path="/admin" element={<RequireAuth><AdminPage /></RequireAuth>} />
       </Routes>
     </div>
   )
@@ -6,6 +6,8 @@ interface HeaderProps {
   onRightClick?: () => void
   onSyncClick?: () => void
   onClearClick?: () => void
+  onLogoutClick?: () => void
+  onAdminClick?: () => void
 }
 
 export default function Header({ 
@@ -15,7 +17,9 @@ export default function Header({
   onBack,
   onRightClick,
   onSyncClick,
-  onClearClick
+  onClearClick,
+  onLogoutClick,
+  onAdminClick
 }: HeaderProps) {
   return (
     <div className="absolute top-[24px] left-0 w-[1120px] h-[72px] flex items-center">
@@ -67,6 +71,26 @@ export default function Header({
           </button>
         )}
         
+        {/* 管理按钮（仅管理员） */}
+        {onAdminClick && (
+          <button 
+            onClick={onAdminClick}
+            className="h-[40px] px-[16px] bg-white/15 border border-white rounded-[47px] text-[14px] font-medium text-white hover:bg-white/25 transition-colors"
+          >
+            服务自检
+          </button>
+        )}
+        
+        {/* 退出登录按钮 */}
+        {onLogoutClick && (
+          <button 
+            onClick={onLogoutClick}
+            className="h-[40px] px-[16px] bg-white/15 border border-white rounded-[47px] text-[14px] font-medium text-white hover:bg-white/25 transition-colors"
+          >
+            退出登录
+          </button>
+        )}
+        
         {/* 学习记录按钮 */}
         {rightButton && (
           <button 
@@ -1,29 +1,63 @@
+import { useState } from 'react'
 import { VideoRecord } from '../types'
+import { useAppStore } from '../store'
+import { cancelTask } from '../services/api'
 
 interface ProcessingCardProps {
   record: VideoRecord
 }
 
 export default function ProcessingCard({ record }: ProcessingCardProps) {
+  const { records, deleteRecord } = useAppStore()
+  const [isCancelling, setIsCancelling] = useState(false)
+
+  // 取消整个后端任务，并移除同一任务下所有处理中的卡片
+  const handleCancel = async () => {
+    if (!record.taskId || isCancelling) return
+    if (!window.confirm('确定要取消本次处理吗？已生成的内容不会保留。')) return
+
+    setIsCancelling(true)
+    try {
+      await cancelTask(record.taskId)
+      records
+        .filter(r => r.taskId === record.taskId && r.status === 'processing')
+        .forEach(r => deleteRecord(r.id))
+    } catch (err) {
+      console.error('取消任务失败:', err)
+      setIsCancelling(false)
+    }
+  }
+
   return (
     <div className="relative w-[316px] h-[181px] bg-white border-2 border-[rgba(0,0,0,0.9)] rounded-[4px] overflow-hidden animate-fade-in">
       {/* 顶部淡蓝色区域 */}
       <div className="absolute left-[3px] top-[3px] w-[310px] h-[123px] bg-[rgba(81,138,255,0.2)] rounded-[2px] flex flex-col items-center justify-center">
         {/* 生产中提示文字 */}
         <p className="text-[14px] font-medium text-[rgba(0,0,0,0.8)] leading-[20px] tracking-[-0.15px] font-['Source_Han_Sans_CN']">
-          正在为你努力生产中...
+          {isCancelling ? '正在取消...' : '正在为你努力生产中...'}
         </p>
         {/* 进度百分比 */}
         <p className="text-[14px] font-black text-[rgba(0,0,0,0.8)] leading-normal font-['Source_Han_Sans_CN'] mt-[4px]">
           {record.progress}%
         </p>
       </div>
-      
+
       {/* 底部骨架条 - 长条 */}
       <div className="absolute left-[3px] top-[131px] w-[203px] h-[19px] bg-[rgba(81,138,255,0.2)] rounded-[4px]" />
-      
+
       {/* 底部骨架条 - 短条 */}
       <div className="absolute left-[3px] top-[157px] w-[56px] h-[19px] bg-[rgba(81,138,255,0.2)] rounded-[4px]" />
+
+      {/* 取消按钮（上传完成、拿到任务 ID 后可用） */}
+      {record.taskId && (
+        <button
+          onClick={handleCancel}
+          disabled={isCancelling}
+          className="absolute right-[8px] top-[140px] px-[12px] h-[28px] rounded-[14px] border border-[rgba(0,0,0,0.2)] text-[12px] text-[rgba(0,0,0,0.7)] hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          取消
+        </button>
+      )}
     </div>
   )
 }
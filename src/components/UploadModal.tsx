@@ -2,6 +2,7 @@ import { useState, useRef, useCallback, useEffect } from 'react'
 import { useAppStore } from '../store'
 import { TimeMarker } from '../types'
 import { processAudioFile, parseTimeMarkers, checkBackendAvailable } from '../services/videoProcessor'
+import { getQuota, UserQuota } from '../services/api'
 
 interface UploadModalProps {
   isOpen: boolean
@@ -17,6 +18,7 @@ export default function UploadModal({ isOpen, onClose }: UploadModalProps) {
   const [backendStatus, setBackendStatus] = useState<'checking' | 'available' | 'unavailable'>('checking')
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [error, setError] = useState<string | null>(null)
+  const [quota, setQuota] = useState<UserQuota | null>(null)
   
   const fileInputRef = useRef<HTMLInputElement>(null)
 
@@ -32,6 +34,11 @@ export default function UploadModal({ isOpen, onClose }: UploadModalProps) {
         .catch(() => {
           setBackendStatus('unavailable')
         })
+      // 提交前显示剩余配额，获取失败时不影响提交（由后端校验）
+      setQuota(null)
+      getQuota()
+        .then(setQuota)
+        .catch(err => console.warn('获取配额失败:', err))
     }
   }, [isOpen])
   
@@ -91,6 +98,14 @@ export default function UploadModal({ isOpen, onClose }: UploadModalProps) {
       return
     }
     
+    // 超出配额时提前提示，不必等上传完成后被后端拒绝
+    const quotaError = checkQuota(quota, markers.length)
+    if (quotaError) {
+      setError(quotaError)
+      setIsSubmitting(false)
+      return
+    }
+    
     // 设置当前批次的总任务数
     setCurrentBatchTotal(markers.length)
     
@@ -105,12 +120,12 @@ export default function UploadModal({ isOpen, onClose }: UploadModalProps) {
         (prog, msg) => {
           console.log(`处理进度: ${prog.toFixed(1)}% - ${msg}`)
         },
-        (record, isNew) => {
-          // isNew = true 表示新增记录，isNew = false 表示更新记录
+        (record, isNew, previousId) => {
+          // isNew = true 表示新增记录，isNew = false 表示更新记录（处理完成时记录 ID 会变化）
           if (isNew) {
             addRecord(record)
           } else {
-            updateRecord(record.id, record)
+            updateRecord(previousId ?? record.id, record)
           }
         }
       )
@@ -118,7 +133,7 @@ export default function UploadModal({ isOpen, onClose }: UploadModalProps) {
       console.error('Processing failed:', err)
       // 错误已经在 videoProcessor 中处理，会将记录标记为 failed
     }
-  }, [file, markersInput, backendStatus, addRecord, updateRecord, setCurrentBatchTotal, isSubmitting])
+  }, [file, markersInput, backendStatus, quota, addRecord, updateRecord, setCurrentBatchTotal, isSubmitting])
   
   // 关闭弹窗
   const handleClose = () => {
@@ -229,6 +244,13 @@ export default function UploadModal({ isOpen, onClose }: UploadModalProps) {
               输入学生按下标记按钮的时间点
             </p>
           </div>
+          
+          {/* 剩余配额 */}
+          {quota && formatQuota(quota) && (
+            <p className="mt-4 text-[12px] text-gray-500">
+              {formatQuota(quota)}
+            </p>
+          )}
         </div>
         
         {/* 底部按钮 */}
@@ -255,3 +277,33 @@ export default function UploadModal({ isOpen, onClose }: UploadModalProps) {
     </div>
   )
 }
+
+/**
+ * 检查本次提交是否超出剩余配额，返回错误提示
+ */
+function checkQuota(quota: UserQuota | null, markerCount: number): string | null {
+  if (!quota) return null
+  const { remaining } = quota
+  if (remaining.concurrentTasks === 0) {
+    return `最多同时处理 ${quota.limits.concurrentTasks} 个任务，请等待当前任务完成`
+  }
+  if (remaining.markersPerDay !== null && markerCount > remaining.markersPerDay) {
+    return `今日还可处理 ${remaining.markersPerDay} 个标记点，本次提交了 ${markerCount} 个`
+  }
+  if (remaining.audioMinutesPerDay === 0) {
+    return '今日音频时长配额已用完，请明天再试'
+  }
+  return null
+}
+
+/**
+ * 剩余配额说明，不限制的项目不显示
+ */
+function formatQuota(quota: UserQuota): string {
+  const { remaining } = quota
+  const parts: string[] = []
+  if (remaining.markersPerDay !== null) parts.push(`标记点 ${remaining.markersPerDay} 个`)
+  if (remaining.audioMinutesPerDay !== null) parts.push(`音频 ${remaining.audioMinutesPerDay} 分钟`)
+  if (remaining.concurrentTasks !== null) parts.push(`可同时处理 ${remaining.concurrentTasks} 个任务`)
+  return parts.length > 0 ? `今日剩余：${parts.join(' · ')}` : ''
+}
@@ -0,0 +1,117 @@
+import { useEffect, useState, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import StatusBar from '../components/StatusBar'
+import Header from '../components/Header'
+import { getDiagnostics, runDiagnostics, DiagnosticCheck, DiagnosticsReport } from '../services/api'
+
+// 各状态的显示文字和颜色
+const STATUS_STYLES: Record<DiagnosticCheck['status'], { text: string, className: string }> = {
+  ok: { text: '正常', className: 'bg-green-50 text-green-600' },
+  error: { text: '失败', className: 'bg-red-50 text-red-600' },
+  skipped: { text: '未配置', className: 'bg-gray-100 text-gray-500' },
+}
+
+// 检查结果的简要信息，如 "format: png · bytes: 20480"
+function formatDetail(detail: DiagnosticCheck['detail']): string {
+  if (!detail) return ''
+  return Object.entries(detail)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' · ')
+}
+
+export default function AdminPage() {
+  const navigate = useNavigate()
+
+  const [report, setReport] = useState<DiagnosticsReport | null>(null)
+  const [isRunning, setIsRunning] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  // 显示最近一次结果；其他管理员正在自检时一并等待结果
+  useEffect(() => {
+    getDiagnostics()
+      .then(status => {
+        setReport(status.lastRun)
+        setIsRunning(status.running)
+      })
+      .catch(err => setError(err instanceof Error ? err.message : '获取自检结果失败'))
+  }, [])
+
+  const handleRun = useCallback(async () => {
+    setIsRunning(true)
+    setError(null)
+    try {
+      setReport(await runDiagnostics())
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '自检失败')
+    } finally {
+      setIsRunning(false)
+    }
+  }, [])
+
+  return (
+    <div className="w-[1120px] h-[800px] bg-[#6698ff] rounded-[24px] overflow-hidden relative">
+      <StatusBar />
+
+      <Header
+        title="服务自检"
+        showBack
+        onBack={() => navigate('/')}
+        rightButton={isRunning ? '自检中...' : '运行自检'}
+        onRightClick={isRunning ? undefined : handleRun}
+      />
+
+      <div className="absolute top-[151px] left-[40px] w-[1040px] h-[620px] bg-white rounded-[15px] overflow-y-auto p-8">
+        <p className="text-[14px] text-black/60 mb-6">
+          对每个已配置的服务商发起一次最小的真实调用（语音识别、大模型、语音合成、图片生成），并检查 ffmpeg 视频编码。
+          密钥配置错误时可以在这里提前发现，不必等到学生上传失败。
+        </p>
+
+        {/* 错误提示 */}
+        {error && (
+          <div className="mb-4 px-4 py-3 bg-red-50 rounded-xl">
+            <p className="text-[13px] text-red-600">{error}</p>
+          </div>
+        )}
+
+        {!report && !error && (
+          <p className="text-[14px] text-black/40">
+            {isRunning ? '正在自检，通常需要十几秒...' : '服务启动后尚未自检，点击右上角「运行自检」开始'}
+          </p>
+        )}
+
+        {report && (
+          <>
+            <div className="flex items-center gap-3 mb-4">
+              <span className={`px-3 py-1 rounded-full text-[13px] font-medium ${report.ok ? STATUS_STYLES.ok.className : STATUS_STYLES.error.className}`}>
+                {report.ok ? '全部正常' : '存在失败项'}
+              </span>
+              <span className="text-[13px] text-black/40">
+                {new Date(report.startedAt).toLocaleString()} · 耗时 {(report.durationMs / 1000).toFixed(1)} 秒
+              </span>
+            </div>
+
+            <div className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+              {report.checks.map(check => (
+                <div key={check.name} className="flex items-start gap-4 px-5 py-4">
+                  <span className={`shrink-0 w-[64px] text-center px-2 py-1 rounded-full text-[12px] font-medium ${STATUS_STYLES[check.status].className}`}>
+                    {STATUS_STYLES[check.status].text}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-[15px] font-medium text-black/90">{check.label}</p>
+                    {check.error && <p className="mt-1 text-[13px] text-red-600 break-all">{check.error}</p>}
+                    {check.message && <p className="mt-1 text-[13px] text-black/40">{check.message}</p>}
+                    {check.detail && <p className="mt-1 text-[12px] text-black/40 break-all">{formatDetail(check.detail)}</p>}
+                  </div>
+                  {check.latencyMs !== undefined && (
+                    <span className="shrink-0 text-[13px] text-black/60 tabular-nums">{check.latencyMs} ms</span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,4 +1,5 @@
 import { useEffect, useState, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { useAppStore } from '../store'
 import { FilterTab, VideoRecord, DayGroup } from '../types'
 import StatusBar from '../components/StatusBar'
@@ -8,6 +9,8 @@ import VideoCard from '../components/VideoCard'
 import SyncCard from '../components/SyncCard'
 import UploadModal from '../components/UploadModal'
 import ProcessingCard from '../components/ProcessingCard'
+import { logout, getCurrentUser } from '../services/api'
+import { loadServerRecords } from '../services/videoProcessor'
 
 export default function HomePage() {
   const { 
@@ -20,16 +23,40 @@ export default function HomePage() {
     currentBatchTotal,
     clearCurrentBatch,
     init,
+    mergeServerRecords,
     clearAll
   } = useAppStore()
   
   const [hasProcessing, setHasProcessing] = useState(false)
   const [processingProgress, setProcessingProgress] = useState(0)
+  const [isAdmin, setIsAdmin] = useState(false)
   
   useEffect(() => {
     init()
   }, [init])
   
+  // 以后端的学习记录为准，清除浏览器缓存后也能恢复
+  useEffect(() => {
+    loadServerRecords()
+      .then(mergeServerRecords)
+      .catch(err => console.warn('同步学习记录失败:', err))
+  }, [mergeServerRecords])
+  
+  const navigate = useNavigate()
+  
+  // 管理员显示服务自检入口
+  useEffect(() => {
+    getCurrentUser()
+      .then(user => setIsAdmin(user.role === 'admin'))
+      .catch(() => setIsAdmin(false))
+  }, [])
+  
+  // 退出登录
+  const handleLogout = useCallback(async () => {
+    await logout()
+    navigate('/login', { replace: true })
+  }, [navigate])
+  
   // 清空所有记录
   const handleClearAll = useCallback(() => {
     if (window.confirm('确定要清空所有记录吗？此操作不可恢复。')) {
@@ -126,6 +153,8 @@ export default function HomePage() {
         title="小记星" 
         showBack 
         onSyncClick={() => setUploadModalOpen(true)}
+        onLogoutClick={handleLogout}
+        onAdminClick={isAdmin ? () => navigate('/admin') : undefined}
       />
       
       {/* 标签导航 */}
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { login } from '../services/api'
+
+export default function LoginPage() {
+  const navigate = useNavigate()
+
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!username || !password || isSubmitting) return
+
+    setIsSubmitting(true)
+    setError(null)
+    try {
+      await login(username, password)
+      navigate('/', { replace: true })
+    } catch (err) {
+      setError(err instanceof Error ? err.message : '登录失败')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="w-[1120px] h-[800px] bg-[#6698ff] rounded-[24px] overflow-hidden relative flex items-center justify-center">
+      {/* 背景星形 */}
+      <div className="absolute -right-[200px] top-[100px] w-[800px] h-[800px] opacity-10 pointer-events-none">
+        <svg viewBox="0 0 200 200" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M100 0L123.5 76.5L200 100L123.5 123.5L100 200L76.5 123.5L0 100L76.5 76.5L100 0Z" fill="white"/>
+        </svg>
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative w-[400px] bg-white rounded-2xl shadow-xl p-8"
+      >
+        <h1 className="text-[24px] font-bold text-black/90 text-center mb-6 font-['Alimama_ShuHeiTi',sans-serif]">
+          登录小记星
+        </h1>
+
+        {/* 错误提示 */}
+        {error && (
+          <div className="mb-4 px-4 py-3 bg-red-50 rounded-xl">
+            <p className="text-[13px] text-red-600">{error}</p>
+          </div>
+        )}
+
+        <label className="block text-[14px] font-medium text-black/90 mb-2">用户名</label>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          className="w-full mb-4 px-4 py-3 border border-gray-200 rounded-xl text-[14px] focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+
+        <label className="block text-[14px] font-medium text-black/90 mb-2">密码</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          className="w-full mb-6 px-4 py-3 border border-gray-200 rounded-xl text-[14px] focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+
+        <button
+          type="submit"
+          disabled={!username || !password || isSubmitting}
+          className={`w-full py-3 rounded-xl text-[15px] font-medium text-white transition-colors ${
+            username && password && !isSubmitting
+              ? 'bg-blue-500 hover:bg-blue-600'
+              : 'bg-gray-300 cursor-not-allowed'
+          }`}
+        >
+          {isSubmitting ? '登录中...' : '登录'}
+        </button>
+      </form>
+    </div>
+  )
+}
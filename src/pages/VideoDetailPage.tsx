@@ -2,11 +2,12 @@ import { useState, useEffect, useRef, useCallback } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { useAppStore } from '../store'
 import { VideoRecord, PPTSlide, SubjectConfig } from '../types'
+import { refreshRecordUrls } from '../services/videoProcessor'
 
 export default function VideoDetailPage() {
   const { id } = useParams<{ id: string }>()
   const navigate = useNavigate()
-  const { records, updateRecord, deleteRecord } = useAppStore()
+  const { records, updateRecord, updateLearningState, deleteRecord } = useAppStore()
   
   const [record, setRecord] = useState<VideoRecord | null>(null)
   const [currentSlideIndex, setCurrentSlideIndex] = useState(0)
@@ -49,6 +50,22 @@ export default function VideoDetailPage() {
     }
   }, [id, records])
 
+  // 文件链接会过期，打开时刷新一次
+  useEffect(() => {
+    const found = id ? useAppStore.getState().records.find(r => r.id === id) : undefined
+    if (!found || found.status !== 'completed') return
+
+    let cancelled = false
+    refreshRecordUrls(found)
+      .then(updates => {
+        if (updates && !cancelled) updateRecord(found.id, updates)
+      })
+      .catch(error => console.warn('刷新文件链接失败:', error))
+    return () => {
+      cancelled = true
+    }
+  }, [id, updateRecord])
+
   // 停止所有播放
   const stopAllPlayback = useCallback(() => {
     if (playTimerRef.current) {
@@ -175,7 +192,7 @@ export default function VideoDetailPage() {
   const markAsCompleted = useCallback(() => {
     if (!record || hasMarkedCompleted) return
     
-    updateRecord(record.id, {
+    updateLearningState(record.id, {
       learningStatus: 'completed',
       watchedProgress: 100
     })
@@ -185,7 +202,7 @@ export default function VideoDetailPage() {
     setTimeout(() => {
       setShowCompletedToast(false)
     }, 2000)
-  }, [record, hasMarkedCompleted, updateRecord])
+  }, [record, hasMarkedCompleted, updateLearningState])
 
   // 切换播放/暂停
   const toggleSlidePlay = useCallback(() => {
@@ -200,10 +217,10 @@ export default function VideoDetailPage() {
       playCurrentSlide(currentSlideIndex)
       
       if (record.learningStatus === 'not_started') {
-        updateRecord(record.id, { learningStatus: 'in_progress' })
+        updateLearningState(record.id, { learningStatus: 'in_progress' })
       }
     }
-  }, [isPlaying, currentSlideIndex, record, stopAllPlayback, playCurrentSlide, updateRecord])
+  }, [isPlaying, currentSlideIndex, record, stopAllPlayback, playCurrentSlide, updateLearningState])
 
   // 跳转到指定幻灯片
   const goToSlide = useCallback((index: number) => {
@@ -215,7 +232,7 @@ export default function VideoDetailPage() {
     setCurrentSubtitle('')
     
     const progress = Math.round(((index + 1) / record.slides.length) * 100)
-    updateRecord(record.id, { watchedProgress: progress })
+    updateLearningState(record.id, { watchedProgress: progress })
     
     if (index === record.slides.length - 1) {
       markAsCompleted()
@@ -224,7 +241,7 @@ export default function VideoDetailPage() {
     setTimeout(() => {
       isManualJumpRef.current = false
     }, 100)
-  }, [record, stopAllPlayback, updateRecord, markAsCompleted])
+  }, [record, stopAllPlayback, updateLearningState, markAsCompleted])
 
   // 快进/快退 15 秒
   const skipSeconds = useCallback((seconds: number) => {
@@ -238,8 +255,8 @@ export default function VideoDetailPage() {
     if (!record) return
     const newFavorite = !isFavorite
     setIsFavorite(newFavorite)
-    updateRecord(record.id, { isFavorite: newFavorite })
-  }, [record, isFavorite, updateRecord])
+    updateLearningState(record.id, { isFavorite: newFavorite })
+  }, [record, isFavorite, updateLearningState])
 
   // 删除记录
   const handleDelete = useCallback(() => {
@@ -1,49 +1,154 @@
+// 接口数据类型由 server/openapi.json 生成（npm run api:types）
+import type {
+  AuthUser,
+  ProcessingTask,
+  MarkerState,
+  UserQuota,
+  CreateUploadRequest,
+  CreatedUpload,
+  FinalizeUploadRequest,
+  CreatedTask,
+  DiagnosticsReport,
+  DiagnosticsStatus,
+  LearningRecord,
+  LearningRecordPage,
+  LearningStatus,
+  UpdateRecordRequest,
+  UsageReport,
+  ConfirmMarkersRequest,
+} from './api.types'
+export type {
+  AuthUser,
+  ProcessingTask,
+  MarkerState,
+  ProcessingResult,
+  SlideResult,
+  Subtitle,
+  VideoInfo,
+  QuotaItems,
+  UserQuota,
+  ValidationError,
+  DiagnosticCheck,
+  DiagnosticsReport,
+  DiagnosticsStatus,
+  LearningRecord,
+  LearningRecordPage,
+  UpdateRecordRequest,
+  UsageAmounts,
+  TaskUsage,
+  UsageReport,
+  ProposedMarker,
+  ConfirmMarkersRequest,
+} from './api.types'
+
 // API 配置
 // 本地开发使用代理 '/api'
 // 生产环境可通过环境变量 VITE_API_BASE_URL 配置后端地址
 const API_BASE = import.meta.env.VITE_API_BASE_URL || '/api'
 
-// 处理任务状态
-export interface ProcessingTask {
-  id: string
-  status: 'processing' | 'completed' | 'failed'
-  progress: number
-  message: string
-  results?: ProcessingResult[]
-  error?: string
-  createdAt: string
-  completedAt?: string
-}
-
-// 处理结果
-export interface ProcessingResult {
-  taskId: string
-  success: boolean
-  knowledgePoint: string
-  summary: string
-  subject: string
-  slides: SlideResult[]
-  video?: {
-    url: string
-    duration: number
-  }
-  error?: string
-}
-
-// 幻灯片结果
-export interface SlideResult {
-  index: number
-  title: string
-  script: string
-  subtitle: string
-  imageUrl: string
-  audioUrl: string
-  audioDuration?: number
-  subtitles?: Array<{   // 分段字幕（可选）
-    text: string
-    start: number       // 相对于本页开始的时间（秒）
-    duration: number   // 持续时间（秒）
-  }>
+// localStorage 中保存登录令牌的键名
+const AUTH_TOKEN_KEY = 'xiaojixing-auth-token'
+
+// 登录失效（接口返回 401）时在 window 上派发的事件，收到后跳转登录页
+export const AUTH_EXPIRED_EVENT = 'xiaojixing:auth-expired'
+
+// 任务被取消时 watchTask / pollTaskUntilComplete 抛出的错误
+export class TaskCancelledError extends Error {
+  constructor() {
+    super('任务已取消')
+    this.name = 'TaskCancelledError'
+  }
+}
+
+/**
+ * 获取保存的登录令牌
+ */
+export function getAuthToken(): string | null {
+  return localStorage.getItem(AUTH_TOKEN_KEY)
+}
+
+/**
+ * 请求需要登录的接口：自动携带登录令牌，令牌失效时清除并派发 AUTH_EXPIRED_EVENT
+ * @param path - 接口路径（不含 API_BASE）
+ */
+async function apiFetch(path: string, init: RequestInit = {}): Promise<Response> {
+  const token = getAuthToken()
+  const headers = new Headers(init.headers)
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`)
+  }
+
+  const response = await fetch(`${API_BASE}${path}`, { ...init, headers })
+  if (response.status === 401 && token) {
+    localStorage.removeItem(AUTH_TOKEN_KEY)
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT))
+  }
+  return response
+}
+
+/**
+ * 登录并保存令牌
+ */
+export async function login(username: string, password: string): Promise<AuthUser> {
+  const response = await fetch(`${API_BASE}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  })
+  if (!response.ok) {
+    throw new Error(await readError(response, '登录失败'))
+  }
+
+  const { token, user } = await response.json()
+  localStorage.setItem(AUTH_TOKEN_KEY, token)
+  return user
+}
+
+/**
+ * 退出登录
+ */
+export async function logout(): Promise<void> {
+  await apiFetch('/auth/logout', { method: 'POST' }).catch(() => undefined)
+  localStorage.removeItem(AUTH_TOKEN_KEY)
+}
+
+/**
+ * 获取当前登录用户
+ */
+export async function getCurrentUser(): Promise<AuthUser> {
+  const response = await apiFetch('/auth/me')
+  if (!response.ok) {
+    throw new Error(await readError(response, '获取用户信息失败'))
+  }
+  return response.json()
+}
+
+/**
+ * 获取当前用户的配额和剩余用量
+ */
+export async function getQuota(): Promise<UserQuota> {
+  const response = await apiFetch('/quota')
+  if (!response.ok) {
+    throw new Error(await readError(response, '获取配额失败'))
+  }
+  return response.json()
+}
+
+/**
+ * 获取服务商用量和成本（按日期和用户汇总）
+ * 普通用户只返回自己的用量；管理员返回所有用户，可以用 userId 筛选
+ */
+export async function getUsage(query: { from?: string, to?: string, userId?: string } = {}): Promise<UsageReport> {
+  const params = new URLSearchParams()
+  Object.entries(query).forEach(([key, value]) => {
+    if (value) params.set(key, value)
+  })
+
+  const response = await apiFetch(`/usage?${params}`)
+  if (!response.ok) {
+    throw new Error(await readError(response, '获取用量统计失败'))
+  }
+  return response.json()
 }
 
 /**
@@ -69,37 +174,190 @@ export async function checkConfigStatus(): Promise<{
   volcengineTts: { configured: boolean }
   ffmpeg: boolean
 }> {
-  const response = await fetch(`${API_BASE}/config/status`)
+  const response = await apiFetch(`/config/status`)
   if (!response.ok) {
     throw new Error('无法获取配置状态')
   }
   return response.json()
 }
 
+/**
+ * 获取最近一次服务商自检结果（管理员）
+ */
+export async function getDiagnostics(): Promise<DiagnosticsStatus> {
+  const response = await apiFetch('/diagnostics')
+  if (!response.ok) {
+    throw new Error(await readError(response, '获取自检结果失败'))
+  }
+  return response.json()
+}
+
+/**
+ * 执行服务商自检（管理员）：对每个服务商发起一次真实调用，通常需要十几秒
+ */
+export async function runDiagnostics(): Promise<DiagnosticsReport> {
+  const response = await apiFetch('/diagnostics/run', { method: 'POST' })
+  if (!response.ok) {
+    throw new Error(await readError(response, '自检失败'))
+  }
+  return response.json()
+}
+
+// 分片上传：单片大小（服务端返回的上限更小时以服务端为准）、单个分片的最大重试次数
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024
+const UPLOAD_MAX_RETRIES = 5
+// localStorage 中保存未完成上传 ID 的键名前缀，刷新页面或重试时可以续传
+const UPLOAD_STORAGE_PREFIX = 'xiaojixing-upload:'
+
+// 上传进度回调（已上传字节数、总字节数）
+export type UploadProgressCallback = (uploaded: number, total: number) => void
+
+async function readError(response: Response, fallback: string): Promise<string> {
+  const error = await response.json().catch(() => ({ error: fallback }))
+  return error.error || fallback
+}
+
+/**
+ * 计算分片摘要（Upload-Checksum 头），非安全上下文没有 crypto.subtle 时跳过校验
+ */
+async function chunkChecksum(chunk: Blob): Promise<string | undefined> {
+  if (!globalThis.crypto?.subtle) return undefined
+  const digest = await crypto.subtle.digest('SHA-256', await chunk.arrayBuffer())
+  const bytes = new Uint8Array(digest)
+  let binary = ''
+  bytes.forEach(b => { binary += String.fromCharCode(b) })
+  return `sha256 ${btoa(binary)}`
+}
+
+/**
+ * 查询已上传的字节数，上传不存在时返回 null
+ */
+async function getUploadOffset(uploadId: string): Promise<number | null> {
+  const response = await apiFetch(`/uploads/${uploadId}`, { method: 'HEAD' })
+  if (response.status === 404) return null
+  if (!response.ok) {
+    throw new Error('查询上传进度失败')
+  }
+  return Number(response.headers.get('Upload-Offset'))
+}
+
+/**
+ * 继续上次未完成的上传，没有则创建新的上传
+ */
+async function openUpload(file: File, storageKey: string): Promise<{ uploadId: string; offset: number; chunkSize: number }> {
+  const savedId = localStorage.getItem(storageKey)
+  if (savedId) {
+    const offset = await getUploadOffset(savedId).catch(() => null)
+    if (offset !== null) {
+      return { uploadId: savedId, offset, chunkSize: UPLOAD_CHUNK_SIZE }
+    }
+    localStorage.removeItem(storageKey)
+  }
+
+  const response = await apiFetch(`/uploads`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: file.name, size: file.size } satisfies CreateUploadRequest),
+  })
+  if (!response.ok) {
+    throw new Error(await readError(response, '上传失败'))
+  }
+
+  const created: CreatedUpload = await response.json()
+  localStorage.setItem(storageKey, created.uploadId)
+  return {
+    uploadId: created.uploadId,
+    offset: created.offset,
+    chunkSize: Math.min(UPLOAD_CHUNK_SIZE, created.chunkSize || UPLOAD_CHUNK_SIZE),
+  }
+}
+
+/**
+ * 上传一个分片，返回服务端确认的新偏移
+ */
+async function uploadChunk(uploadId: string, offset: number, chunk: Blob): Promise<number> {
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/offset+octet-stream',
+    'Upload-Offset': String(offset),
+  }
+  const checksum = await chunkChecksum(chunk)
+  if (checksum) {
+    headers['Upload-Checksum'] = checksum
+  }
+
+  const response = await apiFetch(`/uploads/${uploadId}`, {
+    method: 'PATCH',
+    headers,
+    body: chunk,
+  })
+
+  // 偏移不一致（上一个分片其实已写入），按服务端的偏移继续
+  if (response.status === 409) {
+    const body = await response.json().catch(() => ({}))
+    if (typeof body.offset === 'number') return body.offset
+  }
+  if (!response.ok) {
+    throw new Error(await readError(response, '上传分片失败'))
+  }
+  return Number(response.headers.get('Upload-Offset'))
+}
+
 /**
  * 上传音频文件并开始处理
+ * 文件按分片上传，网络中断时自动重试并从已上传的位置继续；
+ * 未完成的上传 ID 保存在 localStorage 中，重新选择同一文件上传时会续传
  * @param file - 音频文件
  * @param markers - 时间标记数组（秒）
+ * @param onUploadProgress - 上传进度回调
  * @returns 任务 ID
  */
 export async function uploadAndProcess(
   file: File, 
-  markers: number[]
-): Promise<{ taskId: string }> {
-  const formData = new FormData()
-  formData.append('audio', file)
-  formData.append('markers', JSON.stringify(markers))
+  markers: number[],
+  onUploadProgress?: UploadProgressCallback
+): Promise<CreatedTask> {
+  const storageKey = `${UPLOAD_STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`
+  const { uploadId, chunkSize, offset: startOffset } = await openUpload(file, storageKey)
 
-  const response = await fetch(`${API_BASE}/process`, {
+  let offset = startOffset
+  let failures = 0
+  onUploadProgress?.(offset, file.size)
+
+  while (offset < file.size) {
+    try {
+      offset = await uploadChunk(uploadId, offset, file.slice(offset, offset + chunkSize))
+      failures = 0
+      onUploadProgress?.(offset, file.size)
+    } catch (err) {
+      if (++failures > UPLOAD_MAX_RETRIES) {
+        throw new Error(`上传失败，请检查网络后重试（${err instanceof Error ? err.message : err}）`)
+      }
+      // 指数退避后向服务端确认实际偏移
+      await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (failures - 1), 15000)))
+      const serverOffset = await getUploadOffset(uploadId).catch(() => offset)
+      if (serverOffset === null) {
+        localStorage.removeItem(storageKey)
+        throw new Error('上传已过期，请重新上传')
+      }
+      offset = serverOffset
+    }
+  }
+
+  const response = await apiFetch(`/uploads/${uploadId}/finalize`, {
     method: 'POST',
-    body: formData,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ markers } satisfies FinalizeUploadRequest),
   })
 
   if (!response.ok) {
-    const error = await response.json().catch(() => ({ error: '上传失败' }))
-    throw new Error(error.error || '上传失败')
+    // 文件校验失败时服务端已删除上传，下次重新上传
+    if (response.status === 404 || response.status === 460) {
+      localStorage.removeItem(storageKey)
+    }
+    throw new Error(await readError(response, '上传失败'))
   }
 
+  localStorage.removeItem(storageKey)
   return response.json()
 }
 
@@ -108,7 +366,7 @@ export async function uploadAndProcess(
  * @param taskId - 任务 ID
  */
 export async function getTaskStatus(taskId: string): Promise<ProcessingTask> {
-  const response = await fetch(`${API_BASE}/tasks/${taskId}`)
+  const response = await apiFetch(`/tasks/${taskId}`)
   
   if (!response.ok) {
     throw new Error('任务不存在')
@@ -121,7 +379,7 @@ export async function getTaskStatus(taskId: string): Promise<ProcessingTask> {
  * 获取所有任务
  */
 export async function getAllTasks(): Promise<ProcessingTask[]> {
-  const response = await fetch(`${API_BASE}/tasks`)
+  const response = await apiFetch(`/tasks`)
   
   if (!response.ok) {
     throw new Error('获取任务列表失败')
@@ -135,7 +393,7 @@ export async function getAllTasks(): Promise<ProcessingTask[]> {
  * @param taskId - 任务 ID
  */
 export async function deleteTask(taskId: string): Promise<void> {
-  const response = await fetch(`${API_BASE}/tasks/${taskId}`, {
+  const response = await apiFetch(`/tasks/${taskId}`, {
     method: 'DELETE',
   })
   
@@ -144,6 +402,263 @@ export async function deleteTask(taskId: string): Promise<void> {
   }
 }
 
+// 学习记录查询条件（与 GET /api/records 的参数一致）
+export interface RecordQuery {
+  subject?: string
+  q?: string
+  status?: LearningStatus
+  favorite?: boolean
+  from?: string   // YYYY-MM-DD
+  to?: string     // YYYY-MM-DD，包含当天
+  page?: number
+  pageSize?: number
+}
+
+// 逐页获取全部记录时的每页条数（后端上限）
+const RECORDS_PAGE_SIZE = 100
+
+/**
+ * 查询学习记录（每个处理成功的标记点一条），按创建时间从新到旧分页
+ * @param query - 查询条件
+ */
+export async function getRecords(query: RecordQuery = {}): Promise<LearningRecordPage> {
+  const params = new URLSearchParams()
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') params.set(key, String(value))
+  })
+
+  const response = await apiFetch(`/records?${params}`)
+  if (!response.ok) {
+    throw new Error(await readError(response, '获取学习记录失败'))
+  }
+  return response.json()
+}
+
+/**
+ * 获取当前用户的全部学习记录（逐页请求）
+ */
+export async function getAllRecords(): Promise<LearningRecord[]> {
+  const records: LearningRecord[] = []
+  for (let page = 1; ; page++) {
+    const result = await getRecords({ page, pageSize: RECORDS_PAGE_SIZE })
+    records.push(...result.records)
+    if (result.records.length === 0 || records.length >= result.total) {
+      return records
+    }
+  }
+}
+
+/**
+ * 修改学习记录的收藏、学习状态、观看进度
+ * @param recordId - 记录 ID（标记点输出目录 ID）
+ * @param updates - 要修改的字段
+ */
+export async function updateRecord(recordId: string, updates: UpdateRecordRequest): Promise<LearningRecord> {
+  const response = await apiFetch(`/records/${recordId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(updates),
+  })
+  if (!response.ok) {
+    throw new Error(await readError(response, '保存学习记录失败'))
+  }
+  return response.json()
+}
+
+/**
+ * 删除学习记录及其文件
+ * @param recordId - 记录 ID（标记点输出目录 ID）
+ */
+export async function deleteRecord(recordId: string): Promise<void> {
+  const response = await apiFetch(`/records/${recordId}`, { method: 'DELETE' })
+  if (!response.ok) {
+    throw new Error(await readError(response, '删除学习记录失败'))
+  }
+}
+
+// 任务进度事件（与后端 /api/tasks/:taskId/events 推送的事件一致）
+export type TaskEvent =
+  | { type: 'progress'; progress: number; message: string }
+  | { type: 'marker-started'; index: number; markerTime?: number }
+  | { type: 'step-changed'; index: number; step: string; status: string; knowledgePoint?: string; summary?: string; subject?: string }
+  | { type: 'slide-ready'; index: number; slideIndex: number; slidesReady: number; totalSlides: number; title: string; imageUrl: string; audioUrl: string; audioDuration?: number }
+  | { type: 'marker-completed'; index: number } & MarkerState
+  | { type: 'marker-failed'; index: number; error?: string }
+  | { type: 'task-completed'; task: ProcessingTask }
+  | { type: 'task-failed'; error?: string; task: ProcessingTask }
+  | { type: 'task-cancelled'; task: ProcessingTask }
+
+// 由后端直接转发的事件类型（snapshot 需要单独展开）
+const LIVE_EVENT_TYPES = [
+  'progress',
+  'marker-started',
+  'step-changed',
+  'slide-ready',
+  'marker-completed',
+  'marker-failed',
+] as const
+
+/**
+ * 创建事件分发器：对标记点的开始/结束事件去重，
+ * 并能把任务快照展开成等价的事件（用于 SSE 首包和轮询降级）
+ */
+function createTaskEventDispatcher(onEvent: (event: TaskEvent) => void) {
+  const started = new Set<number>()
+  const finished = new Set<number>()
+
+  const emit = (event: TaskEvent) => {
+    if (event.type === 'marker-started') {
+      if (started.has(event.index)) return
+      started.add(event.index)
+    }
+    if (event.type === 'marker-completed' || event.type === 'marker-failed') {
+      if (finished.has(event.index)) return
+      // 保证先收到开始事件
+      emit({ type: 'marker-started', index: event.index, markerTime: 'markerTime' in event ? event.markerTime : undefined })
+      finished.add(event.index)
+    }
+    onEvent(event)
+  }
+
+  const replaySnapshot = (task: ProcessingTask) => {
+    emit({ type: 'progress', progress: task.progress, message: task.message })
+
+    task.results?.forEach((result, index) => {
+      if (!result) return
+
+      if (result.started || result.step) {
+        emit({ type: 'marker-started', index, markerTime: result.markerTime })
+      }
+
+      if (result.step === 'completed' || (task.status === 'completed' && result.success !== false)) {
+        emit({ ...result, type: 'marker-completed', index })
+      } else if (result.step === 'failed' || result.success === false) {
+        emit({ type: 'marker-failed', index, error: result.error })
+      } else if (result.knowledgePoint && result.step && result.status) {
+        emit({
+          type: 'step-changed',
+          index,
+          step: result.step,
+          status: result.status,
+          knowledgePoint: result.knowledgePoint,
+          summary: result.summary,
+          subject: result.subject,
+        })
+      }
+    })
+  }
+
+  return { emit, replaySnapshot }
+}
+
+/**
+ * 监听任务进度直到完成
+ * 优先使用 SSE 推送，连接失败时自动降级为轮询
+ * @param taskId - 任务 ID
+ * @param onEvent - 事件回调
+ * @param pollInterval - 降级轮询间隔（毫秒）
+ */
+export function watchTask(
+  taskId: string,
+  onEvent: (event: TaskEvent) => void,
+  pollInterval = 2000
+): Promise<ProcessingTask> {
+  const { emit, replaySnapshot } = createTaskEventDispatcher(onEvent)
+  const pollFallback = () => pollTaskUntilComplete(taskId, replaySnapshot, pollInterval)
+
+  if (typeof EventSource === 'undefined') {
+    return pollFallback()
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE}/tasks/${taskId}/events?access_token=${encodeURIComponent(getAuthToken() || '')}`)
+    let settled = false
+
+    const settle = (callback: () => void) => {
+      settled = true
+      source.close()
+      callback()
+    }
+
+    source.addEventListener('snapshot', (e) => {
+      replaySnapshot(JSON.parse((e as MessageEvent).data).task)
+    })
+
+    LIVE_EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (e) => {
+        emit({ type, ...JSON.parse((e as MessageEvent).data) })
+      })
+    })
+
+    source.addEventListener('task-completed', (e) => {
+      const { task } = JSON.parse((e as MessageEvent).data)
+      replaySnapshot(task)
+      emit({ type: 'task-completed', task })
+      settle(() => resolve(task))
+    })
+
+    source.addEventListener('task-failed', (e) => {
+      const { task, error } = JSON.parse((e as MessageEvent).data)
+      emit({ type: 'task-failed', task, error })
+      settle(() => reject(new Error(error || '处理失败')))
+    })
+
+    source.addEventListener('task-cancelled', (e) => {
+      const { task } = JSON.parse((e as MessageEvent).data)
+      emit({ type: 'task-cancelled', task })
+      settle(() => reject(new TaskCancelledError()))
+    })
+
+    // 服务重启导致任务中断，重启后任务会重新排队，改用轮询等待服务恢复
+    source.addEventListener('task-interrupted', (e) => {
+      const { task } = JSON.parse((e as MessageEvent).data)
+      emit({ type: 'progress', progress: task.progress, message: task.message })
+      settle(() => pollFallback().then(resolve, reject))
+    })
+
+    source.onerror = () => {
+      if (settled) return
+      console.warn('进度推送连接中断，改用轮询')
+      settle(() => pollFallback().then(resolve, reject))
+    }
+  })
+}
+
+/**
+ * 取消正在处理的任务
+ * @param taskId - 任务 ID
+ */
+export async function cancelTask(taskId: string): Promise<void> {
+  const response = await apiFetch(`/tasks/${taskId}/cancel`, {
+    method: 'POST',
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: '取消任务失败' }))
+    throw new Error(error.error || '取消任务失败')
+  }
+}
+
+/**
+ * 确认自动选择的标记点，任务重新排队处理
+ * @param taskId - 任务 ID（状态为 awaiting_confirmation）
+ * @param request - 要处理的标记点，不传时处理建议的全部标记点
+ */
+export async function confirmMarkers(taskId: string, request: ConfirmMarkersRequest = {}): Promise<void> {
+  const response = await apiFetch(`/tasks/${taskId}/markers`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  })
+
+  if (!response.ok) {
+    throw new Error(await readError(response, '确认标记点失败'))
+  }
+}
+
+// 轮询时允许连续请求失败的次数（服务重启期间请求会失败）
+const MAX_POLL_ERRORS = 30
+
 /**
  * 轮询任务状态直到完成
  * @param taskId - 任务 ID
@@ -156,20 +671,33 @@ export async function pollTaskUntilComplete(
   interval = 2000
 ): Promise<ProcessingTask> {
   return new Promise((resolve, reject) => {
+    let errors = 0
+
     const poll = async () => {
+      let task: ProcessingTask
       try {
-        const task = await getTaskStatus(taskId)
-        onProgress?.(task)
-
-        if (task.status === 'completed') {
-          resolve(task)
-        } else if (task.status === 'failed') {
-          reject(new Error(task.error || '处理失败'))
+        task = await getTaskStatus(taskId)
+      } catch (error) {
+        // 连续失败过多才放弃，偶尔的失败（如服务重启）继续轮询
+        if (++errors >= MAX_POLL_ERRORS) {
+          reject(error)
         } else {
           setTimeout(poll, interval)
         }
-      } catch (error) {
-        reject(error)
+        return
+      }
+      errors = 0
+
+      onProgress?.(task)
+
+      if (task.status === 'completed') {
+        resolve(task)
+      } else if (task.status === 'failed') {
+        reject(new Error(task.error || '处理失败'))
+      } else if (task.status === 'cancelled') {
+        reject(new TaskCancelledError())
+      } else {
+        setTimeout(poll, interval)
       }
     }
 
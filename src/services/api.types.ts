@@ -0,0 +1,672 @@
+// 此文件由 server/scripts/generate-api-types.js 根据 server/openapi.json 生成，请勿手动修改
+// 修改接口定义后运行 npm run api:types 重新生成
+
+/** 错误响应 */
+export interface ErrorResponse {
+  /** 错误信息 */
+  error: string
+}
+
+/** 请求参数校验失败（400） */
+export interface ValidationError {
+  /** 第一个错误的说明，包含字段名 */
+  error: string
+  /** 出错的位置 */
+  in: 'path' | 'query' | 'header' | 'body'
+  /** 出错的字段，如 markers[1] */
+  field: string
+  /** 全部错误 */
+  details: Array<{
+    in: 'path' | 'query' | 'header' | 'body'
+    field: string
+    message: string
+  }>
+}
+
+/** 超出配额（429） */
+export interface QuotaError {
+  /** 错误信息 */
+  error: string
+  /** 建议的重试秒数，与 Retry-After 头相同 */
+  retryAfter: number
+}
+
+/** 用户 */
+export interface AuthUser {
+  id: string
+  username: string
+  role: 'user' | 'admin'
+  /** 创建时间 */
+  createdAt: string
+}
+
+/** 登录 / 注册请求 */
+export interface LoginRequest {
+  username: string
+  password: string
+}
+
+/** 登录结果 */
+export interface LoginResponse {
+  /** 会话令牌，请求时放在 Authorization: Bearer 头中 */
+  token: string
+  /** 过期时间 */
+  expiresAt: string
+  user: AuthUser
+}
+
+/** 创建用户请求 */
+export interface CreateUserRequest {
+  username: string
+  password: string
+  role?: 'user' | 'admin'
+}
+
+/** 创建 API Key 请求 */
+export interface CreateApiKeyRequest {
+  /** 备注 */
+  name?: string
+}
+
+/** API Key（不含密钥本身） */
+export interface ApiKey {
+  id: string
+  name: string
+  /** 密钥前几位，便于识别 */
+  prefix: string
+  /** 创建时间 */
+  createdAt: string
+  /** 最近使用时间 */
+  lastUsedAt?: string
+}
+
+/** 新建的 API Key */
+export interface CreatedApiKey {
+  id: string
+  name: string
+  /** API Key，只在创建时返回一次 */
+  key: string
+  /** 创建时间 */
+  createdAt: string
+}
+
+/** 标记点的截取范围：{ before, after } 为标记点前后识别的秒数（未填写的一项使用默认值）；"auto" 为自动模式，在更大的范围内识别后按话题边界截取 */
+export type MarkerWindow = {
+  /** 标记点之前的秒数 */
+  before?: number
+  /** 标记点之后的秒数 */
+  after?: number
+} | 'auto'
+
+/** 时间标记（秒），或带截取范围的标记点 */
+export type Marker = number | {
+  /** 标记时间（秒） */
+  time: number
+  window?: MarkerWindow
+}
+
+/** 时间标记（秒），单个标记点可以写成 { time, window } 单独设置截取范围；不传时默认 [300]（传 autoMarkers 时自动选择） */
+export type Markers = Marker[]
+
+/** 自动选择标记点：识别整节课，由 LLM 找出最需要复习的片段 */
+export interface AutoMarkers {
+  /** 选择的标记点数 */
+  count?: number
+  /** 选出后先返回建议的标记点（任务状态 awaiting_confirmation），确认后再处理；false 时直接处理 */
+  confirm?: boolean
+}
+
+/** 优先级，数值越大越先处理；普通用户不能超过 USER_MAX_PRIORITY（默认 0，即只能降低自己任务的优先级），管理员不限 */
+export type Priority = number
+
+/** 为 true 时不使用缓存的服务商结果（语音识别、LLM、图片、语音合成），全部重新请求，新结果替换缓存 */
+export type NoCache = boolean
+
+/** 任务回调地址（需要服务器配置 WEBHOOK_SECRET） */
+export type CallbackUrl = string
+
+/** 服务器端音频来源，path 和 url 二选一 */
+export interface AudioSource {
+  /** 服务器上允许目录内的绝对路径 */
+  path?: string
+  /** http(s) 音频地址，由服务器下载 */
+  url?: string
+}
+
+/** 从服务器路径或 URL 创建任务 */
+export interface ProcessJsonRequest {
+  source: AudioSource
+  markers?: Markers
+  window?: MarkerWindow
+  autoMarkers?: AutoMarkers
+  priority?: Priority
+  noCache?: NoCache
+  callbackUrl?: CallbackUrl
+}
+
+/** 上传音频并创建任务（markers 为 JSON 字符串） */
+export interface ProcessFormRequest {
+  /** 音频文件（MP3/WAV/M4A） */
+  audio: Blob
+  markers?: Markers
+  window?: MarkerWindow
+  autoMarkers?: AutoMarkers
+  priority?: Priority
+  noCache?: NoCache
+  callbackUrl?: CallbackUrl
+}
+
+/** 同步处理请求 */
+export interface SyncProcessFormRequest {
+  /** 音频文件（MP3/WAV/M4A） */
+  audio: Blob
+  /** 时间标记（秒） */
+  marker?: number
+  window?: MarkerWindow
+  noCache?: NoCache
+}
+
+/** 任务创建结果 */
+export interface CreatedTask {
+  taskId: string
+  status: TaskStatus
+  /** 排队位置（从 1 开始），已开始处理时为 null */
+  queuePosition?: number | null
+  message: string
+}
+
+/** 创建分片上传请求 */
+export interface CreateUploadRequest {
+  /** 原始文件名（MP3/WAV/M4A） */
+  filename: string
+  /** 文件总字节数 */
+  size: number
+}
+
+/** 分片上传 */
+export interface CreatedUpload {
+  uploadId: string
+  /** 已接收的字节数 */
+  offset: number
+  /** 文件总字节数 */
+  size: number
+  /** 单个分片的最大字节数 */
+  chunkSize: number
+}
+
+/** 完成上传并创建任务 */
+export interface FinalizeUploadRequest {
+  markers?: Markers
+  window?: MarkerWindow
+  autoMarkers?: AutoMarkers
+  priority?: Priority
+  noCache?: NoCache
+  /** 整个文件的摘要，格式 "sha256 <base64>" */
+  checksum?: string
+  callbackUrl?: CallbackUrl
+}
+
+/** 任务状态（awaiting_confirmation：自动选择的标记点等待确认；interrupted：服务退出时被中断，重启后重新排队或标记为失败） */
+export type TaskStatus = 'queued' | 'processing' | 'awaiting_confirmation' | 'interrupted' | 'completed' | 'failed' | 'cancelled'
+
+/** 音频来源（上传的文件没有该字段） */
+export interface TaskSource {
+  type: 'path' | 'url'
+  path?: string
+  url?: string
+}
+
+/** 分段字幕 */
+export interface Subtitle {
+  text: string
+  /** 相对于本页开始的时间（秒） */
+  start: number
+  /** 持续时间（秒） */
+  duration: number
+}
+
+/** 幻灯片 */
+export interface SlideResult {
+  /** 页码，从 1 开始 */
+  index: number
+  title: string
+  /** 讲解词 */
+  script: string
+  subtitle: string
+  /** 分段字幕 */
+  subtitles?: Subtitle[]
+  /** 图片地址（带签名） */
+  imageUrl: string
+  /** 语音地址（带签名） */
+  audioUrl: string
+  /** 语音时长（毫秒） */
+  audioDuration?: number
+}
+
+/** 合成的视频 */
+export interface VideoInfo {
+  /** 视频地址（带签名） */
+  url: string
+  /** 视频时长（秒） */
+  duration: number
+}
+
+/** 实际使用的截取范围 */
+export interface EffectiveWindow {
+  /** fixed 为固定范围，auto 为按话题边界截取 */
+  mode: 'fixed' | 'auto'
+  /** 标记点之前的秒数 */
+  before: number
+  /** 标记点之后的秒数 */
+  after: number
+  /** 开始时间（音频中的秒数） */
+  startTime: number
+  /** 结束时间（音频中的秒数） */
+  endTime: number
+  /** 自动模式识别出的话题 */
+  topic?: string
+  /** 自动模式未能识别话题边界，使用了默认范围 */
+  fallback?: boolean
+}
+
+/** 自动选择的标记点 */
+export interface ProposedMarker {
+  /** 标记时间（秒），为话题的中点 */
+  time: number
+  /** 截取范围（话题的起止） */
+  window: {
+    before: number
+    after: number
+  }
+  /** 话题开始时间（秒） */
+  startTime: number
+  /** 话题结束时间（秒） */
+  endTime: number
+  /** 话题名称 */
+  topic: string
+  /** 需要复习的原因 */
+  reason: string
+  /** 需要复习的程度（1-10） */
+  score: number
+}
+
+/** 单个标记点的处理结果 */
+export interface ProcessingResult {
+  /** 标记点输出目录 ID */
+  taskId: string
+  success: boolean
+  /** 标记时间（秒） */
+  markerTime?: number
+  window?: EffectiveWindow
+  knowledgePoint: string
+  summary: string
+  subject: string
+  slides: SlideResult[]
+  video?: VideoInfo | null
+  error?: string
+}
+
+/** 处理中单个标记点的状态（完成后与 ProcessingResult 相同） */
+export interface MarkerState {
+  /** 标记点输出目录 ID */
+  taskId?: string
+  success?: boolean
+  /** 标记时间（秒） */
+  markerTime?: number
+  window?: EffectiveWindow
+  started?: boolean
+  /** 当前步骤 */
+  step?: string
+  /** 当前步骤的状态 */
+  status?: string
+  /** 已生成的幻灯片数 */
+  slidesReady?: number
+  knowledgePoint?: string
+  summary?: string
+  subject?: string
+  slides?: SlideResult[]
+  video?: VideoInfo | null
+  error?: string
+}
+
+/** 处理任务 */
+export interface ProcessingTask {
+  id: string
+  /** 所属用户 */
+  userId?: string
+  status: TaskStatus
+  /** 整体进度 0-100 */
+  progress: number
+  message: string
+  /** 各标记点的状态 */
+  results?: MarkerState[]
+  error?: string
+  /** 排队位置（仅 queued 状态） */
+  queuePosition?: number
+  priority?: number
+  source?: TaskSource
+  callbackUrl?: string
+  /** 创建时间 */
+  createdAt: string
+  /** 开始时间 */
+  startedAt?: string
+  /** 完成时间 */
+  completedAt?: string
+  /** 取消时间 */
+  cancelledAt?: string
+  /** 最近一次恢复的时间 */
+  resumedAt?: string
+  /** 最近一次被服务退出中断的时间 */
+  interruptedAt?: string
+  /** 因服务重启被中断的次数 */
+  restarts?: number
+  /** 文件被清理的时间 */
+  expiredAt?: string
+  autoMarkers?: AutoMarkers
+  /** 自动选择的标记点（按时间排列） */
+  proposedMarkers?: ProposedMarker[]
+  usage?: TaskUsage
+}
+
+/** 任务列表项 */
+export interface TaskSummary {
+  id: string
+  userId?: string
+  status: TaskStatus
+  progress: number
+  message: string
+  /** 创建时间 */
+  createdAt: string
+  /** 完成时间 */
+  completedAt?: string
+}
+
+/** 取消 / 恢复任务的结果 */
+export interface TaskActionResponse {
+  id: string
+  status: TaskStatus
+  queuePosition?: number | null
+  message: string
+}
+
+/** 重新生成幻灯片请求 */
+export interface RegenerateSlideRequest {
+  /** 标记点序号，从 0 开始 */
+  markerIndex?: number
+  /** 重新生成图片 */
+  image?: boolean
+  /** 重新生成语音 */
+  audio?: boolean
+  /** 新的图片描述（会重新生成图片） */
+  imagePrompt?: string
+  /** 新的讲解词（会重新生成语音和字幕） */
+  script?: string
+}
+
+/** 回调投递记录 */
+export interface WebhookDelivery {
+  id: string
+  event: string
+  url: string
+  status: 'pending' | 'delivered' | 'failed'
+  /** 推送的内容 */
+  payload: Record<string, unknown>
+  attempts: {
+    /** 投递时间 */
+    at: string
+    statusCode?: number
+    error?: string
+    durationMs?: number
+  }[]
+  /** 下次重试时间 */
+  nextAttemptAt?: string
+  /** 投递成功时间 */
+  deliveredAt?: string
+  /** 创建时间 */
+  createdAt: string
+}
+
+/** 任务的回调投递记录 */
+export interface TaskWebhooks {
+  callbackUrl: string | null
+  deliveries: WebhookDelivery[]
+}
+
+/** 一条日志，除下列字段外还可能带有其他上下文字段（如 provider、requestId、reqid、logid、error） */
+export interface LogEntry {
+  time: string
+  level: 'debug' | 'info' | 'warn' | 'error'
+  msg: string
+  /** 任务 ID */
+  taskId?: string
+  /** 标记点序号（从 0 开始） */
+  markerIndex?: number
+  /** 标记点的输出 ID */
+  outputId?: string
+  /** 处理步骤：asr、analyze、script、slides、image、tts、video、regenerate */
+  step?: string
+  /** 幻灯片序号（从 1 开始） */
+  slideIndex?: number
+  /** 服务商：asr、llm、image、tts */
+  provider?: string
+  /** 服务商请求 ID（ASR 的 X-Api-Request-Id、LLM 和图片接口返回的 id） */
+  requestId?: string
+  /** 火山引擎 ASR 返回的 X-Tt-Logid */
+  logid?: string
+  /** 火山引擎 TTS 请求的 reqid */
+  reqid?: string
+}
+
+export interface TaskLogs {
+  logs: LogEntry[]
+}
+
+/** 配额各项 */
+export interface QuotaItems {
+  /** 每分钟请求数 */
+  requestsPerMinute: number
+  /** 每天标记点数 */
+  markersPerDay: number
+  /** 每天音频分钟数 */
+  audioMinutesPerDay: number
+  /** 同时处理的任务数 */
+  concurrentTasks: number
+}
+
+/** 剩余配额，null 表示不限制 */
+export interface QuotaRemaining {
+  requestsPerMinute: number | null
+  markersPerDay: number | null
+  audioMinutesPerDay: number | null
+  concurrentTasks: number | null
+}
+
+/** 当前用户的配额 */
+export interface UserQuota {
+  /** 各项上限，0 表示不限制 */
+  limits: QuotaItems
+  used: QuotaItems
+  remaining: QuotaRemaining
+  /** 每日配额重置时间 */
+  resetsAt: string
+}
+
+/** 队列状态 */
+export interface QueueStats {
+  queued: number
+  running: number
+  concurrency: number
+  maxLength: number
+  /** 各服务商和 ffmpeg 进程的并发占用 */
+  providers: Record<string, unknown>
+}
+
+export interface DiagnosticCheck {
+  name: 'asr' | 'llm' | 'tts' | 'image' | 'ffmpeg'
+  /** 显示名称 */
+  label: string
+  /** skipped 表示服务商未配置 */
+  status: 'ok' | 'error' | 'skipped'
+  /** 耗时（毫秒），跳过时没有 */
+  latencyMs?: number
+  /** 跳过的原因 */
+  message?: string
+  /** 失败原因 */
+  error?: string
+  /** 检查结果的简要信息，如响应片段、音频字节数、ffmpeg 版本 */
+  detail?: Record<string, unknown>
+}
+
+export interface DiagnosticsReport {
+  /** 没有失败的检查项（跳过的不算失败） */
+  ok: boolean
+  startedAt: string
+  durationMs: number
+  checks: DiagnosticCheck[]
+}
+
+export interface DiagnosticsStatus {
+  /** 最近一次自检结果，服务启动后尚未自检时为 null */
+  lastRun: DiagnosticsReport | null
+  /** 是否正在自检 */
+  running: boolean
+}
+
+/** 学习状态 */
+export type LearningStatus = 'not_started' | 'in_progress' | 'completed'
+
+/** 学习记录（每个处理成功的标记点一条） */
+export interface LearningRecord {
+  /** 记录 ID（标记点输出目录 ID） */
+  id: string
+  /** 所属任务 */
+  taskId: string
+  /** 所属用户 */
+  userId?: string
+  /** 标记点序号，从 0 开始 */
+  markerIndex: number
+  /** 标记时间（秒） */
+  markerTime?: number
+  knowledgePoint: string
+  summary: string
+  subject: string
+  slides: SlideResult[]
+  video?: VideoInfo | null
+  isFavorite: boolean
+  learningStatus: LearningStatus
+  /** 观看进度 0-100 */
+  watchedProgress: number
+  /** 创建时间（任务创建时间） */
+  createdAt: string
+  /** 收藏、学习状态、观看进度最近修改的时间 */
+  updatedAt?: string
+  /** 文件被清理的时间（之后文件地址不可用） */
+  expiredAt?: string
+}
+
+/** 学习记录分页 */
+export interface LearningRecordPage {
+  records: LearningRecord[]
+  /** 符合条件的记录总数 */
+  total: number
+  page: number
+  pageSize: number
+}
+
+/** 修改学习记录 */
+export interface UpdateRecordRequest {
+  isFavorite?: boolean
+  learningStatus?: LearningStatus
+  /** 观看进度 0-100 */
+  watchedProgress?: number
+}
+
+/** 服务商用量及成本 */
+export interface UsageAmounts {
+  /** LLM 输入 token 数 */
+  llmPromptTokens: number
+  /** LLM 输出 token 数 */
+  llmCompletionTokens: number
+  /** 语音识别的音频秒数 */
+  asrSeconds: number
+  /** 语音合成的字符数 */
+  ttsCharacters: number
+  /** 生成的图片张数 */
+  images: number
+  /** ffmpeg 的 CPU 时间（秒，用户态 + 内核态） */
+  ffmpegCpuSeconds: number
+  /** 按当前单价计算的成本 */
+  cost: number
+}
+
+export type MarkerUsage = UsageAmounts & {
+  /** 标记点序号，从 0 开始 */
+  markerIndex: number
+  /** 标记点输出目录 ID */
+  outputId: string
+}
+
+/** 任务的服务商用量和成本 */
+export interface TaskUsage {
+  /** 货币单位 */
+  currency: string
+  /** 各标记点的用量 */
+  markers: MarkerUsage[]
+  total: UsageAmounts
+}
+
+export type DailyUsage = UsageAmounts & {
+  /** 服务器本地日期 YYYY-MM-DD */
+  date: string
+  userId: string
+  /** 用户名（用户已删除时为空） */
+  username?: string
+  /** 生成完成的视频（标记点）数 */
+  videos: number
+}
+
+export type UserUsage = UsageAmounts & {
+  userId: string
+  /** 用户名（用户已删除时为空） */
+  username?: string
+  /** 生成完成的视频（标记点）数 */
+  videos: number
+  /** 平均每个视频的成本（没有视频时为空） */
+  costPerVideo?: number
+}
+
+export interface UsageReport {
+  /** 货币单位 */
+  currency: string
+  /** 当前单价 */
+  prices: {
+    /** LLM 每千输入 token */
+    llmPromptPer1kTokens: number
+    /** LLM 每千输出 token */
+    llmCompletionPer1kTokens: number
+    /** 语音识别每分钟音频 */
+    asrPerMinute: number
+    /** 语音合成每千字符 */
+    ttsPer1kCharacters: number
+    /** 每张图片 */
+    imagePerImage: number
+    /** ffmpeg 每 CPU 小时 */
+    ffmpegPerCpuHour: number
+  }
+  /** 每天每个用户的用量，按日期从新到旧 */
+  days: DailyUsage[]
+  /** 范围内各用户的合计 */
+  users: UserUsage[]
+  total: UsageAmounts & {
+    /** 生成完成的视频（标记点）数 */
+    videos: number
+    /** 平均每个视频的成本（没有视频时为空） */
+    costPerVideo?: number
+  }
+}
+
+/** 确认自动选择的标记点 */
+export interface ConfirmMarkersRequest {
+  markers?: Markers
+  window?: MarkerWindow
+}
@@ -1,9 +1,14 @@
 import { PPTSlide, VideoRecord, Subject, TimeMarker } from '../types'
 import { 
   uploadAndProcess, 
-  pollTaskUntilComplete, 
-  ProcessingTask,
+  watchTask, 
+  getTaskStatus,
+  getAllRecords,
+  TaskEvent,
+  TaskCancelledError,
   ProcessingResult,
+  SlideResult,
+  LearningRecord,
   checkHealth 
 } from './api'
 
@@ -15,8 +20,8 @@ function generateId(): string {
 // 处理进度回调
 type ProgressCallback = (progress: number, message: string) => void
 
-// 记录创建/更新回调
-type RecordCallback = (record: VideoRecord, isNew: boolean) => void
+// 记录创建/更新回调（previousId：记录 ID 变化时的原 ID，处理完成后改用后端的记录 ID）
+type RecordCallback = (record: VideoRecord, isNew: boolean, previousId?: string) => void
 
 /**
  * 检查后端服务是否可用
@@ -30,17 +35,16 @@ export async function checkBackendAvailable(): Promise<boolean> {
   }
 }
 
+// 日期格式化为 YYYY-MM-DD（本地时区）
+function formatDate(date: Date): string {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
 /**
- * 将后端结果转换为前端 VideoRecord 格式
+ * 将后端的幻灯片转换为前端 PPTSlide 格式
  */
-function convertToVideoRecord(
-  result: ProcessingResult,
-  markerTime: number
-): VideoRecord {
-  const today = new Date()
-  const dateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`
-
-  const slides: PPTSlide[] = result.slides?.map((slide, index) => ({
+function convertSlides(slides: SlideResult[] | undefined): PPTSlide[] {
+  return slides?.map((slide, index) => ({
     id: generateId(),
     index: index + 1,
     imageUrl: slide.imageUrl,
@@ -50,6 +54,17 @@ function convertToVideoRecord(
     subtitle: slide.subtitle,
     subtitles: slide.subtitles, // 包含分段字幕
   })) || []
+}
+
+/**
+ * 将后端结果转换为前端 VideoRecord 格式
+ */
+function convertToVideoRecord(
+  result: ProcessingResult,
+  markerTime: number
+): VideoRecord {
+  const dateStr = formatDate(new Date())
+  const slides = convertSlides(result.slides)
 
   return {
     id: result.taskId || generateId(),
@@ -71,6 +86,66 @@ function convertToVideoRecord(
   }
 }
 
+/**
+ * 将后端的学习记录转换为前端 VideoRecord 格式
+ */
+function recordFromServer(record: LearningRecord): VideoRecord {
+  const slides = convertSlides(record.slides)
+  const knowledgePoint = record.knowledgePoint || '未识别到内容'
+
+  return {
+    id: record.id,
+    taskId: record.taskId,
+    title: knowledgePoint,
+    subject: (record.subject as Subject) || 'math',
+    date: formatDate(new Date(record.createdAt)),
+    timestamp: formatTime(record.markerTime ?? 0),
+    createdAt: record.createdAt,
+    status: 'completed',
+    progress: 100,
+    learningStatus: record.learningStatus,
+    watchedProgress: record.watchedProgress,
+    isFavorite: record.isFavorite,
+    thumbnailUrl: slides[0]?.imageUrl,
+    slides,
+    knowledgePoint,
+    summary: record.summary || '',
+    videoUrl: record.video?.url,
+  }
+}
+
+/**
+ * 从后端加载当前用户的全部学习记录
+ */
+export async function loadServerRecords(): Promise<VideoRecord[]> {
+  const records = await getAllRecords()
+  return records.map(recordFromServer)
+}
+
+/**
+ * 重新获取记录的文件地址
+ * 后端返回的文件链接带签名且会过期，打开记录时用任务接口的最新结果替换
+ * @returns 需要更新的字段；记录没有关联任务或结果不存在时返回 null
+ */
+export async function refreshRecordUrls(record: VideoRecord): Promise<Partial<VideoRecord> | null> {
+  if (!record.taskId) return null
+
+  const task = await getTaskStatus(record.taskId)
+  const result = task.results?.find(r => r?.taskId === record.id)
+  if (!result?.slides?.length) return null
+
+  const slides = record.slides.map((slide, index) => {
+    const fresh = result.slides?.[index]
+    return fresh ? { ...slide, imageUrl: fresh.imageUrl, audioUrl: fresh.audioUrl } : slide
+  })
+
+  return {
+    slides,
+    thumbnailUrl: slides[0]?.imageUrl,
+    videoUrl: result.video?.url ?? record.videoUrl,
+  }
+}
+
 /**
  * 主处理函数：处理上传的音频文件
  */
@@ -82,8 +157,7 @@ export async function processAudioFile(
   onRecordChanged: RecordCallback
 ): Promise<VideoRecord[]> {
   const records: VideoRecord[] = []
-  const today = new Date()
-  const dateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`
+  const dateStr = formatDate(new Date())
   
   // 验证时间标记
   if (!markers || markers.length === 0) {
@@ -132,122 +206,117 @@ export async function processAudioFile(
 
     // 上传文件并开始处理
     onProgress(5, '上传音频文件...')
-    const { taskId } = await uploadAndProcess(file, markerTimes)
+    const { taskId } = await uploadAndProcess(file, markerTimes, (uploaded, total) => {
+      onProgress(5, `上传音频文件 ${Math.round((uploaded / total) * 100)}%`)
+    })
+
+    // 关联后端任务 ID，处理中的卡片据此取消任务
+    initialRecords.forEach(record => {
+      record.taskId = taskId
+    })
+    if (createdRecords.has(0)) {
+      onRecordChanged(initialRecords[0], false)
+    }
 
-    // 记录哪些任务已经完成（避免重复更新）
+    // 记录哪些任务已经完成或失败（避免重复更新）
     const completedTasks = new Set<number>()
+    // 处理中的记录的最新状态（标题、进度等）
+    const pendingRecords = new Map<number, VideoRecord>()
 
-    // 轮询任务状态
-    const completedTask = await pollTaskUntilComplete(
-      taskId,
-      (task: ProcessingTask) => {
-        onProgress(Math.round(task.progress), task.message)
-        
-        // 检查是否有新的任务开始或完成
-        if (task.results && Array.isArray(task.results)) {
-          for (let i = 0; i < task.results.length; i++) {
-            const result: any = task.results[i]
-            
-            // 如果检测到任务已开始（started: true），且还没创建，创建对应的记录
-            // 使用 started 标记而不是 step === 'start'，因为 step 会被后续更新覆盖
-            if (result && result.started && !createdRecords.has(i)) {
-              createdRecords.add(i)
-              if (i >= nextIndexToCreate) {
-                nextIndexToCreate = i + 1
-              }
-              onRecordChanged(initialRecords[i], true)
-              console.log(`标记点 ${i + 1} 开始处理，创建卡片`)
-            }
-            
-            // 如果检测到 step: 'completed'，且还没处理过，立即更新为完成状态
-            if (result && result.step === 'completed' && !completedTasks.has(i)) {
-              completedTasks.add(i)
-              // 确保该记录已创建
-              if (!createdRecords.has(i)) {
-                createdRecords.add(i)
-                onRecordChanged(initialRecords[i], true)
-              }
-              // 转换为完成状态的 VideoRecord
-              const videoRecord = convertToVideoRecord(result as ProcessingResult, markerTimes[i])
-              videoRecord.id = initialRecords[i].id // 保持相同的 ID
-              records.push(videoRecord)
-              onRecordChanged(videoRecord, false)
-              console.log(`标记点 ${i + 1} 处理完成，已更新卡片状态`)
-            }
-            
-            // 如果检测到 step: 'failed'，标记为失败
-            if (result && result.step === 'failed' && !completedTasks.has(i)) {
-              completedTasks.add(i)
-              const failedRecord: VideoRecord = {
-                ...initialRecords[i],
-                status: 'failed',
-                progress: 0,
-                title: `处理失败: ${result.error || '未知错误'}`,
-              }
-              records.push(failedRecord)
-              onRecordChanged(failedRecord, false)
-            }
-          }
-          
+    const markFailed = (index: number, error?: string) => {
+      completedTasks.add(index)
+      const failedRecord: VideoRecord = {
+        ...initialRecords[index],
+        status: 'failed',
+        progress: 0,
+        title: `处理失败: ${error || '未知错误'}`,
+      }
+      records.push(failedRecord)
+      onRecordChanged(failedRecord, false)
+    }
+
+    // 监听任务进度（SSE 推送，不可用时自动降级为轮询）
+    await watchTask(taskId, (event: TaskEvent) => {
+      switch (event.type) {
+        case 'progress': {
+          onProgress(Math.round(event.progress), event.message)
           // 更新仍在处理中的记录的进度
-          task.results.forEach((result: any, index: number) => {
-            // 跳过已完成或已失败的任务
+          pendingRecords.forEach((record, index) => {
             if (completedTasks.has(index)) return
-            
-            if (createdRecords.has(index)) {
-              const updatedRecord: VideoRecord = {
-                ...initialRecords[index],
-                progress: Math.round(task.progress),
-              }
-              
-              // 如果有结果数据，更新标题等
-              if (result && result.knowledgePoint) {
-                updatedRecord.title = result.knowledgePoint
-                updatedRecord.knowledgePoint = result.knowledgePoint
-              }
-              if (result && result.summary) {
-                updatedRecord.summary = result.summary
-              }
-              
-              onRecordChanged(updatedRecord, false)
-            }
+            const updatedRecord = { ...record, progress: Math.round(event.progress) }
+            pendingRecords.set(index, updatedRecord)
+            onRecordChanged(updatedRecord, false)
           })
+          break
         }
-      }
-    )
-
-    // 处理完成，检查是否有遗漏的结果（轮询期间未处理的）
-    if (completedTask.results && Array.isArray(completedTask.results)) {
-      completedTask.results.forEach((result: unknown, index: number) => {
-        // 跳过已经在轮询期间处理过的任务
-        if (completedTasks.has(index)) return
-        
-        const typedResult = result as ProcessingResult
-        if (typedResult && typedResult.success !== false) {
-          const videoRecord = convertToVideoRecord(typedResult, markerTimes[index])
-          videoRecord.id = initialRecords[index].id // 保持相同的 ID
-          records.push(videoRecord)
-          onRecordChanged(videoRecord, false)
-        } else {
-          // 处理失败
-          const failedRecord: VideoRecord = {
-            ...initialRecords[index],
-            status: 'failed',
-            progress: 0,
-            title: `处理失败: ${(typedResult as ProcessingResult)?.error || '未知错误'}`,
+
+        case 'marker-started': {
+          // 标记点开始处理，创建对应的卡片
+          pendingRecords.set(event.index, initialRecords[event.index])
+          if (!createdRecords.has(event.index)) {
+            createdRecords.add(event.index)
+            if (event.index >= nextIndexToCreate) {
+              nextIndexToCreate = event.index + 1
+            }
+            onRecordChanged(initialRecords[event.index], true)
+            console.log(`标记点 ${event.index + 1} 开始处理，创建卡片`)
           }
-          records.push(failedRecord)
-          onRecordChanged(failedRecord, false)
+          break
         }
-      })
-    } else if (records.length === 0) {
-      // 没有结果且没有在轮询期间处理过，标记所有为失败
-      throw new Error('后端返回的结果为空')
-    }
+
+        case 'step-changed': {
+          // 知识点分析完成后更新卡片标题
+          const record = pendingRecords.get(event.index)
+          if (record && event.knowledgePoint && !completedTasks.has(event.index)) {
+            const updatedRecord: VideoRecord = {
+              ...record,
+              title: event.knowledgePoint,
+              knowledgePoint: event.knowledgePoint,
+              summary: event.summary || record.summary,
+            }
+            pendingRecords.set(event.index, updatedRecord)
+            onRecordChanged(updatedRecord, false)
+          }
+          break
+        }
+
+        case 'marker-completed': {
+          // 转换为完成状态的 VideoRecord
+          completedTasks.add(event.index)
+          // 记录 ID 改为后端的记录 ID（标记点输出目录 ID），与 /api/records 一致
+          const videoRecord = convertToVideoRecord(event as unknown as ProcessingResult, markerTimes[event.index])
+          videoRecord.taskId = taskId
+          records.push(videoRecord)
+          onRecordChanged(videoRecord, false, initialRecords[event.index].id)
+          console.log(`标记点 ${event.index + 1} 处理完成，已更新卡片状态`)
+          break
+        }
+
+        case 'marker-failed':
+          markFailed(event.index, event.error)
+          break
+      }
+    })
+
+    // 没有收到结果的标记点视为失败
+    markerTimes.forEach((_, index) => {
+      if (!completedTasks.has(index)) {
+        if (!createdRecords.has(index)) {
+          createdRecords.add(index)
+          onRecordChanged(initialRecords[index], true)
+        }
+        markFailed(index, '后端返回的结果为空')
+      }
+    })
 
     onProgress(100, '处理完成！')
     return records
   } catch (error) {
+    // 用户主动取消，卡片已由取消操作移除
+    if (error instanceof TaskCancelledError) {
+      throw error
+    }
+
     console.error('Processing failed:', error)
     const errorMessage = error instanceof Error ? error.message : '处理失败'
     
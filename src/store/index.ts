@@ -1,6 +1,10 @@
 import { create } from 'zustand'
 import { persist, createJSONStorage } from 'zustand/middleware'
 import { VideoRecord, FilterTab, UploadTask, DayGroup } from '../types'
+import { updateRecord as saveServerRecord, deleteRecord as deleteServerRecord } from '../services/api'
+
+// 可以同步到后端的学习状态字段
+type LearningState = Partial<Pick<VideoRecord, 'isFavorite' | 'learningStatus' | 'watchedProgress'>>
 
 interface AppState {
   // 视频记录
@@ -9,6 +13,10 @@ interface AppState {
   addRecord: (record: VideoRecord) => void
   updateRecord: (id: string, updates: Partial<VideoRecord>) => void
   deleteRecord: (id: string) => void
+  // 用后端的记录替换本地对应的已完成记录（处理中、失败和早期只保存在本地的记录保留）
+  mergeServerRecords: (serverRecords: VideoRecord[]) => void
+  // 修改收藏、学习状态、观看进度，并保存到后端
+  updateLearningState: (id: string, updates: LearningState) => void
   
   // 分组数据
   groupedRecords: DayGroup[]
@@ -84,6 +92,11 @@ function getDateLabel(date: string, today: string): string {
   return `${month}月${day}日·${weekDay}`
 }
 
+// 记录是否已保存在后端（处理完成且关联了后端任务）
+function isServerRecord(record: VideoRecord | undefined): record is VideoRecord {
+  return record?.status === 'completed' && !!record.taskId
+}
+
 // localStorage 键名
 const STORAGE_KEY = 'xiaojixing-records'
 
@@ -124,6 +137,9 @@ export const useAppStore = create<AppState>()(
       },
       
       deleteRecord: (id) => {
+        if (isServerRecord(get().records.find(r => r.id === id))) {
+          deleteServerRecord(id).catch(error => console.warn('删除学习记录失败:', error))
+        }
         const records = get().records.filter(r => r.id !== id)
         set({
           records,
@@ -131,6 +147,28 @@ export const useAppStore = create<AppState>()(
         })
       },
       
+      mergeServerRecords: (serverRecords) => {
+        // 只替换后端有对应任务的记录；没有 taskId 的旧记录、后端已没有其任务的记录不在后端，保留在本地
+        const serverIds = new Set(serverRecords.map(r => r.id))
+        const serverTaskIds = new Set(serverRecords.map(r => r.taskId))
+        const localOnly = get().records.filter(r =>
+          r.status !== 'completed' || (!serverIds.has(r.id) && !(r.taskId && serverTaskIds.has(r.taskId)))
+        )
+        const records = [...serverRecords, ...localOnly]
+        set({
+          records,
+          groupedRecords: groupByDate(records)
+        })
+      },
+      
+      updateLearningState: (id, updates) => {
+        const record = get().records.find(r => r.id === id)
+        get().updateRecord(id, updates)
+        if (isServerRecord(record)) {
+          saveServerRecord(id, updates).catch(error => console.warn('保存学习记录失败:', error))
+        }
+      },
+      
       setActiveTab: (tab) => set({ activeTab: tab }),
       
       addUploadTask: (task) => {
@@ -170,6 +208,9 @@ export const useAppStore = create<AppState>()(
       },
       
       clearAll: () => {
+        get().records
+          .filter(isServerRecord)
+          .forEach(r => deleteServerRecord(r.id).catch(error => console.warn('删除学习记录失败:', error)))
         set({
           records: [],
           groupedRecords: [],
@@ -38,6 +38,7 @@ export interface PPTSlide {
 // 视频记录
 export interface VideoRecord {
   id: string
+  taskId?: string       // 后端处理任务 ID（处理中时用于取消）
   title: string
   subject: Subject
   date: string          // YYYY-MM-DD